@@ -0,0 +1,451 @@
+// The Express app with every route. server.js starts it; tests import it
+// directly and talk to it without opening a port. Configuration is read from
+// the environment when this module is first imported.
+
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import { createChatCompletion, modelIdentity, streamChatCompletion } from './lib/llm/index.js';
+import { LLMError, sendLLMError } from './lib/llm/errors.js';
+import { SummaryParseError } from './lib/summarizer.js';
+import { processStructuredData, summarizeStoredDocument, summarizeWithCache } from './lib/pipeline.js';
+import { getProfile } from './lib/profileStore.js';
+import { DEFAULT_PROFILE_ID } from './lib/profiles.js';
+import { documentContentHashes, getDocument, retrieveFromDocuments } from './lib/documentStore.js';
+import { appendToSession, getSession } from './lib/sessionStore.js';
+import { citeChatAnswer } from './lib/citations.js';
+import { checkGrounding, notFoundAnswer } from './lib/grounding.js';
+import { ContextLimitError, fitChatContext } from './lib/chatContext.js';
+import { extractDocument, ExtractionError } from './lib/extractors/index.js';
+import { recognizeImage } from './lib/ocr.js';
+import { createJob } from './lib/jobs.js';
+import { accessibleTo, authenticate, limitModelUsage, requireAdmin, setUsageDocuments } from './lib/auth.js';
+import { detectLanguage, getLanguage, isLanguageChoice, LANGUAGES, resolveLanguage } from './lib/language.js';
+import { translateQuery } from './lib/translation.js';
+import { hashContent, withCache } from './lib/cache.js';
+import documentsRouter from './routes/documents.js';
+import sessionsRouter from './routes/sessions.js';
+import uploadsRouter from './routes/uploads.js';
+import jobsRouter from './routes/jobs.js';
+import profilesRouter from './routes/profiles.js';
+import usersRouter from './routes/users.js';
+import accountRouter from './routes/account.js';
+import comparisonsRouter from './routes/comparisons.js';
+import cacheRouter from './routes/cache.js';
+import usageRouter from './routes/usage.js';
+
+const app = express();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Browsers may only call the API from these origins (comma-separated)
+export const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+app.use(cors({
+    origin: CORS_ORIGINS,
+    // Download names and rate-limit waits are read by the frontend
+    exposedHeaders: ['Content-Disposition', 'Retry-After']
+}));
+app.use(express.json({ limit: '10mb' })); // long documents are posted as text
+
+const SUMMARY_MODES = ['auto', 'single', 'hierarchical'];
+const CHAT_CONTEXT_CHUNKS = Number(process.env.CHAT_CONTEXT_CHUNKS) || 6;
+// Bump when prompt changes should invalidate cached chat answers
+const CHAT_PROMPT_VERSION = 2;
+
+app.get('/', (req, res) => {
+    res.send('Backend Server is running');
+});
+
+// Every API route needs an API token (see lib/auth.js)
+app.use('/api', authenticate);
+
+// Accepts a single multipart `file` field and turns upload errors into JSON responses
+const withFileUpload = (handler) => (req, res) => {
+    upload.single('file')(req, res, (uploadError) => {
+        if (uploadError) {
+            const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: uploadError.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'File is required' });
+        }
+        handler(req, res);
+    });
+};
+
+// Text Extraction Endpoint: extracts a file synchronously without storing it.
+// The app uploads through /api/uploads, which keeps the file and reports progress.
+app.post('/api/extract', withFileUpload(async (req, res) => {
+    try {
+        const result = await extractDocument(req.file);
+        res.json(result);
+    } catch (error) {
+        if (error instanceof ExtractionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Extraction error:', error.message);
+        res.status(500).json({ error: 'Failed to extract text' });
+    }
+}));
+
+// OCR Endpoint: recognizes text in an uploaded image or a rendered PDF page
+app.post('/api/ocr', withFileUpload(async (req, res) => {
+    if (!req.file.mimetype.startsWith('image/')) {
+        return res.status(415).json({ error: 'OCR requires an image file' });
+    }
+
+    try {
+        const result = await recognizeImage(req.file.buffer);
+        res.json(result);
+    } catch (error) {
+        console.error('OCR error:', error.message);
+        res.status(500).json({ error: 'Failed to recognize text' });
+    }
+}));
+
+app.use('/api/documents', documentsRouter);
+app.use('/api/sessions', sessionsRouter);
+app.use('/api/uploads', uploadsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/profiles', profilesRouter);
+app.use('/api/users', requireAdmin, usersRouter);
+app.use('/api/account', accountRouter);
+app.use('/api/comparisons', comparisonsRouter);
+app.use('/api/cache', cacheRouter);
+app.use('/api/usage', requireAdmin, usageRouter);
+
+// Languages summaries, chat answers and translations can be written in
+app.get('/api/languages', (req, res) => {
+    res.json(LANGUAGES.map(({ code, name }) => ({ code, name })));
+});
+
+// Summarization Endpoint. Identical requests are answered from the cache
+// unless `refresh` is true.
+app.post('/api/summarize', limitModelUsage, async (req, res) => {
+    try {
+        const { documentId, mode, profileId, language, refresh = false } = req.body;
+        let { text } = req.body;
+
+        let document = null;
+        if (documentId) {
+            document = accessibleTo(req.user, await getDocument(documentId));
+            if (!document) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            text = document.text;
+        }
+
+        if (!text) {
+            return res.status(400).json({ error: 'Text is required' });
+        }
+
+        if (mode && !SUMMARY_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Mode must be one of: ${SUMMARY_MODES.join(', ')}` });
+        }
+
+        if (!isLanguageChoice(language)) {
+            return res.status(400).json({ error: 'Unsupported language' });
+        }
+
+        const profile = await getProfile(profileId || DEFAULT_PROFILE_ID);
+        if (!profile) {
+            return res.status(404).json({ error: 'Analysis profile not found' });
+        }
+
+        const summary = document
+            ? await summarizeStoredDocument(document, { mode, profile, language, refresh })
+            : await summarizeWithCache(text, { mode, profile, language: resolveLanguage(language, detectLanguage(text)), refresh });
+        res.json(summary);
+
+    } catch (error) {
+        if (error instanceof SummaryParseError) {
+            // The raw response quotes the document, so only its size is logged
+            console.error('JSON parsing error:', error.message, `(${error.raw.length} characters)`);
+            return res.status(500).json({ error: 'Failed to parse summary response', raw: error.raw });
+        }
+        console.error('Summarization error:', error.message);
+        if (sendLLMError(res, error)) return;
+        res.status(500).json({ error: 'Failed to generate summaries' });
+    }
+});
+
+// Structured Data Endpoint: queues the extraction of typed entities with
+// their pages, and tables detected in the original PDF. Responds with the job
+// to poll at /api/jobs/:id; the result is read from
+// /api/documents/:id/structured-data.
+app.post('/api/structured-data', limitModelUsage, async (req, res) => {
+    try {
+        const { documentId } = req.body;
+        if (!documentId) {
+            return res.status(400).json({ error: 'documentId is required' });
+        }
+
+        const document = accessibleTo(req.user, await getDocument(documentId));
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        res.status(202).json(createJob('structured-data', processStructuredData(document), { ownerId: req.user.id }));
+    } catch (error) {
+        console.error('Structured data error:', error.message);
+        res.status(500).json({ error: 'Failed to queue structured data extraction' });
+    }
+});
+
+const describeLocation = (chunk) => {
+    if (!chunk.pageStart) return `characters ${chunk.start}-${chunk.end}`;
+    return `page ${chunk.pageStart}${chunk.pageEnd !== chunk.pageStart ? `-${chunk.pageEnd}` : ''}`;
+};
+
+// Prepends the document excerpts most relevant to the latest question.
+// Answers are written in `language`, or without one in the question's.
+const buildDocumentChatMessages = (documents, messages, excerpts, language) => {
+    const context = excerpts
+        .map(({ document, chunk }, i) => `[${i + 1}] (Document: "${document.name}", ${describeLocation(chunk)})\n${chunk.text.trim()}`)
+        .join('\n\n');
+
+    const subject = documents.length === 1
+        ? `the document "${documents[0].name}"`
+        : `a workspace of ${documents.length} documents: ${documents.map(document => `"${document.name}"`).join(', ')}`;
+    const attribution = documents.length === 1
+        ? ''
+        : ' When the answer draws on several documents, say which document each part comes from.';
+    const answerLanguage = language
+        ? ` Always answer in ${language.name}, whatever language the question or the excerpts are written in.`
+        : ' Answer in the language the question is asked in, even when the excerpts are in another language.';
+
+    return [
+        {
+            role: 'user',
+            content: `You are a helpful assistant answering questions about ${subject}. The numbered excerpts below were selected from anywhere in the documents as the most relevant to the question. Only use information from these excerpts to answer questions. If they do not contain the answer, say so. After each statement, cite the excerpt it comes from by its number in square brackets, for example [2].${attribution}${answerLanguage}\n\nDocument excerpts:\n${context}`
+        },
+        {
+            role: 'assistant',
+            content: 'I understand. I will answer questions based only on the document content provided and cite the excerpts I use.'
+        },
+        ...messages
+    ];
+};
+
+// Search is lexical, so a question asked in another language than a
+// document is written in is also searched for in the document's language.
+// When the model cannot translate it, the question is searched for as asked.
+const crossLanguageQuery = async (query, documents) => {
+    const questionLanguage = detectLanguage(query, { minLength: 10 });
+    if (!questionLanguage) return query;
+    const documentLanguages = new Set(documents.map(document => document.language).filter(code => code && code !== questionLanguage));
+    const translations = [];
+    for (const code of documentLanguages) {
+        try {
+            translations.push(await translateQuery(query, getLanguage(code)));
+        } catch (error) {
+            if (!(error instanceof LLMError)) throw error;
+            console.error('Query translation error:', error.code);
+        }
+    }
+    return [query, ...translations].join('\n');
+};
+
+// The previous user turn is included in the query so short follow-ups
+// ("and the second one?") still retrieve the right passages.
+const retrieveExcerpts = async (documents, messages) => {
+    const userTurns = messages.filter(msg => msg.role === 'user').slice(-2);
+    const query = await crossLanguageQuery(userTurns.map(msg => msg.content).join('\n'), documents);
+    const limit = CHAT_CONTEXT_CHUNKS * Math.min(documents.length, 2);
+    return retrieveFromDocuments(documents, query, limit);
+};
+
+// Validates a chat request body and builds the prompt sent to the model,
+// trimmed to the model's context window (see lib/chatContext.js).
+// Accepts `documentIds` (a workspace) or a single `documentId`, and an
+// optional `sessionId` the exchange is saved to. `language` (a language code,
+// or 'auto' for the question's language) is the language answers are written in.
+// The documents and session must be visible to `user`.
+// Returns { status, error } when the request cannot be served.
+const prepareChat = async (body, user) => {
+    const { messages, documentId, sessionId, language } = body;
+    const documentIds = body.documentIds || (documentId ? [documentId] : []);
+
+    if (!messages || !Array.isArray(messages)) {
+        return { status: 400, error: 'Messages array is required' };
+    }
+
+    if (!Array.isArray(documentIds)) {
+        return { status: 400, error: 'documentIds must be an array' };
+    }
+
+    if (!isLanguageChoice(language)) {
+        return { status: 400, error: 'Unsupported language' };
+    }
+
+    if (sessionId && !accessibleTo(user, await getSession(sessionId))) {
+        return { status: 404, error: 'Chat session not found' };
+    }
+
+    const documents = await Promise.all(documentIds.map(async id => accessibleTo(user, await getDocument(id))));
+    if (documents.some(document => !document)) {
+        return { status: 404, error: 'Document not found' };
+    }
+
+    setUsageDocuments(documentIds);
+    const excerpts = documents.length ? await retrieveExcerpts(documents, messages) : [];
+    const answerLanguage = resolveLanguage(language);
+    const buildPrompt = (selected, turns) => (documents.length ? buildDocumentChatMessages(documents, turns, selected, answerLanguage) : turns);
+    try {
+        return {
+            sessionId,
+            documentIds,
+            contentHashes: documents.flatMap(documentContentHashes),
+            ...(await fitChatContext(messages, excerpts, buildPrompt))
+        };
+    } catch (error) {
+        if (error instanceof ContextLimitError) {
+            return { status: error.status, error: error.message };
+        }
+        throw error;
+    }
+};
+
+const latestQuestion = (messages) => [...messages].reverse().find(msg => msg.role === 'user');
+
+// Saves the latest question and its answer to the chat session, if any.
+// A failed save is logged but never costs the user the answer.
+const saveExchange = async (chat, messages, answer) => {
+    if (!chat.sessionId) return;
+    const question = latestQuestion(messages);
+    try {
+        await appendToSession(chat.sessionId, {
+            documentIds: chat.documentIds,
+            messages: [
+                ...(question ? [{ role: 'user', content: question.content }] : []),
+                { role: 'assistant', ...answer }
+            ]
+        });
+    } catch (error) {
+        console.error('Chat session save error:', error.message);
+    }
+};
+
+// Checks the answer against the excerpts it was written from (see
+// lib/grounding.js). An answer to a question the excerpts have nothing on is
+// replaced by a short "not found" reply. Resolves with { content, grounding }.
+const groundAnswer = async (chat, messages, content) => {
+    const grounding = await checkGrounding(latestQuestion(messages)?.content || '', content, chat.excerpts);
+    if (grounding?.status === 'not_found') {
+        return { content: notFoundAnswer(chat.documentIds.length), grounding };
+    }
+    return { content, grounding };
+};
+
+const citeAnswer = (chat, { content, grounding }) => (grounding?.status === 'not_found' ? [] : citeChatAnswer(content, chat.excerpts));
+
+// An identical prompt (the same excerpts, conversation and question) sent to
+// the same model is answered from the cache. `compute` resolves with the
+// grounded answer; answers whose check failed are not stored.
+const answerWithCache = (chat, compute) => withCache(
+    'answer',
+    { prompt: hashContent(JSON.stringify(chat.promptMessages)), model: modelIdentity(), version: CHAT_PROMPT_VERSION },
+    compute,
+    { contentHashes: chat.contentHashes, shouldStore: answer => answer.grounding?.status !== 'unchecked' }
+);
+
+// Chat Endpoint
+app.post('/api/chat', limitModelUsage, async (req, res) => {
+    try {
+        const chat = await prepareChat(req.body, req.user);
+        if (chat.error) {
+            return res.status(chat.status).json({ error: chat.error });
+        }
+
+        const { value: answer, cache } = await answerWithCache(chat, async () =>
+            groundAnswer(chat, req.body.messages, await createChatCompletion(chat.promptMessages)));
+        const citations = citeAnswer(chat, answer);
+        await saveExchange(chat, req.body.messages, { ...answer, citations, context: chat.context });
+        res.json({ ...answer, citations, context: chat.context, cached: Boolean(cache?.hit) });
+
+    } catch (error) {
+        console.error('Chat error:', error.message);
+        if (sendLLMError(res, error)) return;
+        res.status(500).json({ error: 'Failed to generate chat response' });
+    }
+});
+
+// Streaming Chat Endpoint (Server-Sent Events)
+// Emits a `context` event with the prompt's token usage, `token` events with
+// content deltas, then a single `done` event carrying the citations and the
+// grounding check, or an `error` event ({ error, code, retryAfter } when the
+// model failed). When the check finds the question is not covered by the
+// document, `done` also carries the `content` that replaces the streamed
+// answer. A cached answer arrives as one `token` event and `done` has
+// `cached: true`.
+app.post('/api/chat/stream', limitModelUsage, async (req, res) => {
+    let chat;
+    try {
+        chat = await prepareChat(req.body, req.user);
+    } catch (error) {
+        console.error('Chat error:', error.message);
+        if (sendLLMError(res, error)) return;
+        return res.status(500).json({ error: 'Failed to generate chat response' });
+    }
+    if (chat.error) {
+        return res.status(chat.status).json({ error: chat.error });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // The browser closing the connection (Stop button) cancels the upstream call
+    const upstream = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) upstream.abort();
+    });
+
+    sendEvent('context', chat.context);
+
+    let content = '';
+    try {
+        const { value: answer, cache } = await answerWithCache(chat, async () => {
+            for await (const delta of streamChatCompletion(chat.promptMessages, { signal: upstream.signal })) {
+                content += delta;
+                sendEvent('token', { content: delta });
+            }
+            return groundAnswer(chat, req.body.messages, content);
+        });
+        if (cache?.hit) {
+            sendEvent('token', { content: answer.content });
+        }
+
+        const citations = citeAnswer(chat, answer);
+        await saveExchange(chat, req.body.messages, { ...answer, citations, context: chat.context });
+        sendEvent('done', {
+            citations,
+            grounding: answer.grounding,
+            cached: Boolean(cache?.hit),
+            ...(!cache?.hit && answer.content !== content && { content: answer.content })
+        });
+    } catch (error) {
+        if (upstream.signal.aborted) {
+            // Keep what the user saw before pressing Stop
+            if (content) {
+                await saveExchange(chat, req.body.messages, { content, citations: [], context: chat.context, stopped: true });
+            }
+            return;
+        }
+        console.error('Chat stream error:', error.message);
+        sendEvent('error', error instanceof LLMError ? error.toJSON() : { error: 'Failed to generate chat response' });
+    }
+    res.end();
+});
+
+export default app;
\ No newline at end of file
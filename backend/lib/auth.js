@@ -0,0 +1,160 @@
+// API token authentication, per-user rate limits and daily token budgets.
+//   AUTH_DISABLED          true runs every request as a local admin without
+//                          limits (development only)
+//   RATE_LIMIT_PER_MINUTE  model requests per user per minute (0: unlimited)
+//   DAILY_TOKEN_BUDGET     model tokens per user per UTC day (0: unlimited)
+// Users can override both limits. The authenticated user is kept in an async
+// context for the rest of the request, so model calls made further down,
+// background jobs included, are charged to them and recorded in the usage
+// log with the request's route and documents. Documents, chat sessions,
+// comparisons and jobs belong to the user who created them; only admins see
+// other users' records.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { findUserByToken } from './userStore.js';
+import { recordTokenUsage, secondsUntilReset, tokensUsedToday } from './tokenBudget.js';
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE ?? 20);
+const DAILY_TOKEN_BUDGET = Number(process.env.DAILY_TOKEN_BUDGET ?? 200000);
+const RATE_WINDOW_MS = 60 * 1000;
+
+const LOCAL_USER = { id: 'local', name: 'Local user', role: 'admin', rateLimitPerMinute: 0, dailyTokenBudget: 0 };
+
+const requestContext = new AsyncLocalStorage();
+
+export const currentUser = () => requestContext.getStore()?.user || null;
+
+// Route of a request in usage records, with ids replaced so calls to the
+// same endpoint are counted together
+const routeOf = (req) => `${req.method} ${req.originalUrl.split('?')[0].replace(/\/[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}(?=\/|$)/gi, '/:id')}`;
+
+const runAsUser = (user, req, fn) => requestContext.run({ user, route: routeOf(req), documentIds: [] }, fn);
+
+// Sets the documents the current request's model calls are about
+export const setUsageDocuments = (documentIds) => {
+    const context = requestContext.getStore();
+    if (context) context.documentIds = documentIds;
+};
+
+// Who and what the current model call is for, as recorded in the usage log
+export const usageContext = () => {
+    const context = requestContext.getStore();
+    return { userId: context?.user.id ?? null, route: context?.route ?? null, documentIds: context?.documentIds ?? [] };
+};
+
+// Effective limits of a user: their own, or the server-wide defaults
+export const limitsOf = (user) => ({
+    rateLimitPerMinute: user.rateLimitPerMinute ?? RATE_LIMIT_PER_MINUTE,
+    dailyTokenBudget: user.dailyTokenBudget ?? DAILY_TOKEN_BUDGET
+});
+
+export const authenticate = async (req, res, next) => {
+    if (AUTH_DISABLED) {
+        req.user = LOCAL_USER;
+        return runAsUser(LOCAL_USER, req, next);
+    }
+
+    const token = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (!token) {
+        return res.status(401).json({ error: 'API token required' });
+    }
+
+    let user;
+    try {
+        user = await findUserByToken(token);
+    } catch (error) {
+        console.error('Authentication error:', error.message);
+        return res.status(500).json({ error: 'Failed to check API token' });
+    }
+    if (!user) {
+        return res.status(401).json({ error: 'Invalid API token' });
+    }
+
+    req.user = user;
+    runAsUser(user, req, next);
+};
+
+export const isAdmin = (user) => user?.role === 'admin';
+
+export const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+};
+
+// Returns `record` when `user` owns it or is an admin, otherwise null, so
+// routes answer 404 for other users' records as for missing ones. Records
+// stored before they had owners are left to admins.
+export const accessibleTo = (user, record) => {
+    if (!record) return null;
+    return isAdmin(user) || (record.ownerId && record.ownerId === user?.id) ? record : null;
+};
+
+// List filter for the records `user` may see: admins see everyone's
+export const ownerFilter = (user) => (isAdmin(user) ? {} : { ownerId: user.id });
+
+// Request timestamps per user within the last minute
+const recentRequests = new Map();
+
+let lastPruned = 0;
+
+// Forgets users without requests in the last minute, so the map does not
+// grow with every user ever seen. Runs at most once a minute.
+const pruneRecentRequests = (now) => {
+    if (now - lastPruned < RATE_WINDOW_MS) return;
+    lastPruned = now;
+    for (const [userId, times] of recentRequests) {
+        const recent = times.filter(time => time > now - RATE_WINDOW_MS);
+        if (recent.length) recentRequests.set(userId, recent);
+        else recentRequests.delete(userId);
+    }
+};
+
+// Counts a request against the user's per-minute limit. Returns the seconds
+// to wait when the limit is reached, otherwise 0.
+const hitRateLimit = (userId, limit) => {
+    const now = Date.now();
+    pruneRecentRequests(now);
+    const recent = (recentRequests.get(userId) || []).filter(time => time > now - RATE_WINDOW_MS);
+    if (recent.length >= limit) {
+        recentRequests.set(userId, recent);
+        return Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000);
+    }
+    recent.push(now);
+    recentRequests.set(userId, recent);
+    return 0;
+};
+
+// Guards routes that call the model
+export const limitModelUsage = async (req, res, next) => {
+    const { rateLimitPerMinute, dailyTokenBudget } = limitsOf(req.user);
+
+    try {
+        if (dailyTokenBudget > 0 && await tokensUsedToday(req.user.id) >= dailyTokenBudget) {
+            const retryAfter = secondsUntilReset();
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Daily token budget used up. It resets at midnight UTC.', code: 'token_budget_exceeded', retryAfter });
+        }
+    } catch (error) {
+        console.error('Token budget error:', error.message);
+        return res.status(500).json({ error: 'Failed to check token budget' });
+    }
+
+    if (rateLimitPerMinute > 0) {
+        const retryAfter = hitRateLimit(req.user.id, rateLimitPerMinute);
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: `Rate limit reached. Try again in ${retryAfter} seconds.`, code: 'rate_limited', retryAfter });
+        }
+    }
+    next();
+};
+
+// Charges model tokens to the current user, if any. Resolves once saved.
+export const chargeTokens = async (usage) => {
+    const user = currentUser();
+    if (!user) return;
+    await recordTokenUsage(user.id, usage);
+};
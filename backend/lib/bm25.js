@@ -0,0 +1,61 @@
+// Minimal in-memory BM25 index over document chunks.
+
+const K1 = 1.5;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not',
+    'of', 'on', 'or', 'our', 'so', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+    'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+    'will', 'with', 'would', 'you', 'your'
+]);
+
+export const tokenize = (text) => {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1 && !STOPWORDS.has(token));
+};
+
+export const createIndex = (chunks) => {
+    const docFreq = new Map();
+    const entries = chunks.map(chunk => {
+        const termFreq = new Map();
+        const tokens = tokenize(chunk.text);
+        for (const token of tokens) {
+            termFreq.set(token, (termFreq.get(token) || 0) + 1);
+        }
+        for (const token of termFreq.keys()) {
+            docFreq.set(token, (docFreq.get(token) || 0) + 1);
+        }
+        return { chunk, termFreq, length: tokens.length };
+    });
+
+    const avgLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+
+    const idf = (term) => {
+        const df = docFreq.get(term) || 0;
+        return Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+    };
+
+    const search = (query, limit = 5) => {
+        const terms = [...new Set(tokenize(query))];
+        if (!terms.length) return [];
+
+        return entries
+            .map(entry => {
+                let score = 0;
+                for (const term of terms) {
+                    const tf = entry.termFreq.get(term);
+                    if (!tf) continue;
+                    const norm = tf + K1 * (1 - B + B * entry.length / (avgLength || 1));
+                    score += idf(term) * (tf * (K1 + 1)) / norm;
+                }
+                return { chunk: entry.chunk, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    };
+
+    return { search };
+};
@@ -0,0 +1,81 @@
+// Result cache for work that depends only on its inputs: extracted text,
+// summaries and chat answers. Entries are keyed by a hash of the input
+// content plus everything else that shapes the result (prompt version,
+// profile, model), so the same document uploaded again, by anyone, reuses
+// the earlier result. Configured through the environment:
+//   CACHE_DISABLED=true   never read or write entries
+//   CACHE_MAX_AGE_DAYS    entries older than this are ignored (default 30)
+
+import crypto from 'crypto';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './storage.js';
+
+const COLLECTION = 'cache';
+const CACHE_DISABLED = process.env.CACHE_DISABLED === 'true';
+const CACHE_MAX_AGE_DAYS = Number(process.env.CACHE_MAX_AGE_DAYS) || 30;
+
+export const CACHE_KINDS = ['extraction', 'summary', 'answer'];
+
+// Hex SHA-256 of a string or buffer
+export const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const entryId = (kind, key) => hashContent(JSON.stringify([kind, key]));
+
+const isExpired = (entry) => Date.now() - Date.parse(entry.createdAt) > CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+// Listing view of an entry, without the cached value
+export const describeEntry = ({ value, ...entry }) => entry;
+
+// Returns the cached value for `key`, or computes, stores and returns it.
+// `key` is any JSON value; `contentHashes` are the hashes of the content the
+// result was made from, so entries can be found and invalidated per
+// document. With `refresh` the cache is skipped but the new result still
+// replaces the old one. `shouldStore(value)` can keep incomplete results out.
+// Resolves with { value, cache: { id, hit, createdAt } }.
+export const withCache = async (kind, key, compute, { contentHashes = [], refresh = false, shouldStore = () => true } = {}) => {
+    if (CACHE_DISABLED) {
+        return { value: await compute(), cache: null };
+    }
+
+    const id = entryId(kind, key);
+    if (!refresh) {
+        const entry = await readRecord(COLLECTION, id);
+        if (entry && !isExpired(entry)) {
+            await writeRecord(COLLECTION, { ...entry, hits: entry.hits + 1, lastHitAt: new Date().toISOString() });
+            return { value: entry.value, cache: { id, hit: true, createdAt: entry.createdAt } };
+        }
+    }
+
+    const value = await compute();
+    const createdAt = new Date().toISOString();
+    if (shouldStore(value)) {
+        await writeRecord(COLLECTION, { id, kind, key, contentHashes, value, hits: 0, createdAt, lastHitAt: null });
+    }
+    return { value, cache: { id, hit: false, createdAt } };
+};
+
+const matches = (entry, { kind, contentHashes }) =>
+    (!kind || entry.kind === kind) &&
+    (!contentHashes || entry.contentHashes.some(hash => contentHashes.includes(hash)));
+
+// Entries newest first, optionally only of one `kind` or made from any of
+// `contentHashes`
+export const listCacheEntries = async (filter = {}) => {
+    const entries = await listRecords(COLLECTION);
+    return entries
+        .filter(entry => matches(entry, filter))
+        .map(describeEntry)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const getCacheEntry = (id) => readRecord(COLLECTION, id);
+
+export const deleteCacheEntry = (id) => deleteRecord(COLLECTION, id);
+
+// Deletes the entries matching the filter of listCacheEntries; returns how
+// many were deleted
+export const clearCache = async (filter = {}) => {
+    const entries = await listRecords(COLLECTION);
+    const stale = entries.filter(entry => matches(entry, filter));
+    await Promise.all(stale.map(entry => deleteRecord(COLLECTION, entry.id)));
+    return stale.length;
+};
@@ -0,0 +1,155 @@
+// Fits a chat request into the model's context window. The latest question
+// always goes in, with as many document excerpts as fit (those with the
+// lowest search scores are dropped first). Earlier turns are kept newest first while they fit; the
+// turns that do not are replaced by a short model-written summary, or
+// dropped if summarizing fails.
+//   CHAT_RESPONSE_TOKENS  tokens kept free for the answer (default 1024)
+
+import crypto from 'crypto';
+import { createChatCompletion, getProvider } from './llm/index.js';
+import { contextWindow, countMessageTokens } from './llm/tokens.js';
+
+const CHAT_RESPONSE_TOKENS = Number(process.env.CHAT_RESPONSE_TOKENS) || 1024;
+// Room kept for the summary of earlier turns and its acknowledgement
+const SUMMARY_RESERVE_TOKENS = 400;
+const MAX_CACHED_SUMMARIES = 200;
+
+export class ContextLimitError extends Error {
+    constructor() {
+        super('The question is too long for the model\'s context window');
+        this.status = 413;
+    }
+}
+
+// Summaries of conversation prefixes, so a long conversation is summarized
+// incrementally instead of from scratch on every turn
+const summaries = new Map();
+
+const prefixKey = (turns) => crypto.createHash('sha256')
+    .update(JSON.stringify(turns.map(turn => [turn.role, turn.content])))
+    .digest('hex');
+
+const rememberSummary = (key, summary) => {
+    summaries.set(key, summary);
+    if (summaries.size > MAX_CACHED_SUMMARIES) {
+        summaries.delete(summaries.keys().next().value);
+    }
+};
+
+// The newest turns whose transcript fits in `limit` tokens
+const transcriptOf = (turns, model, limit) => {
+    const lines = [];
+    let used = 0;
+    for (const turn of [...turns].reverse()) {
+        const line = `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`;
+        used += countMessageTokens([{ content: line }], model);
+        if (used > limit) break;
+        lines.unshift(line);
+    }
+    return lines.join('\n\n');
+};
+
+const summarizeTurns = async (turns, model, limit) => {
+    const key = prefixKey(turns);
+    if (summaries.has(key)) return summaries.get(key);
+
+    // Extend the summary of the longest prefix summarized before, if any
+    let previous = null;
+    let from = 0;
+    for (let end = turns.length - 1; end > 0; end--) {
+        const cached = summaries.get(prefixKey(turns.slice(0, end)));
+        if (cached) {
+            previous = cached;
+            from = end;
+            break;
+        }
+    }
+
+    const content = await createChatCompletion([{
+        role: 'user',
+        content: `Summarize the conversation below between a user and an assistant discussing documents, in at most 120 words. Keep the questions asked, the facts established and any open points. Respond with the summary only.
+${previous ? `\nSummary of the conversation before this part:\n${previous}\n` : ''}
+Conversation:
+${transcriptOf(turns.slice(from), model, limit)}`
+    }]);
+    const summary = content.trim();
+    rememberSummary(key, summary);
+    return summary;
+};
+
+const summaryMessages = (summary) => [
+    { role: 'user', content: `Summary of our earlier conversation:\n${summary}` },
+    { role: 'assistant', content: 'Thanks, I will keep that in mind.' }
+];
+
+// Excerpts in the order they are dropped when the prompt is too long: lowest
+// search score first, and the later of two equally scored ones first
+const dropOrder = (excerpts) => excerpts
+    .map((excerpt, i) => ({ excerpt, i }))
+    .sort((a, b) => (a.excerpt.score ?? 0) - (b.excerpt.score ?? 0) || b.i - a.i)
+    .map(({ excerpt }) => excerpt);
+
+// `excerpts` ({ score } with their search scores) are in the order they go
+// into the prompt, which they keep when some are dropped.
+// `buildPrompt(excerpts, turns)` returns the messages sent to the model for a
+// selection of excerpts and conversation turns. Returns { promptMessages,
+// excerpts, context }: the excerpts actually sent, and a report of the
+// tokens used and what was trimmed.
+export const fitChatContext = async (messages, excerpts, buildPrompt) => {
+    const { model } = getProvider();
+    const window = contextWindow(model);
+    const budget = window - CHAT_RESPONSE_TOKENS;
+    const count = (prompt) => countMessageTokens(prompt, model);
+
+    const latest = messages.slice(-1);
+    const earlier = messages.slice(0, -1);
+
+    let selected = excerpts;
+    const dropping = dropOrder(excerpts);
+    while (dropping.length && count(buildPrompt(selected, latest)) > budget) {
+        const dropped = dropping.shift();
+        selected = selected.filter(excerpt => excerpt !== dropped);
+    }
+    const base = count(buildPrompt(selected, latest));
+    if (base > budget) {
+        throw new ContextLimitError();
+    }
+
+    let start = 0;
+    let summary = null;
+    if (base + count(earlier) > budget) {
+        // Newest turns first, starting the kept history on a user turn
+        let used = base + SUMMARY_RESERVE_TOKENS;
+        start = earlier.length;
+        while (start > 0 && used + count([earlier[start - 1]]) <= budget) {
+            used += count([earlier[start - 1]]);
+            start--;
+        }
+        while (start < earlier.length && earlier[start].role !== 'user') start++;
+
+        try {
+            summary = await summarizeTurns(earlier.slice(0, start), model, Math.floor(budget / 2));
+            if (count(summaryMessages(summary)) > SUMMARY_RESERVE_TOKENS) summary = null;
+        } catch (error) {
+            console.error('Conversation summary error:', error.message);
+        }
+    }
+
+    const turns = [...(summary ? summaryMessages(summary) : []), ...earlier.slice(start), ...latest];
+    const promptMessages = buildPrompt(selected, turns);
+    return {
+        promptMessages,
+        excerpts: selected,
+        context: {
+            model,
+            contextWindow: window,
+            promptTokens: count(promptMessages),
+            responseTokens: CHAT_RESPONSE_TOKENS,
+            earlierMessages: earlier.length,
+            summarizedMessages: summary ? start : 0,
+            droppedMessages: summary ? 0 : start,
+            excerptsUsed: selected.length,
+            excerptsDropped: excerpts.length - selected.length
+        }
+    };
+};
@@ -0,0 +1,52 @@
+// Splits document text into overlapping chunks that remember their
+// character offsets, so retrieved passages can be traced back to the source.
+
+const DEFAULT_CHUNK_SIZE = 1500;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+// Prefer to cut at a paragraph break, then a sentence end, then whitespace
+const findBreak = (text, start, end) => {
+    const minEnd = start + Math.floor((end - start) / 2);
+    const window = text.slice(minEnd, end);
+
+    const paragraph = window.lastIndexOf('\n\n');
+    if (paragraph !== -1) return minEnd + paragraph + 2;
+
+    const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    if (sentence !== -1) return minEnd + sentence + 2;
+
+    const space = window.lastIndexOf(' ');
+    if (space !== -1) return minEnd + space + 1;
+
+    return end;
+};
+
+export const chunkText = (text, { size = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) => {
+    const chunks = [];
+    if (!text) return chunks;
+
+    let start = 0;
+    while (start < text.length) {
+        let end = Math.min(start + size, text.length);
+        if (end < text.length) {
+            end = findBreak(text, start, end);
+        }
+
+        const chunk = text.slice(start, end);
+        if (chunk.trim()) {
+            chunks.push({ index: chunks.length, start, end, text: chunk });
+        }
+
+        if (end >= text.length) break;
+        start = Math.max(end - overlap, start + 1);
+    }
+
+    return chunks;
+};
+
+// Picks at most `limit` chunks spread evenly over the document
+export const selectChunks = (chunks, limit) => {
+    if (chunks.length <= limit) return chunks;
+    const step = chunks.length / limit;
+    return Array.from({ length: limit }, (_, i) => chunks[Math.floor(i * step)]);
+};
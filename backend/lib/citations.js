@@ -0,0 +1,110 @@
+// Links generated text back to the passages of the source document that
+// support it, as { page, snippet, start, end } citations.
+
+import { tokenize } from './bm25.js';
+import { summaryLayout } from './profiles.js';
+
+const MAX_SNIPPET_LENGTH = 300;
+
+// Returns the 1-based page containing a character offset, or null when the
+// document has no page information (e.g. plain text uploads).
+export const pageForOffset = (pages, offset) => {
+    if (!pages?.length) return null;
+    // Offsets that fall between pages (on the joining newline) belong to the page before
+    const page = pages.findLast(p => p.start <= offset);
+    return page ? page.page : pages[0].page;
+};
+
+const overlapScore = (claimTokens, text) => {
+    const tokens = new Set(tokenize(text));
+    if (!tokens.size || !claimTokens.size) return 0;
+    let shared = 0;
+    for (const token of claimTokens) {
+        if (tokens.has(token)) shared++;
+    }
+    return shared / claimTokens.size;
+};
+
+// Picks the sentence of a chunk that best matches the claim
+const findSnippet = (chunk, claim) => {
+    const claimTokens = new Set(tokenize(claim));
+    const sentences = [...chunk.text.matchAll(/[^.!?\n]+[.!?]*/g)]
+        .filter(match => match[0].trim().length > 20);
+
+    let best = null;
+    for (const match of sentences) {
+        const score = overlapScore(claimTokens, match[0]);
+        if (!best || score > best.score) {
+            best = { match, score };
+        }
+    }
+
+    if (!best) {
+        const text = chunk.text.trim().slice(0, MAX_SNIPPET_LENGTH);
+        return { start: chunk.start + chunk.text.indexOf(text), text, score: 0 };
+    }
+
+    const raw = best.match[0];
+    const leading = raw.length - raw.trimStart().length;
+    const text = raw.trim().slice(0, MAX_SNIPPET_LENGTH);
+    return { start: chunk.start + best.match.index + leading, text, score: best.score };
+};
+
+export const buildCitation = (document, chunk, claim) => {
+    const snippet = findSnippet(chunk, claim);
+    return {
+        documentId: document.id,
+        documentName: document.name,
+        page: pageForOffset(document.pages, snippet.start),
+        snippet: snippet.text,
+        start: snippet.start,
+        end: snippet.start + snippet.text.length
+    };
+};
+
+// Finds the passage of the whole document that best supports a claim
+export const citeClaim = (document, claim) => {
+    const [result] = document.index.search(claim, 1);
+    return result ? [buildCitation(document, result.chunk, claim)] : [];
+};
+
+// Cites every item of the summary's list sections, keyed like the summary
+export const citeSummary = (document, summary) => Object.fromEntries(
+    summaryLayout(summary)
+        .filter(section => section.type === 'list')
+        .map(section => [section.key, (summary[section.key] || []).map(item => citeClaim(document, item))])
+);
+
+// Resolves the [n] excerpt markers the model put in its answer. `excerpts`
+// are the { document, chunk } pairs the prompt was numbered from. When the
+// model ignored the instruction, the excerpt sharing most words with the
+// answer is cited instead.
+export const citeChatAnswer = (answer, excerpts) => {
+    const citations = [];
+    const seen = new Set();
+
+    for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+        const id = Number(match[1]);
+        const excerpt = excerpts[id - 1];
+        if (!excerpt || seen.has(id)) continue;
+        seen.add(id);
+
+        // Quote the sentence that best supports the sentence carrying the marker
+        const sentenceStart = Math.max(answer.lastIndexOf('.', match.index - 1), answer.lastIndexOf('\n', match.index - 1)) + 1;
+        const claim = answer.slice(sentenceStart, match.index) || answer;
+        citations.push({ id, ...buildCitation(excerpt.document, excerpt.chunk, claim) });
+    }
+
+    if (!citations.length && excerpts.length) {
+        const answerTokens = new Set(tokenize(answer));
+        const ranked = excerpts
+            .map((excerpt, i) => ({ excerpt, id: i + 1, score: overlapScore(answerTokens, excerpt.chunk.text) }))
+            .sort((a, b) => b.score - a.score);
+        if (ranked[0].score > 0) {
+            const { excerpt, id } = ranked[0];
+            citations.push({ id, ...buildCitation(excerpt.document, excerpt.chunk, answer) });
+        }
+    }
+
+    return citations;
+};
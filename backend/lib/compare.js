@@ -0,0 +1,365 @@
+// Semantic comparison of two versions of a document. Both texts are split
+// into sections (at headings, or into paragraph blocks when there are none),
+// sections are paired by title and content so renumbered or moved sections
+// still match, and each pair is diffed sentence by sentence. The model then
+// explains every change and writes an overview; changes it judges cosmetic
+// are kept but marked as such.
+
+import Ajv from 'ajv';
+import { tokenize } from './bm25.js';
+import { createChatCompletion } from './llm/index.js';
+import { formatSpec, normalizeSection, profileSchema } from './profiles.js';
+import { parseSummaryContent, SummaryParseError } from './summarizer.js';
+import { validateSections } from './summarySchema.js';
+import { recordParseFailure } from './usage.js';
+
+const MAX_EXPLAINED_SECTIONS = Number(process.env.COMPARE_MAX_SECTIONS) || 20;
+const PARAGRAPH_BLOCK_SIZE = 2000;
+// Minimum pairing score: shared content, plus a bonus for the same title
+const MATCH_THRESHOLD = 0.35;
+// Longer sections are reported as one rewritten block instead of diffed
+const MAX_DIFF_SENTENCES = 400;
+const MAX_CHANGES_PER_PROMPT = 12;
+const MAX_CHANGE_CHARS = 1500;
+const MAX_OVERVIEW_INPUT_CHARS = 12000;
+
+export const CHANGE_TYPES = ['added', 'removed', 'reworded', 'cosmetic'];
+
+const ajv = new Ajv({ allErrors: true });
+
+const validateExplanations = ajv.compile({
+    type: 'object',
+    properties: {
+        changes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', minimum: 1 },
+                    type: { enum: CHANGE_TYPES },
+                    explanation: { type: 'string', minLength: 5, maxLength: 800 }
+                },
+                required: ['id', 'type', 'explanation']
+            }
+        }
+    },
+    required: ['changes']
+});
+
+// Shaped like an analysis profile so the prompt and validation are shared
+const OVERVIEW_FORMAT = {
+    sections: [normalizeSection({
+        key: 'overview',
+        title: 'Overview',
+        type: 'text',
+        description: '3-5 sentence overview of what changed and what matters most',
+        minLength: 20,
+        maxLength: 2000
+    })]
+};
+
+const KEYWORD_HEADING = /^(?:section|article|chapter|part|clause|schedule|appendix|annex)\s+[\dIVXLC]+\b/i;
+const NUMBERED_HEADING = /^(?:\d+(?:\.\d+)*[.)]?|[IVXLC]+[.)])\s+\p{Lu}/u;
+
+const isHeading = (line) => {
+    const text = line.trim();
+    if (text.length < 3 || text.length > 100) return false;
+    if (/^#{1,6}\s/.test(text) || KEYWORD_HEADING.test(text)) return true;
+    // Sentences end with punctuation, headings do not
+    if (/[.;,:]$/.test(text)) return false;
+    const words = text.split(/\s+/).length;
+    if (NUMBERED_HEADING.test(text)) return words <= 12;
+    return words <= 10 && /\p{Lu}{3}/u.test(text) && text === text.toUpperCase();
+};
+
+// Heading without its numbering, so "4. Termination" matches "5. Termination"
+const titleKey = (title) => title
+    .toLowerCase()
+    .replace(/^(?:section|article|chapter|part|clause|schedule|appendix|annex)\s+/, '')
+    .replace(/^(?:\d+(?:\.\d+)*[.)]?|[ivxlc]+[.)])\s+/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Paragraphs grouped into blocks of about PARAGRAPH_BLOCK_SIZE characters,
+// titled by their opening words
+const paragraphBlocks = (text) => {
+    const blocks = [];
+    let current = null;
+    for (const match of text.matchAll(/[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g)) {
+        if (!match[0].trim()) continue;
+        const end = match.index + match[0].length;
+        if (current && end - current.start <= PARAGRAPH_BLOCK_SIZE) {
+            current.end = end;
+        } else {
+            current = { start: match.index, end };
+            blocks.push(current);
+        }
+    }
+    return blocks.map(({ start, end }) => {
+        const body = text.slice(start, end).trim();
+        const words = body.split(/\s+/);
+        return { title: `${words.slice(0, 8).join(' ')}${words.length > 8 ? '…' : ''}`, key: '', start, end, body };
+    });
+};
+
+// Returns [{ title, key, start, end, body }]: the document's sections with
+// their character range and text without the heading line
+export const splitSections = (text) => {
+    const headings = [];
+    let offset = 0;
+    for (const line of text.split('\n')) {
+        if (isHeading(line)) headings.push({ title: line.trim().replace(/^#+\s*/, ''), start: offset, bodyStart: offset + line.length });
+        offset += line.length + 1;
+    }
+    if (headings.length < 2) return paragraphBlocks(text);
+
+    const sections = [];
+    if (text.slice(0, headings[0].start).trim()) {
+        sections.push({ title: 'Opening', start: 0, bodyStart: 0, end: headings[0].start });
+    }
+    headings.forEach((heading, i) => {
+        sections.push({ ...heading, end: headings[i + 1]?.start ?? text.length });
+    });
+    return sections.map(({ title, start, bodyStart, end }) => ({
+        title,
+        key: title === 'Opening' && bodyStart === 0 ? 'opening' : titleKey(title),
+        start,
+        end,
+        body: text.slice(bodyStart, end).trim()
+    }));
+};
+
+const dice = (a, b) => {
+    if (!a.size && !b.size) return 1;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return (2 * shared) / (a.size + b.size);
+};
+
+// Pairs each base section with at most one target section, best matches
+// first. Returns a Map of base index to target index.
+const pairSections = (baseSections, targetSections) => {
+    const baseTokens = baseSections.map(section => new Set(tokenize(section.body)));
+    const targetTokens = targetSections.map(section => new Set(tokenize(section.body)));
+
+    const candidates = [];
+    baseSections.forEach((base, i) => {
+        targetSections.forEach((target, j) => {
+            const content = dice(baseTokens[i], targetTokens[j]);
+            const score = base.key && base.key === target.key ? 0.5 + 0.5 * content : content;
+            if (score >= MATCH_THRESHOLD) candidates.push({ i, j, score });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const pairs = new Map();
+    const pairedTargets = new Set();
+    for (const { i, j } of candidates) {
+        if (pairs.has(i) || pairedTargets.has(j)) continue;
+        pairs.set(i, j);
+        pairedTargets.add(j);
+    }
+    return pairs;
+};
+
+const splitSentences = (text) => [...text.matchAll(/[^.!?\n]+(?:[.!?]+|$)/gm)]
+    .map(match => match[0].trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+
+const normalizeSentence = (sentence) => sentence.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Sentence-level diff of two texts as changes { type, before, after }.
+// Whitespace and punctuation differences are ignored.
+export const diffTexts = (before, after) => {
+    const a = splitSentences(before);
+    const b = splitSentences(after);
+    const keysA = a.map(normalizeSentence);
+    const keysB = b.map(normalizeSentence);
+    if (keysA.join(' ') === keysB.join(' ')) return [];
+    if (a.length > MAX_DIFF_SENTENCES || b.length > MAX_DIFF_SENTENCES) {
+        return [{ type: 'reworded', before: before.trim(), after: after.trim() }];
+    }
+
+    // Longest common subsequence of sentences
+    const width = b.length + 1;
+    const lengths = new Uint16Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = keysA[i] === keysB[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    // Consecutive removed and added sentences form one change
+    const changes = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        if (removed.length || added.length) {
+            const type = removed.length && added.length ? 'reworded' : removed.length ? 'removed' : 'added';
+            changes.push({ type, before: removed.join(' '), after: added.join(' ') });
+        }
+        removed = [];
+        added = [];
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && keysA[i] === keysB[j]) {
+            flush();
+            i++;
+            j++;
+        } else if (j >= b.length || (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+            removed.push(a[i++]);
+        } else {
+            added.push(b[j++]);
+        }
+    }
+    flush();
+    return changes;
+};
+
+// Aligns the sections of two texts. Sections follow the target's order, with
+// removed sections placed after the section that preceded them in the base.
+export const alignSections = (baseText, targetText) => {
+    const baseSections = splitSections(baseText);
+    const targetSections = splitSections(targetText);
+    const pairs = pairSections(baseSections, targetSections);
+    const targetToBase = new Map([...pairs].map(([i, j]) => [j, i]));
+
+    const range = (section) => ({ start: section.start, end: section.end });
+    const entries = targetSections.map((target, j) => {
+        if (!targetToBase.has(j)) {
+            return { order: j, section: { status: 'added', title: target.title, target: range(target), changes: [{ type: 'added', before: '', after: target.body }] } };
+        }
+        const base = baseSections[targetToBase.get(j)];
+        const changes = diffTexts(base.body, target.body);
+        return {
+            order: j,
+            section: {
+                status: changes.length ? 'modified' : 'unchanged',
+                title: target.title,
+                ...(base.title !== target.title ? { previousTitle: base.title } : {}),
+                base: range(base),
+                target: range(target),
+                changes
+            }
+        };
+    });
+
+    baseSections.forEach((base, i) => {
+        if (pairs.has(i)) return;
+        let previous = i - 1;
+        while (previous >= 0 && !pairs.has(previous)) previous--;
+        const after = previous >= 0 ? pairs.get(previous) : -1;
+        entries.push({ order: after + 0.5 + i / (baseSections.length + 1), section: { status: 'removed', title: base.title, base: range(base), changes: [{ type: 'removed', before: base.body, after: '' }] } });
+    });
+
+    return entries.sort((a, b) => a.order - b.order).map(entry => entry.section);
+};
+
+// One line of at most MAX_CHANGE_CHARS characters
+const clip = (text) => {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > MAX_CHANGE_CHARS ? `${line.slice(0, MAX_CHANGE_CHARS)}…` : line;
+};
+
+const explainPrompt = (section, changes) => `Explain the changes between two versions of the section "${section.title}" of a document. For each numbered change, say in one or two sentences what changed in meaning and why it could matter to a reader. Set "type" to "added" for new content, "removed" for deleted content, "reworded" for a change in meaning, or "cosmetic" when the wording changed but the meaning did not. Respond ONLY with valid JSON (no markdown, no backticks, no preamble).
+
+${changes.map((change, i) => `Change ${i + 1}:
+Before: ${change.before ? clip(change.before) : '(nothing)'}
+After: ${change.after ? clip(change.after) : '(nothing)'}`).join('\n\n')}
+
+Required JSON format:
+{
+  "changes": [
+    { "id": 1, "type": "reworded", "explanation": "what changed and why it matters" }
+  ]
+}`;
+
+// Adds the model's { type, explanation } to a section's changes. Changes the
+// model skipped, or all of them when its answer is unusable, keep their
+// diff type and get no explanation.
+const explainSection = async (section) => {
+    const explained = section.changes.slice(0, MAX_CHANGES_PER_PROMPT);
+    try {
+        const content = await createChatCompletion([{ role: 'user', content: explainPrompt(section, explained) }]);
+        const data = parseSummaryContent(content);
+        if (!validateExplanations(data)) {
+            recordParseFailure('invalid_format');
+            throw new SummaryParseError(content);
+        }
+        const byId = new Map(data.changes.map(change => [change.id, change]));
+        section.changes = section.changes.map((change, i) => {
+            const explanation = byId.get(i + 1);
+            return explanation ? { ...change, type: explanation.type, explanation: explanation.explanation.trim() } : change;
+        });
+    } catch (error) {
+        if (!(error instanceof SummaryParseError)) throw error;
+        // Titles are document content, which stays out of the logs
+        console.error('A change explanation was not valid JSON');
+        section.explanationFailed = true;
+    }
+};
+
+const overviewPrompt = (baseName, targetName, sections) => {
+    const lines = [];
+    let length = 0;
+    for (const section of sections) {
+        for (const change of section.changes) {
+            const line = `- ${section.title} (${change.type}): ${change.explanation || clip(change.after || change.before)}`;
+            length += line.length;
+            if (length > MAX_OVERVIEW_INPUT_CHARS) break;
+            lines.push(line);
+        }
+    }
+    return `Below are the changes between two versions of a document, "${baseName}" (old) and "${targetName}" (new), section by section. Write an overview of what changed and what matters most to a reader. Respond ONLY with valid JSON (no markdown, no backticks, no preamble).
+
+Changes:
+${lines.join('\n')}
+
+${formatSpec(OVERVIEW_FORMAT)}`;
+};
+
+// Compares two stored documents. onProgress({ stage, current, total }) is
+// called before each model step. Returns { overview, sections, stats }.
+export const compareDocuments = async (base, target, { onProgress = () => {} } = {}) => {
+    const sections = alignSections(base.text, target.text);
+    const changed = sections.filter(section => section.status !== 'unchanged');
+    const explained = changed.slice(0, MAX_EXPLAINED_SECTIONS);
+
+    // Sequential for the same rate-limit reason as summarization
+    for (const [i, section] of explained.entries()) {
+        onProgress({ stage: 'comparing', current: i + 1, total: explained.length });
+        await explainSection(section);
+    }
+
+    let overview = changed.length ? null : 'The two versions have the same content.';
+    if (changed.length) {
+        onProgress({ stage: 'overview' });
+        try {
+            const content = await createChatCompletion([{ role: 'user', content: overviewPrompt(base.name, target.name, changed) }]);
+            overview = validateSections(parseSummaryContent(content), profileSchema(OVERVIEW_FORMAT)).sections.overview || null;
+        } catch (error) {
+            if (!(error instanceof SummaryParseError)) throw error;
+            console.error('Comparison overview was not valid JSON');
+        }
+    }
+
+    const count = (status) => sections.filter(section => section.status === status).length;
+    return {
+        overview,
+        sections,
+        stats: {
+            added: count('added'),
+            removed: count('removed'),
+            modified: count('modified'),
+            unchanged: count('unchanged'),
+            explainedSections: explained.length,
+            unexplainedSections: changed.length - explained.length
+        }
+    };
+};
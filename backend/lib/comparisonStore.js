@@ -0,0 +1,44 @@
+// Saved comparisons between two versions of a document.
+
+import crypto from 'crypto';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './storage.js';
+
+const COLLECTION = 'comparisons';
+
+export const saveComparison = ({ base, target, overview, sections, stats, ownerId = null }) => writeRecord(COLLECTION, {
+    id: crypto.randomUUID(),
+    ownerId,
+    baseDocumentId: base.id,
+    baseName: base.name,
+    targetDocumentId: target.id,
+    targetName: target.name,
+    overview,
+    sections,
+    stats,
+    createdAt: new Date().toISOString()
+});
+
+export const getComparison = (id) => readRecord(COLLECTION, id);
+
+export const deleteComparison = (id) => deleteRecord(COLLECTION, id);
+
+// Comparisons newest first, optionally only one user's or those involving
+// one document
+export const listComparisons = async ({ documentId, ownerId } = {}) => {
+    const comparisons = await listRecords(COLLECTION);
+    return comparisons
+        .filter(comparison => !ownerId || comparison.ownerId === ownerId)
+        .filter(comparison => !documentId || [comparison.baseDocumentId, comparison.targetDocumentId].includes(documentId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(({ sections, ...comparison }) => comparison);
+};
+
+// Removes the comparisons of a deleted document
+export const deleteComparisonsOf = async (documentId) => {
+    const comparisons = await listRecords(COLLECTION);
+    for (const comparison of comparisons) {
+        if ([comparison.baseDocumentId, comparison.targetDocumentId].includes(documentId)) {
+            await deleteRecord(COLLECTION, comparison.id);
+        }
+    }
+};
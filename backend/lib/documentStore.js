@@ -0,0 +1,161 @@
+// Document library. Records are persisted with the JSON file store; the
+// chunked BM25 index is rebuilt in memory the first time a document is used.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { chunkText } from './chunker.js';
+import { createIndex } from './bm25.js';
+import { pageForOffset } from './citations.js';
+import { detectLanguage } from './language.js';
+import { hashContent } from './cache.js';
+import { dataDir, deleteRecord, listRecords, readRecord, writeRecord } from './storage.js';
+
+const COLLECTION = 'documents';
+// Originally uploaded files, stored as files/<document id>
+const FILES_DIR = 'files';
+
+// id -> record with `chunks` and `index` attached
+const indexed = new Map();
+
+// Page offsets are [{ page, start, end }] ranges into `text`, when known
+const normalizePages = (pages, textLength) => {
+    if (!Array.isArray(pages)) return null;
+    const valid = pages.filter(p =>
+        Number.isInteger(p.page) && Number.isInteger(p.start) && Number.isInteger(p.end) &&
+        p.start >= 0 && p.start <= p.end && p.end <= textLength
+    );
+    return valid.length ? valid.sort((a, b) => a.start - b.start) : null;
+};
+
+const withIndex = (record) => {
+    const chunks = chunkText(record.text).map(chunk => ({
+        ...chunk,
+        pageStart: pageForOffset(record.pages, chunk.start),
+        pageEnd: pageForOffset(record.pages, Math.max(chunk.start, chunk.end - 1))
+    }));
+    const document = { ...record, chunks, index: createIndex(chunks) };
+    indexed.set(document.id, document);
+    return document;
+};
+
+// Strips the in-memory index before writing
+const toRecord = ({ chunks, index, ...record }) => record;
+
+// `file` ({ name, mimeType, size, hash }) describes the original upload, if
+// it was kept; `ownerId` is the id of the user who added the document
+export const addDocument = async ({ text, name, pages, ocr, file = null, ownerId = null }) => {
+    const now = new Date().toISOString();
+    const record = {
+        id: crypto.randomUUID(),
+        ownerId,
+        name: name || 'Untitled document',
+        text,
+        pages: normalizePages(pages, text.length),
+        ocr: Array.isArray(ocr) ? ocr : [],
+        file,
+        language: detectLanguage(text),
+        contentHash: hashContent(text),
+        summaries: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    await writeRecord(COLLECTION, record);
+    return withIndex(record);
+};
+
+export const getDocument = async (id) => {
+    if (indexed.has(id)) return indexed.get(id);
+    const record = await readRecord(COLLECTION, id);
+    return record ? withIndex(record) : null;
+};
+
+// Applies `changes` to a stored document; returns null if it does not exist
+export const updateDocument = async (id, changes) => {
+    const document = await getDocument(id);
+    if (!document) return null;
+    const updated = { ...document, ...changes, updatedAt: new Date().toISOString() };
+    await writeRecord(COLLECTION, toRecord(updated));
+    indexed.set(id, updated);
+    return updated;
+};
+
+export const documentFilePath = (id) => dataDir(FILES_DIR, id);
+
+// Moves an uploaded file into place as the document's original
+export const storeDocumentFile = async (id, sourcePath) => {
+    await fs.mkdir(dataDir(FILES_DIR), { recursive: true });
+    await fs.rename(sourcePath, documentFilePath(id));
+};
+
+export const deleteDocument = async (id) => {
+    indexed.delete(id);
+    const deleted = await deleteRecord(COLLECTION, id);
+    if (deleted) {
+        await fs.rm(documentFilePath(id), { force: true });
+    }
+    return deleted;
+};
+
+// Library listing without the (potentially large) text, optionally only
+// one user's documents
+export const listDocuments = async ({ ownerId } = {}) => {
+    const records = await listRecords(COLLECTION);
+    return records
+        .filter(record => !ownerId || record.ownerId === ownerId)
+        .map(describeDocument)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Hashes of the document's content in the result cache: its text and, when
+// kept, its original file. Documents stored before the cache lack `contentHash`.
+export const documentContentHashes = (document) =>
+    [document.contentHash || hashContent(document.text), document.file?.hash].filter(Boolean);
+
+// Content hashes of every document, or only one user's
+export const listContentHashes = async ({ ownerId } = {}) => {
+    const records = await listRecords(COLLECTION);
+    return records
+        .filter(record => !ownerId || record.ownerId === ownerId)
+        .flatMap(documentContentHashes);
+};
+
+export const describeDocument = (document) => ({
+    id: document.id,
+    name: document.name,
+    length: document.text.length,
+    pageCount: document.pages ? document.pages.length : null,
+    language: document.language || null,
+    hasFile: Boolean(document.file),
+    hasSummary: Boolean(document.summaries),
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+});
+
+// Returns the best-matching chunks for a query as [{ chunk, score }] with
+// their BM25 scores, re-ordered by their position in the document so the
+// model reads them in context.
+export const retrieveChunks = (document, query, limit = 6) => {
+    const results = document.index.search(query, limit);
+
+    // Nothing matched lexically (e.g. "summarize this"): fall back to chunks
+    // spread evenly across the whole document instead of just the opening.
+    if (!results.length) {
+        const step = Math.max(1, Math.floor(document.chunks.length / limit));
+        return document.chunks
+            .filter((_, i) => i % step === 0)
+            .slice(0, limit)
+            .map(chunk => ({ chunk, score: 0 }));
+    }
+
+    return results.sort((a, b) => a.chunk.start - b.chunk.start);
+};
+
+// Retrieves excerpts across several documents. Each document gets an equal
+// share of the budget so one long document cannot crowd out the others.
+// Returns [{ document, chunk, score }] grouped by document, in document order.
+export const retrieveFromDocuments = (documents, query, limit = 6) => {
+    const perDocument = Math.max(1, Math.ceil(limit / documents.length));
+    return documents.flatMap(document =>
+        retrieveChunks(document, query, perDocument).map(({ chunk, score }) => ({ document, chunk, score }))
+    );
+};
@@ -0,0 +1,124 @@
+// Typed entity extraction. The model lists the people, organizations, dates
+// and amounts in each part of the document; only values that occur in the
+// text are kept, so every entity can be traced to the pages it appears on.
+
+import { chunkText, selectChunks } from './chunker.js';
+import { createChatCompletion } from './llm/index.js';
+import { buildCitation, pageForOffset } from './citations.js';
+import { formatSpec, normalizeSection, profileSchema } from './profiles.js';
+import { parseSummaryContent, SummaryParseError } from './summarizer.js';
+import { validateSections } from './summarySchema.js';
+
+const ENTITY_CHUNK_SIZE = 12000;
+const MAX_ENTITY_CHUNKS = Number(process.env.ENTITY_MAX_CHUNKS) || 24;
+// Occurrences located per entity; enough for page lists without scanning forever
+const MAX_OCCURRENCES = 200;
+
+const ENTITY_TYPES = [
+    { key: 'people', type: 'person', description: 'full name of a person' },
+    { key: 'organizations', type: 'organization', description: 'company, agency or institution name' },
+    { key: 'dates', type: 'date', description: 'date or period exactly as written' },
+    { key: 'amounts', type: 'money', description: 'monetary amount with its currency exactly as written' }
+];
+
+export const ENTITY_TYPE_NAMES = ENTITY_TYPES.map(entityType => entityType.type);
+
+// Shaped like an analysis profile so prompts and validation are shared
+const ENTITY_FORMAT = {
+    sections: ENTITY_TYPES.map(({ key, description }) => normalizeSection({
+        key,
+        title: key,
+        type: 'list',
+        description,
+        items: 2,
+        minItems: 0,
+        maxItems: 50
+    }))
+};
+
+const entityPrompt = (text) => `List the named entities in this document text: every distinct person, organization, date and monetary amount. Copy each one exactly as it is written in the text and use an empty list for types that do not occur. Respond ONLY with valid JSON (no markdown, no backticks, no preamble).
+
+Document text:
+${text}
+
+${formatSpec(ENTITY_FORMAT)}`;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Start offsets of a value in the text, ignoring case and whitespace differences
+const findOccurrences = (text, value) => {
+    const pattern = new RegExp(escapeRegExp(value).replace(/\s+/g, '\\s+'), 'gi');
+    const offsets = [];
+    for (const match of text.matchAll(pattern)) {
+        offsets.push(match.index);
+        if (offsets.length >= MAX_OCCURRENCES) break;
+    }
+    return offsets;
+};
+
+const locateEntity = (document, type, value) => {
+    const offsets = findOccurrences(document.text, value);
+    if (!offsets.length) return null;
+
+    const pages = [...new Set(offsets.map(offset => pageForOffset(document.pages, offset)).filter(Boolean))];
+    const chunk = document.chunks.find(c => c.start <= offsets[0] && offsets[0] < c.end);
+    return {
+        type,
+        value,
+        count: offsets.length,
+        pages,
+        start: offsets[0],
+        citation: chunk ? buildCitation(document, chunk, value) : null
+    };
+};
+
+// Returns { entities, meta }. Entities are { type, value, count, pages,
+// start, citation }, ordered by type and then by first appearance.
+// `onProgress` receives { stage: 'entities', current, total } per part.
+export const extractEntities = async (document, { onProgress = () => {} } = {}) => {
+    const chunks = chunkText(document.text, { size: ENTITY_CHUNK_SIZE, overlap: 0 });
+    const selected = selectChunks(chunks, MAX_ENTITY_CHUNKS);
+    const candidates = new Map(ENTITY_TYPES.map(({ key }) => [key, new Map()]));
+    const failedChunks = [];
+
+    // Sequential for the same rate-limit reason as summarization
+    for (const [i, chunk] of selected.entries()) {
+        onProgress({ stage: 'entities', current: i + 1, total: selected.length });
+        try {
+            const content = await createChatCompletion([{ role: 'user', content: entityPrompt(chunk.text) }]);
+            const { sections } = validateSections(parseSummaryContent(content), profileSchema(ENTITY_FORMAT));
+            for (const [key, values] of Object.entries(sections)) {
+                for (const value of values) {
+                    const trimmed = value.trim();
+                    const id = trimmed.toLowerCase();
+                    if (trimmed && !candidates.get(key).has(id)) candidates.get(key).set(id, trimmed);
+                }
+            }
+        } catch (error) {
+            if (!(error instanceof SummaryParseError)) throw error;
+            console.error(`Entity extraction returned invalid JSON for chunk ${chunk.index}`);
+            failedChunks.push(chunk.index);
+        }
+    }
+
+    const entities = ENTITY_TYPES.flatMap(({ key, type }) =>
+        [...candidates.get(key).values()]
+            .map(value => locateEntity(document, type, value))
+            .filter(Boolean)
+            .sort((a, b) => a.start - b.start)
+    );
+
+    const coveredChars = selected
+        .filter(chunk => !failedChunks.includes(chunk.index))
+        .reduce((sum, chunk) => sum + (chunk.end - chunk.start), 0);
+
+    return {
+        entities,
+        meta: {
+            totalChunks: chunks.length,
+            processedChunks: selected.length - failedChunks.length,
+            failedChunks,
+            coverage: Number((coveredChars / document.text.length).toFixed(3))
+        }
+    };
+};
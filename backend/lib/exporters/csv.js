@@ -0,0 +1,12 @@
+// RFC 4180 CSV: fields with commas, quotes or line breaks are quoted
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+export const entitiesToCsv = (entities) => toCsv([
+    ['type', 'value', 'count', 'pages'],
+    ...entities.map(entity => [entity.type, entity.value, entity.count, entity.pages.join(' ')])
+]);
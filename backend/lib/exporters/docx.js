@@ -0,0 +1,47 @@
+import { Document, HeadingLevel, Packer, Paragraph, TextRun } from 'docx';
+import { formatCitation } from './report.js';
+
+const citationParagraph = (citation) => new Paragraph({
+    indent: { left: 720 },
+    children: [new TextRun({ text: formatCitation(citation), italics: true, size: 18, color: '4B5563' })]
+});
+
+export const renderDocx = async (report) => {
+    const children = [
+        new Paragraph({ text: report.title, heading: HeadingLevel.TITLE }),
+        ...report.metadata.map(({ label, value }) => new Paragraph({
+            children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)]
+        }))
+    ];
+
+    for (const section of report.sections) {
+        children.push(new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_1 }));
+        if (section.type === 'text') {
+            children.push(new Paragraph(section.text));
+        } else if (section.type === 'tags') {
+            children.push(new Paragraph(section.items.map(item => item.text).join(', ')));
+        } else {
+            for (const item of section.items) {
+                children.push(new Paragraph({ text: item.text, bullet: { level: 0 } }));
+                children.push(...item.citations.map(citationParagraph));
+            }
+        }
+    }
+
+    if (report.transcript.length) {
+        children.push(new Paragraph({ text: 'Chat Transcript', heading: HeadingLevel.HEADING_1 }));
+        for (const message of report.transcript) {
+            children.push(new Paragraph({
+                spacing: { before: 120 },
+                children: [new TextRun({ text: `${message.role}: `, bold: true }), new TextRun(message.text)]
+            }));
+            children.push(...message.citations.map(citationParagraph));
+        }
+    }
+
+    const document = new Document({
+        title: report.title,
+        sections: [{ children }]
+    });
+    return Packer.toBuffer(document);
+};
@@ -0,0 +1,16 @@
+import { renderMarkdown } from './markdown.js';
+import { renderPdf } from './pdf.js';
+import { renderDocx } from './docx.js';
+
+export { buildReport } from './report.js';
+export { entitiesToCsv, toCsv } from './csv.js';
+
+export const EXPORT_FORMATS = {
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+    pdf: { extension: 'pdf', contentType: 'application/pdf', render: renderPdf },
+    docx: {
+        extension: 'docx',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        render: renderDocx
+    }
+};
@@ -0,0 +1,37 @@
+import { formatCitation } from './report.js';
+
+const citationLines = (citations, indent) =>
+    citations.map(citation => `${indent}> ${formatCitation(citation)}`);
+
+export const renderMarkdown = (report) => {
+    const lines = [`# ${report.title}`, ''];
+
+    for (const { label, value } of report.metadata) {
+        lines.push(`- **${label}:** ${value}`);
+    }
+
+    for (const section of report.sections) {
+        lines.push('', `## ${section.title}`, '');
+        if (section.type === 'text') {
+            lines.push(section.text);
+        } else if (section.type === 'tags') {
+            lines.push(section.items.map(item => `\`${item.text}\``).join(' '));
+        } else {
+            section.items.forEach((item, i) => {
+                lines.push(`${i + 1}. ${item.text}`);
+                lines.push(...citationLines(item.citations, '   '));
+            });
+        }
+    }
+
+    if (report.transcript.length) {
+        lines.push('', '## Chat Transcript', '');
+        for (const message of report.transcript) {
+            lines.push(`**${message.role}:** ${message.text}`);
+            lines.push(...citationLines(message.citations, ''));
+            lines.push('');
+        }
+    }
+
+    return Buffer.from(lines.join('\n').trimEnd() + '\n', 'utf8');
+};
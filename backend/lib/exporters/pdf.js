@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import { formatCitation } from './report.js';
+
+const require = createRequire(import.meta.url);
+
+// The built-in PDF fonts only cover Latin-1, so text is set in Noto Sans
+// (Latin, Greek, Cyrillic) and Noto Sans Devanagari (Hindi). Other scripts,
+// such as Chinese, need a font with their glyphs in PDF_FALLBACK_FONT.
+const fontFile = (pkg, file) => path.join(path.dirname(require.resolve(`${pkg}/package.json`)), file);
+
+const FONT_FILES = {
+    regular: fontFile('@expo-google-fonts/noto-sans', '400Regular/NotoSans_400Regular.ttf'),
+    bold: fontFile('@expo-google-fonts/noto-sans', '700Bold/NotoSans_700Bold.ttf'),
+    italic: fontFile('@expo-google-fonts/noto-sans', '400Regular_Italic/NotoSans_400Regular_Italic.ttf'),
+    devanagari: fontFile('@expo-google-fonts/noto-sans-devanagari', '400Regular/NotoSansDevanagari_400Regular.ttf'),
+    devanagariBold: fontFile('@expo-google-fonts/noto-sans-devanagari', '700Bold/NotoSansDevanagari_700Bold.ttf'),
+    ...(process.env.PDF_FALLBACK_FONT ? { fallback: process.env.PDF_FALLBACK_FONT } : {})
+};
+
+// Font name per script and style; Devanagari has no italic
+const FONTS = {
+    latin: { regular: 'regular', bold: 'bold', italic: 'italic' },
+    devanagari: { regular: 'devanagari', bold: 'devanagariBold', italic: 'devanagari' },
+    other: FONT_FILES.fallback
+        ? { regular: 'fallback', bold: 'fallback', italic: 'fallback' }
+        : { regular: 'regular', bold: 'bold', italic: 'italic' }
+};
+
+let fontData = null;
+
+// Read once, on the first export
+const loadFonts = () => {
+    fontData ??= Object.fromEntries(Object.entries(FONT_FILES).map(([name, file]) => [name, fs.readFileSync(file)]));
+    return fontData;
+};
+
+// Spaces, digits and punctuation
+const COMMON = /[\p{Script=Common}\p{Script=Inherited}]/u;
+const LATIN = /[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}]/u;
+const DEVANAGARI = /\p{Script=Devanagari}/u;
+
+const scriptOf = (char) => {
+    if (DEVANAGARI.test(char)) return 'devanagari';
+    return LATIN.test(char) || COMMON.test(char) ? 'latin' : 'other';
+};
+
+// Splits text into runs of one script. Spaces, digits and punctuation stay
+// with the run they are in, so words are not broken up.
+const scriptRuns = (text) => {
+    const runs = [];
+    for (const char of text) {
+        const script = COMMON.test(char) && runs.length ? runs.at(-1).script : scriptOf(char);
+        if (runs.length && runs.at(-1).script === script) runs.at(-1).text += char;
+        else runs.push({ script, text: char });
+    }
+    return runs.length ? runs : [{ script: 'latin', text: '' }];
+};
+
+const collect = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+});
+
+export const renderPdf = async (report) => {
+    const doc = new PDFDocument({ margin: 50, info: { Title: report.title } });
+    const done = collect(doc);
+    for (const [name, data] of Object.entries(loadFonts())) {
+        doc.registerFont(name, data);
+    }
+
+    // Writes `text` in `style`, switching fonts wherever the script changes
+    const write = (text, style, options = {}) => {
+        const runs = scriptRuns(text);
+        runs.forEach(({ script, text: run }, i) => {
+            const last = i === runs.length - 1;
+            doc.font(FONTS[script][style]).text(run, { ...options, continued: last ? Boolean(options.continued) : true });
+        });
+        return doc;
+    };
+
+    const heading = (text) => {
+        doc.moveDown().fontSize(14).fillColor('#312e81');
+        write(text, 'bold').moveDown(0.3);
+    };
+    const body = (text, options) => {
+        doc.fontSize(11).fillColor('#111827');
+        write(text, 'regular', options);
+    };
+    const citation = (item) => {
+        doc.fontSize(9).fillColor('#4b5563');
+        write(formatCitation(item), 'italic', { indent: 20 });
+    };
+
+    doc.fontSize(20).fillColor('#111827');
+    write(report.title, 'bold');
+    doc.moveDown(0.5);
+    for (const { label, value } of report.metadata) {
+        doc.fontSize(10).fillColor('#374151');
+        write(`${label}: `, 'bold', { continued: true });
+        write(value, 'regular');
+    }
+
+    for (const section of report.sections) {
+        heading(section.title);
+        if (section.type === 'text') {
+            body(section.text);
+        } else if (section.type === 'tags') {
+            body(section.items.map(item => item.text).join(', '));
+        } else {
+            section.items.forEach((item, i) => {
+                body(`${i + 1}. ${item.text}`);
+                item.citations.forEach(citation);
+                doc.moveDown(0.2);
+            });
+        }
+    }
+
+    if (report.transcript.length) {
+        heading('Chat Transcript');
+        for (const message of report.transcript) {
+            doc.fontSize(11).fillColor('#111827');
+            write(`${message.role}: `, 'bold', { continued: true });
+            write(message.text, 'regular');
+            message.citations.forEach(citation);
+            doc.moveDown(0.4);
+        }
+    }
+
+    doc.end();
+    return done;
+};
@@ -0,0 +1,46 @@
+// Builds a format-neutral report of a document's analysis that each
+// exporter renders: metadata, summary sections and the chat transcript.
+
+import { summaryLayout } from '../profiles.js';
+
+export const formatCitation = (citation) => {
+    const source = [citation.documentName, citation.page && `p. ${citation.page}`].filter(Boolean).join(', ');
+    return source ? `${source}: "${citation.snippet}"` : `"${citation.snippet}"`;
+};
+
+export const buildReport = (document, session, { generatedAt = new Date() } = {}) => {
+    const summaries = document.summaries || {};
+
+    const sections = summaryLayout(document.summaries)
+        .filter(section => summaries[section.key] !== undefined)
+        .map(section => {
+            const value = summaries[section.key];
+            if (section.type === 'text') {
+                return { title: section.title, type: 'text', text: value };
+            }
+            const citations = summaries.citations?.[section.key] || [];
+            return {
+                title: section.title,
+                type: section.type,
+                items: value.map((text, i) => ({ text, citations: citations[i] || [] }))
+            };
+        });
+
+    return {
+        title: document.name,
+        metadata: [
+            { label: 'File name', value: document.name },
+            ...(summaries.meta?.profile ? [{ label: 'Analysis profile', value: summaries.meta.profile.name }] : []),
+            { label: 'Pages', value: document.pages ? String(document.pages.length) : 'n/a' },
+            { label: 'Characters', value: String(document.text.length) },
+            { label: 'Uploaded', value: new Date(document.createdAt).toUTCString() },
+            { label: 'Generated', value: generatedAt.toUTCString() }
+        ],
+        sections,
+        transcript: (session?.messages || []).map(message => ({
+            role: message.role === 'user' ? 'User' : 'Assistant',
+            text: message.content,
+            citations: message.citations || []
+        }))
+    };
+};
@@ -0,0 +1,18 @@
+// Legacy Word 97-2003 (.doc) extraction. Table cells come through
+// tab-separated in the body text.
+
+import WordExtractor from 'word-extractor';
+
+const extractor = new WordExtractor();
+
+export const extractDoc = async (buffer) => {
+    const document = await extractor.extract(buffer);
+
+    const sections = [document.getBody().trim()];
+    const footnotes = document.getFootnotes().trim();
+    if (footnotes) sections.push(`## Footnotes\n\n${footnotes}`);
+    const endnotes = document.getEndnotes().trim();
+    if (endnotes) sections.push(`## Endnotes\n\n${endnotes}`);
+
+    return sections.filter(Boolean).join('\n\n');
+};
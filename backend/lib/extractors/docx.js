@@ -0,0 +1,44 @@
+// DOCX extraction: mammoth converts the document to semantic HTML, which is
+// flattened to text that keeps headings, list items, table rows and footnotes.
+
+import mammoth from 'mammoth';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&(\w+);/g, (match, name) => ENTITIES[name] ?? match);
+
+export const htmlToText = (html) => {
+    const text = html
+        // Keep each table row on one line: cell paragraphs become spaces
+        .replace(/<(t[dh])[^>]*>(.*?)<\/\1>/gs, (_, tag, cell) => `<${tag}>${cell.replace(/<\/p>\s*<p>|<br\s*\/?>/g, ' ')}</${tag}>`)
+        .replace(/<\/p>(?=<\/t[dh]>)/g, '')
+        // Back-links from notes to their reference ("↑")
+        .replace(/<a href="#(?:footnote|endnote)-ref-\d+">.*?<\/a>/g, '')
+        .replace(/<ol>(?=<li id="footnote-)/, '<h2>Footnotes</h2><ol>')
+        .replace(/<ol>(?=<li id="endnote-)/, '<h2>Endnotes</h2><ol>')
+        .replace(/<li id="(?:footnote|endnote)-(\d+)">/g, '\n[$1] ')
+        .replace(/<h([1-6])[^>]*>/g, (_, level) => `\n\n${'#'.repeat(Number(level))} `)
+        .replace(/<\/h[1-6]>/g, '\n\n')
+        .replace(/<tr[^>]*>/g, '\n')
+        .replace(/<\/t[dh]>/g, ' | ')
+        .replace(/<\/table>/g, '\n\n')
+        .replace(/<li[^>]*>/g, '\n- ')
+        .replace(/<br\s*\/?>/g, '\n')
+        .replace(/<\/p>/g, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text)
+        .split('\n')
+        .map(line => line.replace(/\s*\|\s*$/, '').trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+export const extractDocx = async (buffer) => {
+    const { value } = await mammoth.convertToHtml({ buffer });
+    return htmlToText(value);
+};
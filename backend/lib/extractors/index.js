@@ -0,0 +1,70 @@
+// Server-side text extraction for uploaded files. The format is decided by
+// the file signature, not the browser-reported MIME type, so a renamed or
+// corrupt file is rejected instead of being summarized as garbage. Plain
+// text has no signature and is trusted only when sent as text/plain.
+
+import { extractDocx } from './docx.js';
+import { extractDoc } from './doc.js';
+import { extractPdf } from './pdf.js';
+import { recognizeImage } from '../ocr.js';
+
+// Bump when extractor changes should invalidate cached extractions
+export const EXTRACTOR_VERSION = 1;
+
+export class ExtractionError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const SIGNATURES = [
+    ['pdf', Buffer.from('%PDF-')],
+    ['docx', Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+    ['doc', Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+    ['image', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])], // PNG
+    ['image', Buffer.from([0xff, 0xd8, 0xff])] // JPEG
+];
+
+const detectFormat = (buffer, mimetype) => {
+    const match = SIGNATURES.find(([, signature]) => buffer.subarray(0, signature.length).equals(signature));
+    if (match) return match[0];
+    if (mimetype === 'text/plain') return 'text';
+    return null;
+};
+
+// Each extractor returns { text, pages?, ocr? }
+const EXTRACTORS = {
+    pdf: extractPdf,
+    docx: async (buffer) => ({ text: await extractDocx(buffer) }),
+    doc: async (buffer) => ({ text: await extractDoc(buffer) }),
+    image: async (buffer, { onProgress }) => {
+        onProgress({ stage: 'ocr', current: 1, total: 1 });
+        const { text, confidence } = await recognizeImage(buffer);
+        return { text, ocr: [{ page: 1, confidence }] };
+    },
+    text: async (buffer) => ({ text: buffer.toString('utf8') })
+};
+
+// Returns { text, pages, ocr, format }. `onProgress` receives
+// { stage, current, total } as pages are read.
+export const extractDocument = async ({ buffer, mimetype }, { onProgress = () => {} } = {}) => {
+    const format = detectFormat(buffer, mimetype);
+    if (!format) {
+        throw new ExtractionError('Unsupported file format. Please upload a PDF, Word document, text file or image.', 415);
+    }
+
+    let result;
+    try {
+        result = await EXTRACTORS[format](buffer, { onProgress });
+    } catch (error) {
+        console.error(`${format.toUpperCase()} extraction error:`, error.message);
+        throw new ExtractionError(`Failed to read ${format.toUpperCase()} file. It may be corrupt or password-protected.`);
+    }
+
+    if (!result.text.trim()) {
+        throw new ExtractionError(result.ocr?.length ? 'No text found in document, even after OCR' : 'No text found in document');
+    }
+
+    return { text: result.text, pages: result.pages || null, ocr: result.ocr || [], format };
+};
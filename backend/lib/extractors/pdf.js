@@ -0,0 +1,59 @@
+// PDF text extraction with pdfjs. Pages without a text layer (scans) are
+// rendered and run through local OCR. Page character ranges are kept so
+// answers can cite page numbers.
+
+import { createRequire } from 'module';
+import path from 'path';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { recognizeImage } from '../ocr.js';
+
+const require = createRequire(import.meta.url);
+// pdfjs needs the standard font files to render pages that use them
+const STANDARD_FONTS = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+const OCR_RENDER_SCALE = 2;
+
+const renderPage = async (pdf, page) => {
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const { canvas, context } = pdf.canvasFactory.create(viewport.width, viewport.height);
+    await page.render({ canvas, canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+};
+
+// onProgress({ stage, current, total }) is called before each page
+export const extractPdf = async (buffer, { onProgress = () => {} } = {}) => {
+    const pdf = await getDocument({
+        data: new Uint8Array(buffer),
+        standardFontDataUrl: STANDARD_FONTS,
+        verbosity: 0
+    }).promise;
+
+    try {
+        let text = '';
+        const pages = [];
+        const ocr = [];
+
+        for (let i = 1; i <= pdf.numPages; i++) {
+            onProgress({ stage: 'extracting', current: i, total: pdf.numPages });
+            const page = await pdf.getPage(i);
+            const textContent = await page.getTextContent();
+            let pageText = textContent.items.map(item => item.str).join(' ');
+
+            // Scanned page without a text layer: fall back to OCR
+            if (!pageText.trim()) {
+                onProgress({ stage: 'ocr', current: i, total: pdf.numPages });
+                const result = await recognizeImage(await renderPage(pdf, page));
+                pageText = result.text;
+                ocr.push({ page: i, confidence: result.confidence });
+            }
+
+            pages.push({ page: i, start: text.length, end: text.length + pageText.length });
+            text += pageText + '\n';
+            page.cleanup();
+        }
+
+        return { text, pages, ocr };
+    } finally {
+        await pdf.destroy();
+    }
+};
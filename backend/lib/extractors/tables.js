@@ -0,0 +1,136 @@
+// Table detection for PDFs. pdfjs gives positioned text items but no table
+// structure, so items are grouped into lines by their baseline, lines are
+// split into cells at wide horizontal gaps, and runs of consecutive lines
+// whose cells line up in the same columns become a table.
+
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const MIN_TABLE_ROWS = 3;
+const MIN_TABLE_COLUMNS = 2;
+// Horizontal slack (in points) when deciding whether two cells share a column
+const COLUMN_TOLERANCE = 4;
+
+// Groups text items into lines, top to bottom, each a list of items left to right
+const groupLines = (items) => {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+    for (const item of sorted) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - item.y) <= Math.max(2, item.height * 0.5)) {
+            line.items.push(item);
+        } else {
+            lines.push({ y: item.y, height: item.height, items: [item] });
+        }
+    }
+    for (const line of lines) line.items.sort((a, b) => a.x - b.x);
+    return lines;
+};
+
+// Splits a line into cells wherever the gap between items is wider than a
+// couple of spaces
+const splitCells = (line) => {
+    const cells = [];
+    for (const item of line.items) {
+        const cell = cells[cells.length - 1];
+        const gap = cell ? item.x - cell.end : Infinity;
+        if (cell && gap < Math.max(line.height, 4) * 0.8) {
+            cell.text += (gap > 0.5 ? ' ' : '') + item.text;
+            cell.end = item.x + item.width;
+        } else {
+            cells.push({ x: item.x, end: item.x + item.width, text: item.text });
+        }
+    }
+    return cells.map(cell => ({ ...cell, text: cell.text.trim() }));
+};
+
+// Cells of one column overlap horizontally whether the column is left-,
+// right- or centre-aligned
+const overlaps = (a, b) => a.x <= b.end + COLUMN_TOLERANCE && b.x <= a.end + COLUMN_TOLERANCE;
+
+// Cells of the first row that have a counterpart in every other row
+const sharedColumns = (rows) => rows[0].cells
+    .filter(cell => rows.every(row => row.cells.some(other => overlaps(cell, other))));
+
+// Column spans: the union of overlapping cell ranges, left to right
+const columnSpans = (rows) => rows
+    .flatMap(row => row.cells)
+    .sort((a, b) => a.x - b.x)
+    .reduce((spans, cell) => {
+        const last = spans[spans.length - 1];
+        if (last && overlaps(last, cell)) {
+            last.end = Math.max(last.end, cell.end);
+        } else {
+            spans.push({ x: cell.x, end: cell.end });
+        }
+        return spans;
+    }, []);
+
+const buildTable = (page, rows) => {
+    const spans = columnSpans(rows);
+    return {
+        page,
+        columns: spans.length,
+        rows: rows.map(row => {
+            const values = spans.map(() => '');
+            for (const cell of row.cells) {
+                const column = spans.findIndex(span => overlaps(span, cell));
+                values[column] = values[column] ? `${values[column]} ${cell.text}` : cell.text;
+            }
+            return values;
+        })
+    };
+};
+
+const findTables = (page, items) => {
+    const rows = groupLines(items)
+        .map(line => ({ ...line, cells: splitCells(line) }));
+
+    const tables = [];
+    let region = [];
+    const flush = () => {
+        if (region.length >= MIN_TABLE_ROWS) tables.push(buildTable(page, region));
+        region = [];
+    };
+
+    for (const row of rows) {
+        if (row.cells.length < MIN_TABLE_COLUMNS) {
+            flush();
+            continue;
+        }
+        const previous = region[region.length - 1];
+        const adjacent = previous && previous.y - row.y <= Math.max(previous.height, row.height) * 3;
+        if (previous && (!adjacent || sharedColumns([...region, row]).length < MIN_TABLE_COLUMNS)) {
+            flush();
+        }
+        region.push(row);
+    }
+    flush();
+    return tables;
+};
+
+// Returns [{ page, columns, rows: [[cell, ...], ...] }] for every table-like
+// region in the PDF
+export const extractPdfTables = async (buffer) => {
+    const pdf = await getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+    try {
+        const tables = [];
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const { items } = await page.getTextContent();
+            const positioned = items
+                .filter(item => item.str?.trim())
+                .map(item => ({
+                    text: item.str,
+                    x: item.transform[4],
+                    y: item.transform[5],
+                    width: item.width,
+                    height: item.height || Math.abs(item.transform[3])
+                }));
+            tables.push(...findTables(i, positioned));
+            page.cleanup();
+        }
+        return tables;
+    } finally {
+        await pdf.destroy();
+    }
+};
@@ -0,0 +1,102 @@
+// Grounding check for chat answers. A second model call splits the answer
+// into its claims and checks each one against the numbered excerpts the
+// answer was written from; claims no excerpt supports are flagged. When the
+// excerpts have nothing to do with the question and back none of the claims,
+// the answer is replaced by a short "not found" reply. GROUNDING_CHECK_DISABLED=true skips the check.
+
+import Ajv from 'ajv';
+import { createChatCompletion } from './llm/index.js';
+import { LLMError } from './llm/errors.js';
+import { parseSummaryContent, SummaryParseError } from './summarizer.js';
+import { recordParseFailure } from './usage.js';
+
+const GROUNDING_CHECK_DISABLED = process.env.GROUNDING_CHECK_DISABLED === 'true';
+const MAX_CLAIMS = 30;
+
+const ajv = new Ajv({ allErrors: true });
+
+const validateCheck = ajv.compile({
+    type: 'object',
+    properties: {
+        relevant: { type: 'boolean' },
+        claims: {
+            type: 'array',
+            maxItems: MAX_CLAIMS,
+            items: {
+                type: 'object',
+                properties: {
+                    claim: { type: 'string', minLength: 1, maxLength: 1000 },
+                    supported: { type: 'boolean' },
+                    excerpts: { type: 'array', items: { type: 'integer' } }
+                },
+                required: ['claim', 'supported']
+            }
+        }
+    },
+    required: ['relevant', 'claims']
+});
+
+export const notFoundAnswer = (documentCount) => (documentCount === 1
+    ? 'I could not find anything about this in the document.'
+    : 'I could not find anything about this in the documents.');
+
+const checkPrompt = (question, answer, excerpts) => `Check an answer to a question about a document against the numbered document excerpts it was written from. Split the answer into its factual claims. For each claim, set "supported" to true only when the excerpts state it or it follows directly from them, and list the numbers of the excerpts that support it. Greetings and statements that the excerpts do not contain the answer are not claims. Set "relevant" to false when no excerpt has anything to do with the question. Respond ONLY with valid JSON (no markdown, no backticks, no preamble).
+
+Question:
+${question}
+
+Document excerpts:
+${excerpts.map(({ chunk }, i) => `[${i + 1}]\n${chunk.text.trim()}`).join('\n\n')}
+
+Answer:
+${answer}
+
+Required JSON format:
+{
+  "relevant": true,
+  "claims": [
+    { "claim": "a claim made in the answer", "supported": true, "excerpts": [1] }
+  ]
+}`;
+
+const statusOf = (claims) => {
+    if (!claims.length) return 'no_claims';
+    const supported = claims.filter(claim => claim.supported).length;
+    if (supported === claims.length) return 'supported';
+    return supported ? 'partly_supported' : 'unsupported';
+};
+
+// Checks `answer` to `question` against the { document, chunk } excerpts it
+// was written from. Returns { status, claims } where claims are { text,
+// supported, excerpts }, or null when the check is off or there was nothing
+// to check against. The status is 'supported' when every claim is backed by
+// an excerpt, 'partly_supported' or 'unsupported' when some or none are,
+// 'no_claims' when the answer states nothing to check (e.g. that the
+// excerpts do not say), 'not_found' when the excerpts do not cover the
+// question, and 'unchecked' when the check itself failed, which never costs
+// the user the answer. A correct answer is not thrown away on the checker's
+// word alone: 'not_found' needs every claim to be unsupported as well.
+export const checkGrounding = async (question, answer, excerpts) => {
+    if (GROUNDING_CHECK_DISABLED || !excerpts.length || !answer.trim()) return null;
+    try {
+        const content = await createChatCompletion([{ role: 'user', content: checkPrompt(question, answer, excerpts) }]);
+        const data = parseSummaryContent(content);
+        if (!validateCheck(data)) {
+            recordParseFailure('invalid_format');
+            throw new SummaryParseError(content);
+        }
+        const claims = data.claims.map(claim => ({
+            text: claim.claim.trim(),
+            supported: claim.supported,
+            excerpts: [...new Set(claim.excerpts || [])].filter(id => id >= 1 && id <= excerpts.length)
+        }));
+        if (!data.relevant && !claims.some(claim => claim.supported)) {
+            return { status: 'not_found', claims: [] };
+        }
+        return { status: statusOf(claims), claims };
+    } catch (error) {
+        if (!(error instanceof SummaryParseError || error instanceof LLMError)) throw error;
+        console.error('Grounding check error:', error instanceof LLMError ? error.code : 'invalid response');
+        return { status: 'unchecked', claims: [] };
+    }
+};
@@ -0,0 +1,79 @@
+// In-memory background jobs. Jobs run one at a time in submission order:
+// extraction, OCR and the model are all heavy enough that running them side
+// by side only makes every job slower. Finished jobs are kept for JOB_TTL_MS
+// so clients can collect the result, and are lost on restart.
+
+import crypto from 'crypto';
+import { LLMError } from './llm/errors.js';
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+let queue = Promise.resolve();
+
+// Public view of a job. Failed model calls also set `errorCode` and
+// `retryAfter`, as in API error responses (see llm/errors.js).
+const describeJob = ({ id, ownerId, type, status, progress, result, error, errorCode, retryAfter, createdAt, updatedAt }) =>
+    ({ id, ownerId, type, status, progress, result, error, errorCode, retryAfter, createdAt, updatedAt });
+
+const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+};
+
+const pruneFinished = () => {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+        if ((job.status === 'done' || job.status === 'failed') && Date.parse(job.updatedAt) < cutoff) {
+            jobs.delete(id);
+        }
+    }
+};
+
+const runJob = async (job, task) => {
+    update(job, { status: 'running' });
+    const context = {
+        // { stage, current, total } describing what the job is doing now
+        reportProgress: (progress) => update(job, { progress }),
+        // Partial results stay available if the job fails later
+        setResult: (result) => update(job, { result: { ...job.result, ...result } })
+    };
+    try {
+        const result = await task(context);
+        update(job, { status: 'done', progress: null, result: { ...job.result, ...result } });
+    } catch (error) {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+        const { code = null, retryAfter = null } = error instanceof LLMError ? error : {};
+        update(job, { status: 'failed', error: error.message, errorCode: code, retryAfter });
+    }
+};
+
+// Queues `task(context)` for the user `ownerId` and returns the job right
+// away. The task's return value is merged into `job.result`; a thrown error
+// fails the job.
+export const createJob = (type, task, { ownerId = null } = {}) => {
+    pruneFinished();
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        ownerId,
+        type,
+        status: 'queued',
+        progress: null,
+        result: null,
+        error: null,
+        errorCode: null,
+        retryAfter: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    jobs.set(job.id, job);
+    // The task runs in the async context of its caller, so the model calls
+    // it makes are charged to the user who queued it
+    queue = queue.then(() => runJob(job, task));
+    return describeJob(job);
+};
+
+export const getJob = (id) => {
+    const job = jobs.get(id);
+    return job ? describeJob(job) : null;
+};
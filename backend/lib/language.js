@@ -0,0 +1,44 @@
+// Document language detection and the languages summaries, chat answers and
+// translations can be written in.
+
+import { franc } from 'franc';
+
+// Keyed by ISO 639-1 code; `iso3` is the ISO 639-3 code franc returns
+export const LANGUAGES = [
+    { code: 'en', iso3: 'eng', name: 'English' },
+    { code: 'de', iso3: 'deu', name: 'German' },
+    { code: 'es', iso3: 'spa', name: 'Spanish' },
+    { code: 'fr', iso3: 'fra', name: 'French' },
+    { code: 'it', iso3: 'ita', name: 'Italian' },
+    { code: 'pt', iso3: 'por', name: 'Portuguese' },
+    { code: 'nl', iso3: 'nld', name: 'Dutch' },
+    { code: 'pl', iso3: 'pol', name: 'Polish' },
+    { code: 'tr', iso3: 'tur', name: 'Turkish' },
+    { code: 'ru', iso3: 'rus', name: 'Russian' },
+    { code: 'hi', iso3: 'hin', name: 'Hindi' },
+    { code: 'bn', iso3: 'ben', name: 'Bengali' },
+    { code: 'ar', iso3: 'arb', name: 'Arabic' },
+    { code: 'zh', iso3: 'cmn', name: 'Chinese' },
+    { code: 'ja', iso3: 'jpn', name: 'Japanese' }
+];
+
+// 'auto' follows the document for summaries and the question for chat answers
+export const AUTO_LANGUAGE = 'auto';
+
+// Detection reads the opening of the document; more text only costs time
+const DETECTION_SAMPLE_CHARS = 20000;
+
+export const getLanguage = (code) => LANGUAGES.find(language => language.code === code) || null;
+
+export const isLanguageChoice = (value) => value === undefined || value === AUTO_LANGUAGE || Boolean(getLanguage(value));
+
+// ISO 639-1 code of the text's language, or null when it is too short or
+// not one of LANGUAGES
+export const detectLanguage = (text, { minLength = 20 } = {}) => {
+    const iso3 = franc(text.slice(0, DETECTION_SAMPLE_CHARS), { minLength, only: LANGUAGES.map(language => language.iso3) });
+    return LANGUAGES.find(language => language.iso3 === iso3)?.code || null;
+};
+
+// The language to write in for a user's choice: the chosen one, or with
+// 'auto' the `fallback` code (the document's or the question's language)
+export const resolveLanguage = (choice, fallback) => getLanguage(choice && choice !== AUTO_LANGUAGE ? choice : fallback);
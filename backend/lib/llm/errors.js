@@ -0,0 +1,85 @@
+// Errors of model calls, classified so API responses can tell the client
+// what happened: `code` is stable for programs, `status` is the HTTP status
+// to answer with and `retryAfter` (seconds) says when trying again may work.
+
+const DESCRIPTIONS = {
+    model_rate_limited: { status: 429, message: 'The AI model is rate limited' },
+    model_timeout: { status: 504, message: 'The AI model did not answer in time' },
+    model_unavailable: { status: 502, message: 'The AI model could not be reached' },
+    model_bad_response: { status: 502, message: 'The AI model returned an unreadable response' },
+    model_error: { status: 502, message: 'The AI model failed to answer' }
+};
+
+// Upstream statuses that may pass: timeouts, conflicts, rate limits and 5xx
+const TRANSIENT_STATUSES = [408, 409, 425, 429];
+
+export class LLMError extends Error {
+    constructor(code, { retryAfter = null, model = null, cause } = {}) {
+        super(DESCRIPTIONS[code].message, { cause });
+        this.code = code;
+        this.status = DESCRIPTIONS[code].status;
+        this.retryAfter = retryAfter;
+        this.model = model;
+        // Upstream status, when the server answered
+        this.upstreamStatus = cause?.response?.status ?? null;
+    }
+
+    // Worth trying again on the same model. Network errors, timeouts and
+    // unreadable responses have no upstream status and may pass too; a
+    // rejected request (400, 422) or API key (401, 403) will not.
+    get retryable() {
+        const status = this.upstreamStatus;
+        return status === null || status >= 500 || TRANSIENT_STATUSES.includes(status);
+    }
+
+    // The server does not know the model, but may know the fallback models
+    get unknownModel() {
+        return this.upstreamStatus === 404;
+    }
+
+    // Body of the API error response
+    toJSON() {
+        return { error: this.message, code: this.code, retryAfter: this.retryAfter };
+    }
+}
+
+// Seconds to wait from a Retry-After header (seconds or an HTTP date)
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+// Turns whatever a provider threw into an LLMError
+export const classifyError = (error, model) => {
+    if (error instanceof LLMError) return error;
+    const response = error.response;
+    if (response?.status === 429) {
+        return new LLMError('model_rate_limited', { retryAfter: parseRetryAfter(response.headers?.['retry-after']), model, cause: error });
+    }
+    if (response) {
+        return new LLMError('model_error', { model, cause: error });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new LLMError('model_timeout', { model, cause: error });
+    }
+    if (error.isAxiosError) {
+        return new LLMError('model_unavailable', { model, cause: error });
+    }
+    if (error.upstreamError) {
+        return new LLMError('model_error', { model, cause: error });
+    }
+    // A response without the expected fields, or an error event in a stream
+    return new LLMError('model_bad_response', { model, cause: error });
+};
+
+// Sends `error` as the API response when it is an LLMError. Returns whether
+// it did, so routes can fall back to their own message.
+export const sendLLMError = (res, error) => {
+    if (!(error instanceof LLMError)) return false;
+    if (error.retryAfter !== null) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status).json(error.toJSON());
+    return true;
+};
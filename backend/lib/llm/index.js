@@ -0,0 +1,213 @@
+// LLM provider selection and resilient model calls. Personal data and
+// secrets are redacted from every prompt and restored in the answer (see
+// ../redaction.js). Failed calls are retried with exponential backoff,
+// honoring the server's Retry-After, then the fallback models are tried in
+// order. Every call is charged to the current user and recorded in the usage
+// log (see ../usage.js) before its result is returned. Configured through the environment:
+//   LLM_PROVIDER  openrouter (default) | openai-compatible | mock
+//   LLM_MODEL     model name; each provider has a default
+//   LLM_BASE_URL  base URL of an OpenAI-compatible server (Ollama, llama.cpp, vLLM)
+//   LLM_API_KEY   bearer token for that server, if it needs one
+//   LLM_TIMEOUT_MS  how long to wait for an answer (default 120000)
+//   LLM_MAX_RETRIES  retries per model after a failed call (default 2)
+//   LLM_RETRY_BASE_MS  first backoff delay, doubled on every retry (default 1000)
+//   LLM_RETRY_MAX_WAIT_MS  longest wait before a retry; when the server asks
+//                 for more, the next model is tried instead (default 30000)
+//   LLM_FALLBACK_MODELS  comma-separated models to try, in order, when the
+//                 main model keeps failing
+//   SITE_URL      sent to OpenRouter as the app's referer (default: the first
+//                 CORS_ORIGINS entry)
+
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+import { countMessageTokens, countTokens } from './tokens.js';
+import { chargeTokens } from '../auth.js';
+import { classifyError } from './errors.js';
+import { createRedactor } from '../redaction.js';
+import { recordModelCall } from '../usage.js';
+
+const SITE_NAME = 'DocuChat AI';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+const PROVIDERS = {
+    openrouter: (env) => createOpenAICompatibleProvider({
+        name: 'openrouter',
+        baseUrl: env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+        model: env.LLM_MODEL || 'mistralai/mistral-7b-instruct:free',
+        apiKey: env.OPENROUTER_API_KEY,
+        timeout: Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        headers: {
+            'HTTP-Referer': env.SITE_URL || (env.CORS_ORIGINS || 'http://localhost:5173').split(',')[0].trim(),
+            'X-Title': SITE_NAME
+        }
+    }),
+    'openai-compatible': (env) => createOpenAICompatibleProvider({
+        name: 'openai-compatible',
+        // Ollama's OpenAI-compatible endpoint
+        baseUrl: env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        model: env.LLM_MODEL || 'llama3.1',
+        apiKey: env.LLM_API_KEY,
+        timeout: Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+    }),
+    mock: (env) => createMockProvider({ model: env.LLM_MODEL || 'mock-model' })
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Read on every call so configuration changes (and tests) take effect
+// without reloading the module
+export const getProvider = (env = process.env) => {
+    const name = env.LLM_PROVIDER || 'openrouter';
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    return factory(env);
+};
+
+// Names the configured model in cache keys, so results of one model are not
+// served once another is configured
+export const modelIdentity = () => {
+    const { name, model } = getProvider();
+    return `${name}:${model}`;
+};
+
+const retrySettings = (env = process.env) => ({
+    maxRetries: Number(env.LLM_MAX_RETRIES ?? 2),
+    baseDelay: Number(env.LLM_RETRY_BASE_MS ?? 1000),
+    maxWait: Number(env.LLM_RETRY_MAX_WAIT_MS ?? 30000),
+    fallbackModels: (env.LLM_FALLBACK_MODELS || '').split(',').map(model => model.trim()).filter(Boolean)
+});
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+// Runs `call(model)` on the provider's model, then on each fallback model,
+// retrying every model up to LLM_MAX_RETRIES times. A model the server does
+// not know is skipped; failures that would fail again (see
+// LLMError.retryable) are thrown right away. Throws the last failure as an
+// LLMError; aborted calls are never retried.
+const withRetries = async (provider, call, { signal } = {}) => {
+    const { maxRetries, baseDelay, maxWait, fallbackModels } = retrySettings();
+    const models = [provider.model, ...fallbackModels.filter(model => model !== provider.model)];
+    let lastError = null;
+
+    for (const model of models) {
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            try {
+                return await call(model);
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                lastError = classifyError(error, model);
+                console.error(`Model call failed (${model}, attempt ${attempt + 1}): ${lastError.code}`);
+                if (lastError.unknownModel) break;
+                if (!lastError.retryable) throw lastError;
+                if (attempt === maxRetries) break;
+
+                // Jitter spreads out retries of requests that failed together
+                const backoff = baseDelay * 2 ** attempt * (1 + Math.random() / 4);
+                const wait = Math.max(backoff, (lastError.retryAfter ?? 0) * 1000);
+                if (wait > maxWait) break;
+                await sleep(wait, signal);
+            }
+        }
+    }
+    throw lastError;
+};
+
+// Returns the assistant message content of one completion. Tokens are
+// counted locally when the provider does not report usage.
+export const createChatCompletion = async (messages, options = {}) => {
+    const provider = getProvider();
+    const redactor = createRedactor();
+    const outgoing = redactor.redactMessages(messages);
+    const started = Date.now();
+    let model = provider.model;
+    let attempts = 0;
+    try {
+        const { content, usage } = await withRetries(provider, (candidate) => {
+            model = candidate;
+            attempts += 1;
+            return provider.complete(outgoing, { ...options, model: candidate });
+        }, options);
+        const tokens = {
+            promptTokens: usage?.prompt_tokens ?? countMessageTokens(outgoing, model),
+            completionTokens: usage?.completion_tokens ?? countTokens(content, model)
+        };
+        await Promise.all([
+            chargeTokens(tokens),
+            recordModelCall({ model, ...tokens, latencyMs: Date.now() - started, attempts, outcome: 'ok' })
+        ]);
+        return redactor.restore(content);
+    } catch (error) {
+        await recordModelCall({
+            model,
+            promptTokens: 0,
+            completionTokens: 0,
+            latencyMs: Date.now() - started,
+            attempts,
+            outcome: options.signal?.aborted ? 'aborted' : 'error',
+            errorCode: error.code ?? null
+        });
+        throw error;
+    }
+};
+
+// Yields content deltas of a streamed completion. Only the start of the
+// stream is retried: text already sent on cannot be taken back. Stopped
+// streams are charged for what was generated before they stopped; like
+// failed completions, streams that never started are not charged.
+export async function* streamChatCompletion(messages, options = {}) {
+    const provider = getProvider();
+    const redactor = createRedactor();
+    const outgoing = redactor.redactMessages(messages);
+    const restorer = redactor.createStreamRestorer();
+    const started = Date.now();
+    let content = '';
+    let model = provider.model;
+    let attempts = 0;
+    let iterator = null;
+    let streaming = false;
+    // 'aborted' until the stream ends or fails
+    let outcome = 'aborted';
+    let errorCode = null;
+    try {
+        const first = await withRetries(provider, (candidate) => {
+            model = candidate;
+            attempts += 1;
+            iterator = provider.stream(outgoing, { ...options, model: candidate });
+            return iterator.next();
+        }, options);
+        streaming = true;
+        for (let step = first; !step.done; step = await iterator.next()) {
+            content += step.value;
+            const restored = restorer.push(step.value);
+            if (restored) yield restored;
+        }
+        const rest = restorer.flush();
+        if (rest) yield rest;
+        outcome = 'ok';
+    } catch (error) {
+        if (options.signal?.aborted) throw error;
+        const failure = classifyError(error, model);
+        outcome = 'error';
+        errorCode = failure.code;
+        throw failure;
+    } finally {
+        // Closes the upstream stream when the caller stops reading early
+        await iterator?.return();
+        const tokens = {
+            promptTokens: streaming ? countMessageTokens(outgoing, model) : 0,
+            completionTokens: countTokens(content, model)
+        };
+        await Promise.all([
+            streaming && chargeTokens(tokens),
+            recordModelCall({ model, stream: true, ...tokens, latencyMs: Date.now() - started, attempts, outcome, errorCode })
+        ]);
+    }
+}
@@ -0,0 +1,150 @@
+// Deterministic offline provider for tests and CI. It never calls the
+// network: summary prompts get a JSON summary built from the document's own
+// sentences, entity prompts get pattern-matched entities, change
+// explanations restate each change, translations return the text tagged with
+// the target language, conversation summaries list the questions asked, and
+// chat prompts get an answer quoting the first excerpt.
+
+const sentencesOf = (text) => (text.match(/[^.!?\n]+[.!?]/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 15);
+
+const topWords = (text, limit) => {
+    const counts = new Map();
+    for (const word of text.toLowerCase().match(/\p{L}{5,}/gu) || []) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([word]) => word);
+};
+
+// Reads the sections a summary prompt asks for from its example JSON and
+// field guide: { key, kind: 'text' | 'list' | 'tags', count }
+const requestedSections = (format) => {
+    const example = JSON.parse(format.match(/^\{[\s\S]*?\n\}/m)[0]);
+    return Object.entries(example).map(([key, value]) => ({
+        key,
+        kind: !Array.isArray(value) ? 'text' : new RegExp(`- "${key}" \\([^)]*tags`).test(format) ? 'tags' : 'list',
+        count: Array.isArray(value) ? value.length : 0
+    }));
+};
+
+const mockSummary = (prompt) => {
+    // The document text follows its label and precedes the format spec
+    const [body, format] = prompt.split(/Required JSON format:\n/);
+    const documentText = body.match(/\n(?:Document text|Document part|Partial summaries|Changes):\n([\s\S]*)$/)?.[1] ?? body;
+    const sentences = sentencesOf(documentText);
+    const pick = (start, count) => sentences.slice(start, start + count);
+
+    // The first text section is short, later ones longer; list sections
+    // take consecutive sentences so each says something different
+    const summary = {};
+    let textSections = 0;
+    let listCursor = 0;
+    for (const { key, kind, count } of requestedSections(format)) {
+        if (kind === 'text') {
+            summary[key] = pick(0, textSections++ ? 6 : 2).join(' ') || 'Mock summary of the document.';
+        } else if (kind === 'tags') {
+            summary[key] = topWords(documentText, count);
+        } else {
+            summary[key] = pick(listCursor, count);
+            listCursor += count;
+        }
+    }
+    return JSON.stringify(summary);
+};
+
+const ORGANIZATION = /\b(?:[A-Z][\w&]*\s)+(?:Corp(?:oration)?|Inc|LLC|Ltd|GmbH|Company|Group|Bank)\b/g;
+const PERSON = /\b[A-Z][a-z]+ (?:[A-Z]\. )?[A-Z][a-z]+\b/g;
+const DATE = /\b(?:January|February|March|April|May|June|July|August|September|October|November|December) \d{1,2}, \d{4}\b|\b\d{4}-\d{2}-\d{2}\b/g;
+const AMOUNT = /[$€£]\s?\d[\d,]*(?:\.\d+)?(?: (?:million|billion|thousand))?/g;
+
+const unique = (values) => [...new Set(values)];
+
+const mockEntities = (prompt) => {
+    const text = prompt.match(/\nDocument text:\n([\s\S]*?)\n\nRequired JSON format:/)?.[1] || '';
+    const organizations = unique(text.match(ORGANIZATION) || []);
+    const people = unique(text.match(PERSON) || [])
+        .filter(name => !organizations.some(organization => organization.includes(name)));
+    return JSON.stringify({
+        people,
+        organizations,
+        dates: unique(text.match(DATE) || []),
+        amounts: unique(text.match(AMOUNT) || [])
+    });
+};
+
+const mockChangeExplanations = (prompt) => {
+    const changes = [...prompt.matchAll(/^Change (\d+):\nBefore: (.*)\nAfter: (.*)$/gm)].map(([, id, before, after]) => {
+        const type = before === '(nothing)' ? 'added' : after === '(nothing)' ? 'removed' : 'reworded';
+        const text = (type === 'removed' ? before : after).slice(0, 120);
+        const label = { added: 'New text', removed: 'Removed text', reworded: 'Now reads' }[type];
+        return { id: Number(id), type, explanation: `${label}: "${text}"` };
+    });
+    return JSON.stringify({ changes });
+};
+
+const mockTranslation = (prompt) => {
+    const [, language, text] = prompt.match(/^Translate (?:the text below|this search query) into (\w+)[\s\S]*?\n(?:Text|Query):\n([\s\S]*)$/);
+    return `[${language}] ${text}`;
+};
+
+const mockConversationSummary = (prompt) => {
+    const questions = (prompt.match(/^User: .*/gm) || []).map(line => line.slice(6, 80).trim());
+    return `The user asked: ${questions.join('; ') || 'nothing yet'}`.split(/\s+/).slice(0, 100).join(' ');
+};
+
+const mockAnswer = (messages) => {
+    const question = [...messages].reverse().find(msg => msg.role === 'user')?.content || '';
+    const excerpt = messages[0]?.content.match(/\[1\] \([^)]*\)\n([^\n]+)/);
+    if (excerpt) {
+        const [sentence] = sentencesOf(excerpt[1]);
+        return `According to the document, ${(sentence || excerpt[1]).trim()} [1]`;
+    }
+    return `Mock answer to: ${question}`;
+};
+
+const respond = (messages) => {
+    // Repair follow-ups are answered from the original summary request
+    const summaryRequest = messages.find(msg => msg.role === 'user' && /Required JSON format:/.test(msg.content));
+    if (!summaryRequest) {
+        if (/^Translate /.test(messages[0]?.content)) {
+            return mockTranslation(messages[0].content);
+        }
+        return /^Summarize the conversation below/.test(messages[0]?.content)
+            ? mockConversationSummary(messages[0].content)
+            : mockAnswer(messages);
+    }
+    if (/^List the named entities/.test(summaryRequest.content)) {
+        return mockEntities(summaryRequest.content);
+    }
+    return /^Explain the changes/.test(summaryRequest.content)
+        ? mockChangeExplanations(summaryRequest.content)
+        : mockSummary(summaryRequest.content);
+};
+
+export const createMockProvider = ({ model = 'mock-model' } = {}) => {
+    const complete = async (messages) => {
+        const content = respond(messages);
+        const promptChars = messages.reduce((sum, msg) => sum + msg.content.length, 0);
+        return {
+            content,
+            usage: {
+                prompt_tokens: Math.ceil(promptChars / 4),
+                completion_tokens: Math.ceil(content.length / 4)
+            }
+        };
+    };
+
+    async function* stream(messages, { signal } = {}) {
+        const { content } = await complete(messages);
+        for (const token of content.match(/\S+\s*/g) || []) {
+            if (signal?.aborted) return;
+            yield token;
+        }
+    }
+
+    return { name: 'mock', model, complete, stream };
+};
@@ -0,0 +1,71 @@
+// Provider for any server speaking the OpenAI chat completions API:
+// OpenRouter, Ollama, llama.cpp server, vLLM, LM Studio...
+
+import axios from 'axios';
+import { StringDecoder } from 'string_decoder';
+
+// `timeout` (ms) fails requests the server does not answer in time
+export const createOpenAICompatibleProvider = ({ name, baseUrl, model, apiKey, headers = {}, timeout = 0 }) => {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const requestHeaders = {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...headers,
+        'Content-Type': 'application/json'
+    };
+
+    // Returns { content, usage } for one completion. `options.model`
+    // overrides the provider's model for this call.
+    const complete = async (messages, { signal, model: requestModel = model } = {}) => {
+        const response = await axios.post(
+            url,
+            { model: requestModel, messages },
+            { headers: requestHeaders, signal, timeout }
+        );
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Response has no message content');
+        }
+        return { content, usage: response.data.usage || null };
+    };
+
+    // Yields content deltas as they arrive. Aborting `signal` cancels the
+    // upstream request.
+    async function* stream(messages, { signal, model: requestModel = model } = {}) {
+        const response = await axios.post(
+            url,
+            { model: requestModel, messages, stream: true },
+            { headers: requestHeaders, responseType: 'stream', signal, timeout }
+        );
+
+        // Network chunks can split multi-byte characters, so decode incrementally
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        for await (const data of response.data) {
+            buffer += decoder.write(data);
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                // Skip blank separators and SSE comments such as ": OPENROUTER PROCESSING"
+                if (!line.startsWith('data:')) continue;
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') return;
+
+                let parsed;
+                try {
+                    parsed = JSON.parse(payload);
+                } catch {
+                    continue;
+                }
+                if (parsed.error) {
+                    throw Object.assign(new Error(parsed.error.message || 'Upstream stream error'), { upstreamError: parsed.error });
+                }
+                const delta = parsed.choices?.[0]?.delta?.content;
+                if (delta) yield delta;
+            }
+        }
+    }
+
+    return { name, model, complete, stream };
+};
@@ -0,0 +1,41 @@
+// Token counts and context windows for the configured model.
+//   LLM_CONTEXT_TOKENS  context window of the model, for models not listed below
+// OpenAI models are counted with their own tokenizer. Other families
+// (Mistral, Llama, Qwen...) have different vocabularies, so they are counted
+// with cl100k and padded by a margin: overestimating only trims a little early.
+
+import { countTokens as countO200k } from 'gpt-tokenizer/encoding/o200k_base';
+import { countTokens as countCl100k } from 'gpt-tokenizer/encoding/cl100k_base';
+
+const CONTEXT_WINDOWS = [
+    [/gpt-4o|gpt-4\.1|gpt-5|gpt-4-turbo/, 128000],
+    [/gpt-3\.5/, 16385],
+    [/llama-?3\.[1-3]/, 131072],
+    [/llama-?3/, 8192],
+    [/mistral|mixtral|qwen/, 32768],
+    [/gemma/, 8192]
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Role markers and separators added around each chat message
+const MESSAGE_OVERHEAD = 4;
+const OTHER_MODEL_MARGIN = 1.15;
+
+// Text such as "<|endoftext|>" in a document is counted, not rejected
+const ENCODE_OPTIONS = { disallowedSpecial: new Set() };
+
+export const countTokens = (text, model) => {
+    if (/gpt-4o|gpt-4\.1|gpt-5/.test(model)) return countO200k(text, ENCODE_OPTIONS);
+    const count = countCl100k(text, ENCODE_OPTIONS);
+    return /gpt-/.test(model) ? count : Math.ceil(count * OTHER_MODEL_MARGIN);
+};
+
+export const countMessageTokens = (messages, model) => {
+    return messages.reduce((sum, msg) => sum + MESSAGE_OVERHEAD + countTokens(msg.content, model), 0);
+};
+
+export const contextWindow = (model, env = process.env) => {
+    return Number(env.LLM_CONTEXT_TOKENS)
+        || CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model))?.[1]
+        || DEFAULT_CONTEXT_WINDOW;
+};
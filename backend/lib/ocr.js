@@ -0,0 +1,37 @@
+// Local OCR with tesseract.js. Recognition runs in a worker inside this
+// process and the language data is read from disk, so images never leave
+// the server.
+
+import { createWorker } from 'tesseract.js';
+import engData from '@tesseract.js-data/eng';
+
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+// Directory holding <lang>.traineddata.gz files; defaults to the bundled English data
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || engData.langPath;
+
+let workerPromise = null;
+
+// The worker is created on first use and reused; it queues jobs itself
+const getWorker = () => {
+    if (!workerPromise) {
+        workerPromise = createWorker(OCR_LANGUAGES, 1, {
+            langPath: OCR_LANG_PATH,
+            gzip: true,
+            cacheMethod: 'none'
+        }).catch(error => {
+            workerPromise = null;
+            throw error;
+        });
+    }
+    return workerPromise;
+};
+
+// Returns the recognized text and tesseract's mean word confidence (0-100)
+export const recognizeImage = async (buffer) => {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(buffer);
+    return {
+        text: data.text.trim(),
+        confidence: Math.round(data.confidence)
+    };
+};
@@ -0,0 +1,160 @@
+// The document pipeline shared by the upload job and the analysis routes:
+// extract the uploaded file, store and index the text, then summarize it,
+// pull structured data out of it, translate it or compare it with another
+// version. Extracted text and summaries are cached by content hash (see
+// cache.js), so a file uploaded again is neither extracted nor summarized
+// twice.
+
+import fs from 'fs/promises';
+import { addDocument, documentFilePath, getDocument, storeDocumentFile, updateDocument } from './documentStore.js';
+import { extractDocument, EXTRACTOR_VERSION } from './extractors/index.js';
+import { extractPdfTables } from './extractors/tables.js';
+import { summarizeDocument, SUMMARY_PROMPT_VERSION } from './summarizer.js';
+import { citeSummary } from './citations.js';
+import { extractEntities } from './entities.js';
+import { compareDocuments } from './compare.js';
+import { saveComparison } from './comparisonStore.js';
+import { resolveLanguage } from './language.js';
+import { translateDocument } from './translation.js';
+import { hashContent, withCache } from './cache.js';
+import { modelIdentity } from './llm/index.js';
+import { setUsageDocuments } from './auth.js';
+
+// Summaries with sections or chunks that failed are worth another try
+const isComplete = (summary) => !summary.meta.failedSections.length && !summary.meta.failedChunks.length;
+
+// Summarizes `text` with summarizeDocument's options, reusing an earlier
+// summary of the same text made with the same options, profile, prompts and
+// model. `refresh` makes a new one. The summary's `meta.cache` tells whether
+// it came from the cache ({ id, hit, createdAt }).
+export const summarizeWithCache = async (text, { mode = 'auto', profile, language = null, onProgress, refresh = false }) => {
+    const contentHash = hashContent(text);
+    const key = {
+        contentHash,
+        mode,
+        profile: { id: profile.id, instructions: profile.instructions, sections: profile.sections },
+        language: language?.code || null,
+        model: modelIdentity(),
+        version: SUMMARY_PROMPT_VERSION
+    };
+    const { value, cache } = await withCache(
+        'summary',
+        key,
+        () => summarizeDocument(text, { mode, profile, language, onProgress }),
+        { contentHashes: [contentHash], refresh, shouldStore: isComplete }
+    );
+    return { ...value, meta: { ...value.meta, cache } };
+};
+
+// Summarizes a stored document, attaches citations and saves the result.
+// `language` is the user's language choice; 'auto' keeps the document's.
+export const summarizeStoredDocument = async (document, { mode, profile, language, onProgress, refresh } = {}) => {
+    setUsageDocuments([document.id]);
+    const summary = await summarizeWithCache(document.text, {
+        mode,
+        profile,
+        language: resolveLanguage(language, document.language),
+        onProgress,
+        refresh
+    });
+    summary.citations = citeSummary(document, summary);
+    await updateDocument(document.id, { summaries: summary });
+    return summary;
+};
+
+// Tables need the positioned text of the original PDF, so they are only
+// found for PDFs uploaded with their file. Returns null when not possible.
+const findTables = async (document) => {
+    if (!document.file) return null;
+    try {
+        const buffer = await fs.readFile(documentFilePath(document.id));
+        if (!buffer.subarray(0, 5).equals(Buffer.from('%PDF-'))) return null;
+        return await extractPdfTables(buffer);
+    } catch (error) {
+        console.error('Table extraction error:', error.message);
+        return null;
+    }
+};
+
+// Job task extracting entities and tables from a stored document; they are
+// saved as `structured` on the document
+export const processStructuredData = (document) => async ({ reportProgress }) => {
+    setUsageDocuments([document.id]);
+    const { entities, meta } = await extractEntities(document, { onProgress: reportProgress });
+    reportProgress({ stage: 'tables' });
+    const tables = await findTables(document);
+    const structured = {
+        entities,
+        tables: tables || [],
+        meta: { ...meta, tablesSupported: tables !== null, extractedAt: new Date().toISOString() }
+    };
+    if (!(await updateDocument(document.id, { structured }))) {
+        throw new Error('Document was deleted during extraction');
+    }
+    return { documentId: document.id };
+};
+
+// Job task translating a stored document into `language`; the translation is
+// saved under the document's `translations` by language code
+export const processTranslation = (document, language) => async ({ reportProgress }) => {
+    setUsageDocuments([document.id]);
+    const translation = await translateDocument(document, language, { onProgress: reportProgress });
+    // Read again: the document may have changed while the job ran
+    const current = await getDocument(document.id);
+    if (!current) throw new Error('Document was deleted during translation');
+    await updateDocument(document.id, { translations: { ...current.translations, [language.code]: translation } });
+    return { documentId: document.id, language: language.code };
+};
+
+// Job task comparing two stored documents; the result is the comparison,
+// saved for the user `ownerId`
+export const processComparison = (base, target, { ownerId } = {}) => async ({ reportProgress }) => {
+    setUsageDocuments([base.id, target.id]);
+    const result = await compareDocuments(base, target, { onProgress: reportProgress });
+    const comparison = await saveComparison({ base, target, ...result, ownerId });
+    return { comparisonId: comparison.id };
+};
+
+// Extracts an uploaded file, reusing the result for a file with the same
+// content. Also returns the file's hash.
+const extractWithCache = async ({ buffer, mimetype }, { onProgress }) => {
+    const fileHash = hashContent(buffer);
+    const { value } = await withCache(
+        'extraction',
+        { fileHash, mimetype, version: EXTRACTOR_VERSION },
+        () => extractDocument({ buffer, mimetype }, { onProgress }),
+        { contentHashes: [fileHash] }
+    );
+    return { ...value, fileHash };
+};
+
+// Job task for a multer disk upload, stored as a document of the user
+// `ownerId`. The document id is published as soon as the text is stored, so
+// a failed summary still leaves a usable document.
+export const processUpload = (file, { profile, language, ownerId } = {}) => async ({ reportProgress, setResult }) => {
+    try {
+        const buffer = await fs.readFile(file.path);
+        const { text, pages, ocr, fileHash } = await extractWithCache(
+            { buffer, mimetype: file.mimetype },
+            { onProgress: reportProgress }
+        );
+
+        reportProgress({ stage: 'indexing' });
+        const document = await addDocument({
+            text,
+            name: file.originalname,
+            pages,
+            ocr,
+            file: { name: file.originalname, mimeType: file.mimetype, size: file.size, hash: fileHash },
+            ownerId
+        });
+        await storeDocumentFile(document.id, file.path);
+        setResult({ documentId: document.id });
+
+        await summarizeStoredDocument(document, { profile, language, onProgress: reportProgress });
+        return { documentId: document.id };
+    } finally {
+        // Still present only if the job failed before the file was stored
+        await fs.rm(file.path, { force: true });
+    }
+};
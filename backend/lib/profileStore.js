@@ -0,0 +1,51 @@
+// User-defined analysis profiles, stored next to the built-in ones.
+
+import crypto from 'crypto';
+import { BUILT_IN_PROFILES, normalizeSection } from './profiles.js';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './storage.js';
+
+const COLLECTION = 'profiles';
+
+export const isBuiltIn = (id) => BUILT_IN_PROFILES.some(profile => profile.id === id);
+
+const toProfile = ({ name, description = '', instructions, sections }) => ({
+    name: name.trim(),
+    description: description.trim(),
+    instructions: instructions.trim(),
+    sections: sections.map(normalizeSection)
+});
+
+export const getProfile = async (id) => {
+    return BUILT_IN_PROFILES.find(profile => profile.id === id) || readRecord(COLLECTION, id);
+};
+
+// Built-in profiles first, then user profiles by name
+export const listProfiles = async () => {
+    const custom = await listRecords(COLLECTION);
+    return [...BUILT_IN_PROFILES, ...custom.sort((a, b) => a.name.localeCompare(b.name))];
+};
+
+// `definition` must already have passed profileDefinitionErrors(). Every
+// user can summarize with the profile; only `ownerId` (or an admin) may
+// change or delete it.
+export const createProfile = async (definition, { ownerId = null } = {}) => {
+    const now = new Date().toISOString();
+    return writeRecord(COLLECTION, {
+        id: crypto.randomUUID(),
+        ownerId,
+        ...toProfile(definition),
+        builtIn: false,
+        createdAt: now,
+        updatedAt: now
+    });
+};
+
+// Returns null if the profile does not exist or is built in
+export const updateProfile = async (id, definition) => {
+    if (isBuiltIn(id)) return null;
+    const profile = await readRecord(COLLECTION, id);
+    if (!profile) return null;
+    return writeRecord(COLLECTION, { ...profile, ...toProfile(definition), updatedAt: new Date().toISOString() });
+};
+
+export const deleteProfile = (id) => (isBuiltIn(id) ? false : deleteRecord(COLLECTION, id));
@@ -0,0 +1,117 @@
+// Analysis profiles: named prompts with the sections the model must return.
+// Sections are 'text' (one string), 'list' (statements that get citations)
+// or 'tags' (short labels). Built-in profiles live here; user profiles are
+// stored by profileStore.js.
+
+import { buildSummarySchema } from './summarySchema.js';
+
+export const DEFAULT_PROFILE_ID = 'general';
+
+const SECTION_DEFAULTS = {
+    text: { display: 'card', icon: '📋', minLength: 20, maxLength: 3000 },
+    list: { display: 'numbered', icon: '🎯', items: 5, minItems: 1, maxItems: 10 },
+    tags: { display: 'chips', icon: '🔑', items: 5, minItems: 1, maxItems: 10 }
+};
+
+// Fills in defaults, keeping only the limits that apply to the section type
+export const normalizeSection = (section) => {
+    const merged = { ...SECTION_DEFAULTS[section.type], ...section };
+    const { key, title, type, description, display, icon } = merged;
+    if (type === 'text') {
+        return { key, title, type, description, display, icon, minLength: merged.minLength, maxLength: merged.maxLength };
+    }
+    const items = Math.min(Math.max(merged.items, merged.minItems, 1), merged.maxItems);
+    return { key, title, type, description, display, icon, items, minItems: merged.minItems, maxItems: merged.maxItems };
+};
+
+const builtIn = (profile) => ({ ...profile, builtIn: true, sections: profile.sections.map(normalizeSection) });
+
+export const BUILT_IN_PROFILES = [
+    builtIn({
+        id: 'general',
+        name: 'General summary',
+        description: 'Summary, key points, insights and keywords for any document.',
+        instructions: 'Analyze this document and provide a structured summary.',
+        sections: [
+            { key: 'short', title: 'Quick Summary', type: 'text', description: '2-3 sentence summary', minLength: 20, maxLength: 1000 },
+            { key: 'detailed', title: 'Detailed Summary', type: 'text', description: 'One detailed paragraph summary', display: 'collapsible', icon: '📖', minLength: 50, maxLength: 6000 },
+            { key: 'bullets', title: 'Key Points', type: 'list', description: 'key point', items: 5, minItems: 3, maxItems: 8 },
+            { key: 'insights', title: 'Key Insights', type: 'list', description: 'insight', display: 'callout', icon: '💡', items: 3, minItems: 1, maxItems: 5 },
+            { key: 'keywords', title: 'Important Keywords', type: 'tags', description: 'keyword', items: 5, minItems: 3, maxItems: 10 }
+        ]
+    }),
+    builtIn({
+        id: 'legal',
+        name: 'Legal review',
+        description: 'Parties, obligations, dates and termination clauses of contracts and agreements.',
+        instructions: 'Analyze this legal document for a lawyer reviewing it. Identify the parties, what each party must do, every date or deadline, and how the agreement can end. Keep amounts, notice periods and conditions exactly as written.',
+        sections: [
+            { key: 'overview', title: 'Overview', type: 'text', description: 'What the document is and what it governs, in 2-3 sentences', maxLength: 1000 },
+            { key: 'parties', title: 'Parties', type: 'list', description: 'party name and role', icon: '👥', items: 2, minItems: 1, maxItems: 10 },
+            { key: 'obligations', title: 'Obligations', type: 'list', description: 'obligation, naming the party that owes it', icon: '📜', items: 5, minItems: 1, maxItems: 12 },
+            { key: 'dates', title: 'Key Dates', type: 'list', description: 'date or deadline and what happens on it', icon: '📅', items: 3, minItems: 0, maxItems: 10 },
+            { key: 'termination', title: 'Termination', type: 'list', description: 'termination right or condition', display: 'callout', icon: '⚠️', items: 2, minItems: 0, maxItems: 8 }
+        ]
+    }),
+    builtIn({
+        id: 'finance',
+        name: 'Financial analysis',
+        description: 'KPIs, risks and outlook of reports, filings and statements.',
+        instructions: 'Analyze this financial document for an analyst. Report key performance indicators with their values, periods and changes exactly as stated, the risks the document describes, and any guidance or outlook.',
+        sections: [
+            { key: 'overview', title: 'Overview', type: 'text', description: '2-3 sentence summary of the financial position', maxLength: 1000 },
+            { key: 'kpis', title: 'Key Metrics', type: 'list', description: 'metric with its value, period and change', icon: '📊', items: 5, minItems: 1, maxItems: 12 },
+            { key: 'risks', title: 'Risks', type: 'list', description: 'risk and its likely impact', display: 'callout', icon: '⚠️', items: 3, minItems: 0, maxItems: 10 },
+            { key: 'outlook', title: 'Outlook', type: 'text', description: 'Guidance and forward-looking statements in one paragraph', icon: '🔭', minLength: 0, maxLength: 3000 }
+        ]
+    })
+];
+
+export const DEFAULT_PROFILE = BUILT_IN_PROFILES[0];
+
+// Keyed by the sections themselves: stored profiles are read into new
+// objects on every request, and each schema object compiles new validators
+const schemas = new Map();
+
+// Output schema of a profile
+export const profileSchema = (profile) => {
+    const cacheKey = JSON.stringify(profile.sections);
+    if (!schemas.has(cacheKey)) {
+        schemas.set(cacheKey, buildSummarySchema(profile.sections));
+    }
+    return schemas.get(cacheKey);
+};
+
+const exampleValue = (section) => {
+    if (section.type === 'text') return JSON.stringify(section.description);
+    const items = Array.from({ length: section.items }, (_, i) => JSON.stringify(`${section.description} ${i + 1}`));
+    return `[${items.join(', ')}]`;
+};
+
+const guideLine = (section) => {
+    if (section.type === 'text') {
+        return `- "${section.key}" (text, ${section.minLength}-${section.maxLength} characters): ${section.description}`;
+    }
+    const kind = section.type === 'tags' ? 'short tags of 1-3 words' : 'items';
+    return `- "${section.key}" (list of ${section.minItems}-${section.maxItems} ${kind}): ${section.description}`;
+};
+
+// The "Required JSON format" block appended to every summary prompt
+export const formatSpec = (profile) => `Required JSON format:
+{
+${profile.sections.map(section => `  "${section.key}": ${exampleValue(section)}`).join(',\n')}
+}
+
+Field guide:
+${profile.sections.map(guideLine).join('\n')}`;
+
+// What clients need to render a summary made with a profile
+export const describeLayout = (profile) => ({
+    id: profile.id,
+    name: profile.name,
+    sections: profile.sections.map(({ key, title, type, display, icon }) => ({ key, title, type, display, icon }))
+});
+
+// Section layout of a stored summary. Summaries made before profiles
+// existed used the general profile.
+export const summaryLayout = (summary) => summary?.meta?.profile?.sections || describeLayout(DEFAULT_PROFILE).sections;
@@ -0,0 +1,169 @@
+// Redaction of personal data and secrets before text is sent to the model.
+// Matches are swapped for placeholders such as [EMAIL_1]; the same value
+// always gets the same placeholder within one redactor, so the model can
+// still tell values apart, and the placeholders in its answer are swapped
+// back before the user sees it. Configured through the environment:
+//   REDACTION_DISABLED=true  send text as it is
+//   REDACT_NAMES       comma-separated names to redact
+//   REDACT_NAMES_FILE  file with one name to redact per line
+
+import fs from 'fs';
+
+const REDACTION_DISABLED = process.env.REDACTION_DISABLED === 'true';
+
+// Digits of a card number pass the Luhn checksum
+const passesLuhn = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+// Dates look like phone numbers to the pattern below
+const DATE = /^(?:\d{4}[./-]\d{1,2}[./-]\d{1,2}|\d{1,2}[./-]\d{1,2}[./-]\d{2,4})$/;
+
+const digitCount = (value) => value.replace(/\D/g, '').length;
+
+// Characters before a match that `accept` gets to look at
+const CONTEXT_LENGTH = 30;
+
+// Text just before a number that says it is one, e.g. "Tel.:" or "Phone number"
+const PHONE_CONTEXT = /\b(?:tel|phone|mobile|cell|fax)\w*\.?(?:\s*(?:no\.?|number))?\s*[:#]?\s*$/i;
+
+// Spaced digit runs are only phone numbers when they start like one (+, (
+// or a trunk 0) or follow a word such as "phone"; amounts, years and year
+// ranges ("2021 2022", "2022-2023") are not
+const looksLikePhone = (match, before) => {
+    const digits = digitCount(match);
+    if (digits < 7 || digits > 15 || DATE.test(match)) return false;
+    if (match.split(/\D+/).filter(Boolean).every(group => /^(?:19|20)\d\d$/.test(group))) return false;
+    return /^[+(0]/.test(match) || PHONE_CONTEXT.test(before);
+};
+
+// Checked in order, so card numbers are taken before they can pass as phone
+// numbers. `accept(match, before)` rules out matches that only look like the
+// type; `before` is the text just before the match.
+const DETECTORS = [
+    {
+        type: 'SECRET',
+        // API keys of common services, this app's tokens and JWTs
+        pattern: /\b(?:sk-[\w-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[\w-]{10,}|dc_[\w-]{20,}|eyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,})/g
+    },
+    {
+        type: 'EMAIL',
+        pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,}/g
+    },
+    {
+        type: 'CARD',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        accept: (match) => passesLuhn(match.replace(/\D/g, ''))
+    },
+    {
+        type: 'ID',
+        // US social security numbers and IBANs
+        pattern: /\b(?:\d{3}-\d{2}-\d{4}|[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?)\b/g
+    },
+    {
+        type: 'PHONE',
+        // International numbers may be written without separators
+        pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{2,8}(?:[ .-]?\d{2,8}){0,4}|(?:\(\d{1,4}\)[ .-]?)?\d{2,8}(?:[ .-]\d{2,8}){1,4})(?!\w)/g,
+        accept: looksLikePhone
+    }
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readNameList = (env) => {
+    const names = (env.REDACT_NAMES || '').split(',');
+    if (env.REDACT_NAMES_FILE) {
+        try {
+            names.push(...fs.readFileSync(env.REDACT_NAMES_FILE, 'utf8').split('\n'));
+        } catch (error) {
+            console.error('Redaction name list error:', error.message);
+        }
+    }
+    return [...new Set(names.map(name => name.trim()).filter(Boolean))];
+};
+
+// One pattern for every configured name, longest first so "Anna Maria"
+// wins over "Anna"
+const namePattern = (names) => (names.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+    : null);
+
+const NAMES = namePattern(readNameList(process.env));
+
+const PLACEHOLDER = /\[(SECRET|EMAIL|CARD|ID|PHONE|NAME)_(\d+)\]/g;
+// Longest placeholder held back while a stream may still complete it
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+// Creates a redactor for one model call (or one conversation): redact() the
+// text going out, restore() the text coming back. `counts` reports how many
+// values of each type were redacted.
+export const createRedactor = ({ disabled = REDACTION_DISABLED } = {}) => {
+    // value -> placeholder and back
+    const placeholders = new Map();
+    const values = new Map();
+    const counts = {};
+
+    const placeholderFor = (type, value) => {
+        const known = placeholders.get(`${type}:${value}`);
+        if (known) return known;
+        counts[type] = (counts[type] || 0) + 1;
+        const placeholder = `[${type}_${counts[type]}]`;
+        placeholders.set(`${type}:${value}`, placeholder);
+        values.set(placeholder, value);
+        return placeholder;
+    };
+
+    const redact = (text) => {
+        if (disabled || !text) return text;
+        let result = text;
+        for (const { type, pattern, accept } of DETECTORS) {
+            // The patterns have no capture groups, so the offset comes right after the match
+            result = result.replace(pattern, (match, offset, string) =>
+                (!accept || accept(match, string.slice(Math.max(0, offset - CONTEXT_LENGTH), offset)) ? placeholderFor(type, match) : match));
+        }
+        if (NAMES) {
+            result = result.replace(NAMES, match => placeholderFor('NAME', match));
+        }
+        return result;
+    };
+
+    const restore = (text) => text.replace(PLACEHOLDER, placeholder => values.get(placeholder) ?? placeholder);
+
+    // Restores streamed deltas. A placeholder split across deltas is held
+    // back until it is complete; flush() returns whatever is left.
+    const createStreamRestorer = () => {
+        let pending = '';
+        return {
+            push: (delta) => {
+                pending += delta;
+                const open = pending.lastIndexOf('[');
+                const held = open !== -1 && !pending.includes(']', open) && pending.length - open < MAX_PLACEHOLDER_LENGTH;
+                const ready = held ? pending.slice(0, open) : pending;
+                pending = held ? pending.slice(open) : '';
+                return restore(ready);
+            },
+            flush: () => {
+                const rest = restore(pending);
+                pending = '';
+                return rest;
+            }
+        };
+    };
+
+    return {
+        redact,
+        redactMessages: (messages) => messages.map(message => ({ ...message, content: redact(message.content) })),
+        restore,
+        createStreamRestorer,
+        counts
+    };
+};
@@ -0,0 +1,61 @@
+// Chat sessions: the conversation of a workspace (one or more documents).
+
+import crypto from 'crypto';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './storage.js';
+
+const COLLECTION = 'sessions';
+
+export const createSession = async ({ documentIds, ownerId = null }) => {
+    const now = new Date().toISOString();
+    return writeRecord(COLLECTION, {
+        id: crypto.randomUUID(),
+        ownerId,
+        documentIds,
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+    });
+};
+
+export const getSession = (id) => readRecord(COLLECTION, id);
+
+// Appends messages and records the documents the conversation now spans
+export const appendToSession = async (id, { documentIds, messages }) => {
+    const session = await getSession(id);
+    if (!session) return null;
+    const createdAt = new Date().toISOString();
+    return writeRecord(COLLECTION, {
+        ...session,
+        documentIds: documentIds || session.documentIds,
+        messages: [...session.messages, ...messages.map(message => ({ ...message, createdAt }))],
+        updatedAt: createdAt
+    });
+};
+
+export const deleteSession = (id) => deleteRecord(COLLECTION, id);
+
+// Sessions newest first, optionally only one user's or those involving one
+// document
+export const listSessions = async ({ documentId, ownerId } = {}) => {
+    const sessions = await listRecords(COLLECTION);
+    return sessions
+        .filter(session => !ownerId || session.ownerId === ownerId)
+        .filter(session => !documentId || session.documentIds.includes(documentId))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(({ messages, ...session }) => ({ ...session, messageCount: messages.length }));
+};
+
+// Drops a deleted document from every session; sessions left without
+// documents are removed
+export const detachDocument = async (documentId) => {
+    const sessions = await listRecords(COLLECTION);
+    for (const session of sessions) {
+        if (!session.documentIds.includes(documentId)) continue;
+        const documentIds = session.documentIds.filter(id => id !== documentId);
+        if (documentIds.length) {
+            await writeRecord(COLLECTION, { ...session, documentIds });
+        } else {
+            await deleteRecord(COLLECTION, session.id);
+        }
+    }
+};
@@ -0,0 +1,68 @@
+// JSON-file persistence under DATA_DIR (default backend/data). Each record is
+// one file, written atomically via a temporary file and rename.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+export const dataDir = (...segments) => path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, ...segments);
+
+// Record ids become file names, so only allow safe characters
+const recordPath = (collection, id) => {
+    if (!/^[\w-]+$/.test(id)) return null;
+    return dataDir(collection, `${id}.json`);
+};
+
+export const readRecord = async (collection, id) => {
+    const file = recordPath(collection, id);
+    if (!file) return null;
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+export const writeRecord = async (collection, record) => {
+    const file = recordPath(collection, record.id);
+    if (!file) throw new Error(`Invalid record id: ${record.id}`);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // One temporary file per write, so concurrent writes of a record cannot
+    // rename each other's file away
+    const temp = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(record));
+    await fs.rename(temp, file);
+    return record;
+};
+
+export const deleteRecord = async (collection, id) => {
+    const file = recordPath(collection, id);
+    if (!file) return false;
+    try {
+        await fs.unlink(file);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+};
+
+export const listRecords = async (collection) => {
+    let files;
+    try {
+        files = await fs.readdir(dataDir(collection));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const records = await Promise.all(
+        files
+            .filter(file => file.endsWith('.json'))
+            .map(file => readRecord(collection, path.basename(file, '.json')))
+    );
+    return records.filter(Boolean);
+};
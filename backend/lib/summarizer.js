@@ -0,0 +1,274 @@
+// Single-pass and map-reduce summarization. Documents that fit in one prompt
+// are summarized directly; longer ones are summarized chunk by chunk and the
+// partial summaries are merged hierarchically into one final result. The
+// analysis profile decides the instructions and the sections returned, and
+// the output language decides what language they are written in.
+
+import { chunkText, selectChunks } from './chunker.js';
+import { createChatCompletion } from './llm/index.js';
+import { LLMError } from './llm/errors.js';
+import { recordParseFailure } from './usage.js';
+import { validateSections } from './summarySchema.js';
+import { DEFAULT_PROFILE, describeLayout, formatSpec, profileSchema } from './profiles.js';
+
+const SINGLE_PASS_LIMIT = 30000;
+const MAP_CHUNK_SIZE = 12000;
+const REDUCE_BATCH_SIZE = 6;
+const MAX_SUMMARY_CHUNKS = Number(process.env.SUMMARY_MAX_CHUNKS) || 24;
+// Extra model calls allowed to repair a summary that fails validation
+const SUMMARY_REPAIR_ATTEMPTS = Number(process.env.SUMMARY_REPAIR_ATTEMPTS ?? 1);
+
+// Bump when prompt changes should invalidate cached summaries
+export const SUMMARY_PROMPT_VERSION = 1;
+
+const JSON_ONLY = 'Respond ONLY with valid JSON (no markdown, no backticks, no preamble).';
+
+export class SummaryParseError extends Error {
+    constructor(raw) {
+        super('Failed to parse summary response');
+        this.raw = raw;
+    }
+}
+
+export const parseSummaryContent = (content) => {
+    // Remove markdown code blocks if present
+    const cleaned = content.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    try {
+        return JSON.parse(cleaned);
+    } catch {
+        recordParseFailure('invalid_json');
+        throw new SummaryParseError(cleaned);
+    }
+};
+
+const repairPrompt = (errors) => `Your previous response did not match the required format:
+${errors.map(error => `- "${error.section}" ${error.message}`).join('\n')}
+
+Return the complete corrected JSON object in the required format. ${JSON_ONLY}`;
+
+// Asks the model for a summary and validates it section by section. When
+// sections fail, the model is shown the problems and asked again, at most
+// SUMMARY_REPAIR_ATTEMPTS times. Valid sections from any attempt are kept.
+// Returns { sections, errors }; throws SummaryParseError if no attempt
+// produced JSON at all.
+const requestSummary = async (prompt, profile) => {
+    const messages = [{ role: 'user', content: prompt }];
+    const sections = {};
+    let errors = [];
+    let parsedAny = false;
+    let lastRaw = '';
+
+    for (let attempt = 0; attempt <= SUMMARY_REPAIR_ATTEMPTS; attempt++) {
+        const content = await createChatCompletion(messages);
+        try {
+            const result = validateSections(parseSummaryContent(content), profileSchema(profile));
+            parsedAny = true;
+            for (const [section, value] of Object.entries(result.sections)) {
+                if (!(section in sections)) sections[section] = value;
+            }
+            if (result.errors.length) recordParseFailure('invalid_format');
+            errors = result.errors.filter(error => !(error.section in sections));
+        } catch (error) {
+            if (!(error instanceof SummaryParseError)) throw error;
+            lastRaw = error.raw;
+            errors = [{ section: 'response', message: 'was not valid JSON' }];
+        }
+
+        if (!errors.length) break;
+        messages.push({ role: 'assistant', content }, { role: 'user', content: repairPrompt(errors) });
+    }
+
+    if (!parsedAny) {
+        throw new SummaryParseError(lastRaw);
+    }
+    return { sections, errors };
+};
+
+const summarizeText = (text, profile) => {
+    return requestSummary(`${profile.instructions} ${JSON_ONLY}
+
+Document text:
+${text}
+
+${formatSpec(profile)}`, profile);
+};
+
+const summarizeSection = async (chunk, position, total, profile) => {
+    const { sections } = await requestSummary(`The following text is part ${position} of ${total} of a longer document. Analyze this part only, following these instructions: ${profile.instructions} ${JSON_ONLY}
+
+Document part:
+${chunk.text}
+
+${formatSpec(profile)}`, profile);
+    return sections;
+};
+
+const asList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : []);
+
+const uniqueList = (items) => {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = item.trim().toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+// Joins the partial texts that fit within the section's length limit
+const joinTexts = (texts, maxLength) => {
+    let joined = '';
+    for (const text of texts) {
+        const next = joined ? `${joined} ${text}` : text;
+        if (joined && next.length > maxLength) break;
+        joined = next;
+    }
+    return joined;
+};
+
+// Deterministic merge used when the model cannot produce a valid merged summary
+export const mergePartialSummaries = (partials, profile = DEFAULT_PROFILE) => {
+    const merged = {};
+    for (const section of profile.sections) {
+        if (section.type === 'text') {
+            merged[section.key] = joinTexts(partials.map(partial => partial[section.key]).filter(Boolean), section.maxLength);
+        } else {
+            merged[section.key] = uniqueList(partials.flatMap(partial => asList(partial[section.key]))).slice(0, section.items);
+        }
+    }
+    return merged;
+};
+
+const reduceBatch = async (partials, profile) => {
+    if (partials.length === 1) return partials[0];
+
+    const fallback = mergePartialSummaries(partials, profile);
+    try {
+        const { sections } = await requestSummary(`Below are JSON summaries of consecutive parts of one document, in order. Merge them into a single summary of the whole document. Keep the most important points from every part, remove duplicates, and respect the item counts of the format. ${JSON_ONLY}
+
+Partial summaries:
+${JSON.stringify(partials, null, 2)}
+
+${formatSpec(profile)}`, profile);
+        // Sections the model could not merge come from the direct merge
+        return { ...fallback, ...sections };
+    } catch (error) {
+        if (!(error instanceof SummaryParseError)) throw error;
+        console.error('Reduce step returned invalid JSON, merging partial summaries directly');
+        return fallback;
+    }
+};
+
+// Merges partial summaries in batches until a single summary remains
+const reducePartials = async (partials, profile) => {
+    let level = partials;
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += REDUCE_BATCH_SIZE) {
+            next.push(await reduceBatch(level.slice(i, i + REDUCE_BATCH_SIZE), profile));
+        }
+        level = next;
+    }
+    return level[0];
+};
+
+// Drops sections that are still invalid and lists them in the metadata, so
+// clients can render what succeeded and report what did not. `knownErrors`
+// keep the original reason for sections that were already dropped.
+const finalize = (summary, meta, profile, knownErrors = []) => {
+    const { sections, errors: remaining } = validateSections(summary, profileSchema(profile));
+    const errors = remaining.map(error => knownErrors.find(known => known.section === error.section) || error);
+    return {
+        ...sections,
+        meta: {
+            ...meta,
+            profile: describeLayout(profile),
+            failedSections: errors.map(error => error.section),
+            validationErrors: errors
+        }
+    };
+};
+
+const summarizeHierarchically = async (text, profile, onProgress) => {
+    const chunks = chunkText(text, { size: MAP_CHUNK_SIZE, overlap: 0 });
+    const selected = selectChunks(chunks, MAX_SUMMARY_CHUNKS);
+
+    const partials = [];
+    const summarizedChunks = [];
+    const failedChunks = [];
+    let lastError = null;
+
+    // Sequential on purpose: the free model tier rate-limits parallel requests
+    for (const [i, chunk] of selected.entries()) {
+        onProgress({ stage: 'summarizing', current: i + 1, total: selected.length });
+        try {
+            const partial = await summarizeSection(chunk, i + 1, selected.length, profile);
+            if (!Object.keys(partial).length) {
+                throw new Error('no valid sections in the partial summary');
+            }
+            partials.push(partial);
+            summarizedChunks.push(chunk);
+        } catch (error) {
+            console.error(`Failed to summarize chunk ${chunk.index}:`, error.message);
+            failedChunks.push(chunk.index);
+            lastError = error;
+        }
+    }
+
+    if (!partials.length) {
+        // A model outage fails every chunk; report it rather than the chunks
+        if (lastError instanceof LLMError) throw lastError;
+        throw new Error('Every document chunk failed to summarize');
+    }
+
+    onProgress({ stage: 'merging' });
+    const summary = await reducePartials(partials, profile);
+    const coveredChars = summarizedChunks.reduce((sum, chunk) => sum + (chunk.end - chunk.start), 0);
+
+    return finalize(summary, {
+        mode: 'hierarchical',
+        totalChars: text.length,
+        coveredChars,
+        coverage: Number((coveredChars / text.length).toFixed(3)),
+        totalChunks: chunks.length,
+        summarizedChunks: summarizedChunks.map(chunk => ({ index: chunk.index, start: chunk.start, end: chunk.end })),
+        failedChunks
+    }, profile);
+};
+
+// The profile with its instructions asking for text in `language`
+const inLanguage = (profile, language) => ({
+    ...profile,
+    instructions: `${profile.instructions} Write every section in ${language.name}, whatever the language of the document, and keep the JSON keys exactly as given.`
+});
+
+const summarizeWithProfile = async (text, { mode, profile, onProgress }) => {
+    const hierarchical = mode === 'hierarchical' || (mode === 'auto' && text.length > SINGLE_PASS_LIMIT);
+    if (hierarchical) {
+        return summarizeHierarchically(text, profile, onProgress);
+    }
+
+    onProgress({ stage: 'summarizing', current: 1, total: 1 });
+    const coveredChars = Math.min(text.length, SINGLE_PASS_LIMIT);
+    const { sections, errors } = await summarizeText(text.substring(0, SINGLE_PASS_LIMIT), profile);
+    return finalize(sections, {
+        mode: 'single',
+        totalChars: text.length,
+        coveredChars,
+        coverage: Number((coveredChars / text.length).toFixed(3)),
+        totalChunks: 1,
+        summarizedChunks: [{ index: 0, start: 0, end: coveredChars }],
+        failedChunks: []
+    }, profile, errors);
+};
+
+// mode: 'auto' (default) picks hierarchical only when the text does not fit
+// in a single prompt; 'single' keeps the old truncating behaviour.
+// language ({ code, name } from language.js) is the output language; without
+// it the model picks one. onProgress({ stage, current, total }) is called
+// before each model step.
+export const summarizeDocument = async (text, { mode = 'auto', profile = DEFAULT_PROFILE, language = null, onProgress = () => {} } = {}) => {
+    const summary = await summarizeWithProfile(text, { mode, profile: language ? inLanguage(profile, language) : profile, onProgress });
+    summary.meta.language = language?.code || null;
+    return summary;
+};
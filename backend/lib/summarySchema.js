@@ -0,0 +1,128 @@
+// JSON Schema for summaries, derived from an analysis profile's sections and
+// validated section by section so a bad field does not discard the good ones.
+
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true });
+
+const ITEM_MAX_LENGTH = { list: 500, tags: 60 };
+
+const sectionSchema = (section) => {
+    if (section.type === 'text') {
+        return { type: 'string', minLength: section.minLength, maxLength: section.maxLength };
+    }
+    return {
+        type: 'array',
+        items: { type: 'string', minLength: 2, maxLength: ITEM_MAX_LENGTH[section.type] },
+        minItems: section.minItems,
+        maxItems: section.maxItems
+    };
+};
+
+// Schema for the JSON object a profile asks the model for
+export const buildSummarySchema = (sections) => ({
+    type: 'object',
+    properties: Object.fromEntries(sections.map(section => [section.key, sectionSchema(section)])),
+    required: sections.map(section => section.key)
+});
+
+const validators = new WeakMap();
+
+// Compiles one validator per section, cached per schema object
+const sectionValidators = (schema) => {
+    if (!validators.has(schema)) {
+        validators.set(schema, Object.fromEntries(
+            Object.entries(schema.properties).map(([section, sectionSchema]) => [section, ajv.compile(sectionSchema)])
+        ));
+    }
+    return validators.get(schema);
+};
+
+// Returns { sections, errors }: `sections` holds only the valid sections,
+// `errors` one { section, message } per failed section.
+export const validateSections = (data, schema) => {
+    const sections = {};
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return {
+            sections,
+            errors: Object.keys(schema.properties).map(section => ({ section, message: 'response is not a JSON object' }))
+        };
+    }
+
+    for (const [section, validate] of Object.entries(sectionValidators(schema))) {
+        if (data[section] === undefined) {
+            if (schema.required?.includes(section)) {
+                errors.push({ section, message: 'is missing' });
+            }
+            continue;
+        }
+        if (validate(data[section])) {
+            sections[section] = data[section];
+        } else {
+            const message = validate.errors
+                .map(error => `${error.instancePath ? `${error.instancePath} ` : ''}${error.message}`)
+                .join('; ');
+            errors.push({ section, message });
+        }
+    }
+
+    return { sections, errors };
+};
+
+// Validates a profile definition sent by a client, before defaults are applied
+const validateDefinition = ajv.compile({
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 80 },
+        description: { type: 'string', maxLength: 300 },
+        instructions: { type: 'string', minLength: 10, maxLength: 4000 },
+        sections: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 12,
+            items: {
+                type: 'object',
+                properties: {
+                    key: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]{0,39}$', not: { enum: ['meta', 'citations'] } },
+                    title: { type: 'string', minLength: 1, maxLength: 80 },
+                    type: { enum: ['text', 'list', 'tags'] },
+                    description: { type: 'string', minLength: 1, maxLength: 200 },
+                    display: { enum: ['card', 'collapsible', 'numbered', 'callout', 'chips'] },
+                    icon: { type: 'string', maxLength: 8 },
+                    items: { type: 'integer', minimum: 1, maximum: 20 },
+                    minItems: { type: 'integer', minimum: 0, maximum: 20 },
+                    maxItems: { type: 'integer', minimum: 1, maximum: 30 },
+                    minLength: { type: 'integer', minimum: 0, maximum: 1000 },
+                    maxLength: { type: 'integer', minimum: 20, maximum: 10000 }
+                },
+                required: ['key', 'title', 'type', 'description'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['name', 'instructions', 'sections'],
+    additionalProperties: false
+});
+
+// Returns a list of problems with a profile definition; empty when valid
+export const profileDefinitionErrors = (definition) => {
+    if (!validateDefinition(definition)) {
+        return validateDefinition.errors.map(error => `${error.instancePath || 'profile'} ${error.message}`);
+    }
+    const errors = [];
+    const keys = definition.sections.map(section => section.key);
+    for (const key of new Set(keys.filter((key, i) => keys.indexOf(key) !== i))) {
+        errors.push(`section key "${key}" is used more than once`);
+    }
+    for (const section of definition.sections) {
+        if (section.minItems !== undefined && section.maxItems !== undefined && section.minItems > section.maxItems) {
+            errors.push(`section "${section.key}" has minItems above maxItems`);
+        }
+        if (section.minLength !== undefined && section.maxLength !== undefined && section.minLength > section.maxLength) {
+            errors.push(`section "${section.key}" has minLength above maxLength`);
+        }
+    }
+    return errors;
+};
@@ -0,0 +1,46 @@
+// Model tokens used per user per day (UTC), persisted so budgets survive
+// restarts. Updates to one day's record are serialized: concurrent model
+// calls would otherwise overwrite each other's counts.
+
+import { readRecord, writeRecord } from './storage.js';
+
+const COLLECTION = 'token-usage';
+
+const pending = new Map();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const recordId = (userId, day) => `${userId}_${day}`;
+
+export const tokensUsedToday = async (userId) => {
+    const record = await readRecord(COLLECTION, recordId(userId, today()));
+    return record ? record.promptTokens + record.completionTokens : 0;
+};
+
+// Seconds until the budgets reset at midnight UTC
+export const secondsUntilReset = () => {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight - Date.now()) / 1000);
+};
+
+export const recordTokenUsage = (userId, { promptTokens, completionTokens }) => {
+    const day = today();
+    const id = recordId(userId, day);
+    const update = (pending.get(id) || Promise.resolve()).then(async () => {
+        const record = await readRecord(COLLECTION, id)
+            || { id, userId, day, promptTokens: 0, completionTokens: 0, calls: 0 };
+        await writeRecord(COLLECTION, {
+            ...record,
+            promptTokens: record.promptTokens + promptTokens,
+            completionTokens: record.completionTokens + completionTokens,
+            calls: record.calls + 1
+        });
+    });
+    const settled = update.catch(error => console.error('Token usage save error:', error.message));
+    pending.set(id, settled);
+    settled.then(() => {
+        if (pending.get(id) === settled) pending.delete(id);
+    });
+    return settled;
+};
@@ -0,0 +1,62 @@
+// Translation of documents and search queries. Documents are translated
+// section by section (see splitSections in compare.js) so the result keeps
+// the document's structure and each model call stays small.
+
+import { chunkText } from './chunker.js';
+import { splitSections } from './compare.js';
+import { createChatCompletion } from './llm/index.js';
+
+const TRANSLATION_CHUNK_SIZE = 6000;
+const MAX_TRANSLATION_SECTIONS = Number(process.env.TRANSLATION_MAX_SECTIONS) || 40;
+
+const translateText = (text, language) => createChatCompletion([{
+    role: 'user',
+    content: `Translate the text below into ${language.name}. Keep names, numbers, amounts and line breaks as they are, and translate headings too. Reply with the translation only, without notes or a preamble.
+
+Text:
+${text}`
+}]);
+
+// The query in `language`, for searching documents written in it
+export const translateQuery = async (query, language) => {
+    const translated = await createChatCompletion([{
+        role: 'user',
+        content: `Translate this search query into ${language.name}. Reply with the translation only.
+
+Query:
+${query}`
+    }]);
+    return translated.trim();
+};
+
+// Translates a stored document into `language`. onProgress({ stage, current,
+// total }) is called before each section. Returns { language, sections, meta }
+// where each section is { title, start, end, text }.
+export const translateDocument = async (document, language, { onProgress = () => {} } = {}) => {
+    const sections = splitSections(document.text);
+    const selected = sections.slice(0, MAX_TRANSLATION_SECTIONS);
+
+    const translated = [];
+    for (const [i, section] of selected.entries()) {
+        onProgress({ stage: 'translating', current: i + 1, total: selected.length });
+        // Long sections are translated in parts and joined again
+        const parts = chunkText(document.text.slice(section.start, section.end), { size: TRANSLATION_CHUNK_SIZE, overlap: 0 });
+        const texts = [];
+        for (const part of parts) {
+            texts.push((await translateText(part.text, language)).trim());
+        }
+        translated.push({ title: section.title, start: section.start, end: section.end, text: texts.join('\n\n') });
+    }
+
+    const translatedChars = selected.reduce((sum, section) => sum + (section.end - section.start), 0);
+    return {
+        language: language.code,
+        sections: translated,
+        meta: {
+            sourceLanguage: document.language || null,
+            totalSections: sections.length,
+            coverage: document.text.length ? Number((translatedChars / document.text.length).toFixed(3)) : 1,
+            translatedAt: new Date().toISOString()
+        }
+    };
+};
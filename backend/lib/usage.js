@@ -0,0 +1,217 @@
+// Usage log of model calls, for the admin usage reports. Every call is
+// recorded with the route and documents it was made for, the model, tokens,
+// latency, outcome and estimated cost; responses the app could not parse
+// are recorded too. Entries are appended as JSON lines to one file per UTC
+// day. Configured through the environment:
+//   USAGE_RETENTION_DAYS  days of records kept (default 90)
+//   LLM_PRICES  JSON object of USD prices per million prompt and completion
+//               tokens by model name, e.g. {"openai/gpt-4o-mini": [0.15, 0.6]};
+//               takes precedence over the built-in list
+
+import fs from 'fs/promises';
+import path from 'path';
+import { dataDir } from './storage.js';
+import { usageContext } from './auth.js';
+
+const DIRECTORY = 'usage';
+const USAGE_RETENTION_DAYS = Number(process.env.USAGE_RETENTION_DAYS) || 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Approximate list prices in USD per million [prompt, completion] tokens
+const PRICES = [
+    [/:free$/, [0, 0]],
+    [/^mock/, [0, 0]],
+    [/gpt-4o-mini/, [0.15, 0.6]],
+    [/gpt-4o/, [2.5, 10]],
+    [/gpt-4\.1-mini/, [0.4, 1.6]],
+    [/gpt-4\.1/, [2, 8]],
+    [/mistral-7b-instruct/, [0.03, 0.055]],
+    [/llama-3\.1-8b-instruct/, [0.02, 0.03]],
+    [/llama-3\.1-70b-instruct/, [0.1, 0.28]]
+];
+
+const configuredPrices = (() => {
+    try {
+        return JSON.parse(process.env.LLM_PRICES || '{}');
+    } catch {
+        console.error('LLM_PRICES is not valid JSON; using the built-in prices');
+        return {};
+    }
+})();
+
+// [prompt, completion] USD per million tokens, or null when unknown
+export const priceOf = (model) => configuredPrices[model]
+    || PRICES.find(([pattern]) => pattern.test(model))?.[1]
+    || null;
+
+// Estimated cost in USD, or null for models without a known price
+export const estimateCost = (model, promptTokens, completionTokens) => {
+    const price = priceOf(model);
+    if (!price) return null;
+    return (promptTokens * price[0] + completionTokens * price[1]) / 1e6;
+};
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const dayFile = (day) => dataDir(DIRECTORY, `${day}.jsonl`);
+
+let prunedOn = null;
+
+// Deletes the day files that are past retention, once per day
+const pruneOldDays = async (today) => {
+    if (prunedOn === today) return;
+    prunedOn = today;
+    const cutoff = dayOf(new Date(Date.now() - USAGE_RETENTION_DAYS * DAY_MS));
+    const files = await fs.readdir(dataDir(DIRECTORY)).catch(() => []);
+    await Promise.all(files
+        .filter(file => file.endsWith('.jsonl') && path.basename(file, '.jsonl') < cutoff)
+        .map(file => fs.rm(dataDir(DIRECTORY, file), { force: true })));
+};
+
+// Writes still in progress, awaited by flushUsage()
+const pendingWrites = new Set();
+
+const writeEntry = async (entry) => {
+    const now = new Date();
+    const day = dayOf(now);
+    try {
+        await fs.mkdir(dataDir(DIRECTORY), { recursive: true });
+        await fs.appendFile(dayFile(day), `${JSON.stringify({ at: now.toISOString(), ...usageContext(), ...entry })}\n`);
+        await pruneOldDays(day);
+    } catch (error) {
+        console.error('Usage record error:', error.message);
+    }
+};
+
+// Appends an entry with the current request's user, route and documents.
+// A failed write is logged but never fails the model call.
+const appendEntry = (entry) => {
+    const write = writeEntry(entry);
+    pendingWrites.add(write);
+    write.finally(() => pendingWrites.delete(write));
+    return write;
+};
+
+// Resolves once every entry recorded so far is written, e.g. before the
+// data directory is removed
+export const flushUsage = () => Promise.all(pendingWrites);
+
+// `outcome` is 'ok', 'error' (with the LLMError `errorCode`) or 'aborted'
+export const recordModelCall = ({ model, stream = false, promptTokens, completionTokens, latencyMs, attempts = 1, outcome, errorCode = null }) =>
+    appendEntry({
+        type: 'call',
+        model,
+        stream,
+        promptTokens,
+        completionTokens,
+        latencyMs,
+        attempts,
+        outcome,
+        errorCode,
+        cost: estimateCost(model, promptTokens, completionTokens)
+    });
+
+// A model response the app could not use: 'invalid_json', or JSON that
+// failed validation ('invalid_format')
+export const recordParseFailure = (reason) => appendEntry({ type: 'parse_failure', reason });
+
+const readDay = async (day) => {
+    let content;
+    try {
+        content = await fs.readFile(dayFile(day), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    // A line cut short by a crash is skipped
+    return content.split('\n').flatMap(line => {
+        try {
+            return line ? [JSON.parse(line)] : [];
+        } catch {
+            return [];
+        }
+    });
+};
+
+// The last `days` UTC days, oldest first
+const lastDays = (days) => Array.from({ length: days }, (_, i) => dayOf(new Date(Date.now() - (days - 1 - i) * DAY_MS)));
+
+const emptyTotals = () => ({
+    calls: 0,
+    failedCalls: 0,
+    abortedCalls: 0,
+    parseFailures: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    cost: 0,
+    unpricedCalls: 0,
+    latencyMs: 0
+});
+
+const addEntry = (totals, entry) => {
+    if (entry.type === 'parse_failure') {
+        totals.parseFailures += 1;
+        return totals;
+    }
+    totals.calls += 1;
+    if (entry.outcome === 'error') totals.failedCalls += 1;
+    if (entry.outcome === 'aborted') totals.abortedCalls += 1;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    if (entry.cost === null) totals.unpricedCalls += 1;
+    else totals.cost += entry.cost;
+    totals.latencyMs += entry.latencyMs;
+    return totals;
+};
+
+// Replaces the latency sum with the average and rounds the cost
+const finishTotals = ({ latencyMs, cost, ...totals }) => ({
+    ...totals,
+    totalTokens: totals.promptTokens + totals.completionTokens,
+    cost: Number(cost.toFixed(6)),
+    averageLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : 0
+});
+
+// Totals per value of `keysOf(entry)`; an entry can count for several keys
+const groupBy = (entries, keysOf) => {
+    const groups = new Map();
+    for (const entry of entries) {
+        for (const key of keysOf(entry)) {
+            if (!groups.has(key)) groups.set(key, emptyTotals());
+            addEntry(groups.get(key), entry);
+        }
+    }
+    return [...groups].map(([key, totals]) => ({ key, ...finishTotals(totals) }));
+};
+
+// Usage of the last `days` days: overall totals and totals per day, per
+// document, per route and per model. Calls about several documents (chat
+// over a workspace, comparisons) count fully for each of them.
+export const summarizeUsage = async ({ days = 30 } = {}) => {
+    await flushUsage();
+    const dayList = lastDays(days);
+    const entriesByDay = await Promise.all(dayList.map(readDay));
+    const entries = entriesByDay.flat();
+    const byTokens = (a, b) => b.totalTokens - a.totalTokens;
+
+    return {
+        from: dayList[0],
+        to: dayList.at(-1),
+        totals: finishTotals(entries.reduce(addEntry, emptyTotals())),
+        byDay: dayList.map((day, i) => ({ day, ...finishTotals(entriesByDay[i].reduce(addEntry, emptyTotals())) })),
+        byDocument: groupBy(entries, entry => entry.documentIds).map(({ key, ...totals }) => ({ documentId: key, ...totals })).sort(byTokens),
+        byRoute: groupBy(entries, entry => [entry.route || 'background']).map(({ key, ...totals }) => ({ route: key, ...totals })).sort(byTokens),
+        byModel: groupBy(entries.filter(entry => entry.type === 'call'), entry => [entry.model]).map(({ key, ...totals }) => ({ model: key, ...totals })).sort(byTokens)
+    };
+};
+
+// Recorded entries of one UTC day, newest first, optionally only those
+// about `documentId`
+export const listUsageEntries = async ({ day = dayOf(new Date()), documentId, limit = 200 } = {}) => {
+    await flushUsage();
+    const entries = await readDay(day);
+    return entries
+        .filter(entry => !documentId || entry.documentIds.includes(documentId))
+        .reverse()
+        .slice(0, limit);
+};
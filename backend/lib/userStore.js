@@ -0,0 +1,83 @@
+// Users and their API tokens. A token is shown once when it is issued; only
+// its SHA-256 hash is stored, and the hash doubles as the token record's id.
+
+import crypto from 'crypto';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './storage.js';
+
+const USERS = 'users';
+const TOKENS = 'tokens';
+
+export const USER_ROLES = ['admin', 'user'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Public view of a token record; the prefix helps users tell tokens apart
+const describeToken = ({ id, label, prefix, createdAt }) => ({ id, label, prefix, createdAt });
+
+export const getUser = (id) => readRecord(USERS, id);
+
+// Returns the user owning `token`, or null
+export const findUserByToken = async (token) => {
+    const record = await readRecord(TOKENS, hashToken(token));
+    return record ? getUser(record.userId) : null;
+};
+
+// `limits` are { rateLimitPerMinute, dailyTokenBudget }; null keeps the
+// server-wide default
+export const createUser = async ({ name, role = 'user', rateLimitPerMinute = null, dailyTokenBudget = null }) => {
+    return writeRecord(USERS, {
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        role,
+        rateLimitPerMinute,
+        dailyTokenBudget,
+        createdAt: new Date().toISOString()
+    });
+};
+
+export const updateUser = async (id, changes) => {
+    const user = await getUser(id);
+    if (!user) return null;
+    return writeRecord(USERS, { ...user, ...changes, id });
+};
+
+export const listTokens = async (userId) => {
+    const tokens = await listRecords(TOKENS);
+    return tokens
+        .filter(token => token.userId === userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(describeToken);
+};
+
+// Users by name, each with their tokens
+export const listUsers = async () => {
+    const [users, tokens] = await Promise.all([listRecords(USERS), listRecords(TOKENS)]);
+    return users
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(user => ({ ...user, tokens: tokens.filter(token => token.userId === user.id).map(describeToken) }));
+};
+
+// Returns { token, ...record }: the only time the plain token is available
+export const issueToken = async (userId, { label = '' } = {}) => {
+    const token = `dc_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = await writeRecord(TOKENS, {
+        id: hashToken(token),
+        userId,
+        label: label.trim(),
+        prefix: token.slice(0, 7),
+        createdAt: new Date().toISOString()
+    });
+    return { token, ...describeToken(record) };
+};
+
+export const revokeToken = async (userId, tokenId) => {
+    const record = await readRecord(TOKENS, tokenId);
+    if (!record || record.userId !== userId) return false;
+    return deleteRecord(TOKENS, tokenId);
+};
+
+export const deleteUser = async (id) => {
+    const tokens = await listTokens(id);
+    await Promise.all(tokens.map(token => deleteRecord(TOKENS, token.id)));
+    return deleteRecord(USERS, id);
+};
@@ -0,0 +1,18 @@
+import express from 'express';
+import { limitsOf } from '../lib/auth.js';
+import { tokensUsedToday } from '../lib/tokenBudget.js';
+
+const router = express.Router();
+
+// The signed-in user, their limits and today's token usage
+router.get('/', async (req, res) => {
+    try {
+        const { id, name, role } = req.user;
+        res.json({ id, name, role, ...limitsOf(req.user), tokensToday: await tokensUsedToday(id) });
+    } catch (error) {
+        console.error('Account read error:', error.message);
+        res.status(500).json({ error: 'Failed to read account' });
+    }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import { CACHE_KINDS, clearCache, deleteCacheEntry, describeEntry, getCacheEntry, listCacheEntries } from '../lib/cache.js';
+import { documentContentHashes, getDocument, listContentHashes } from '../lib/documentStore.js';
+import { accessibleTo, isAdmin, requireAdmin } from '../lib/auth.js';
+
+const router = express.Router();
+
+// Turns the `kind` and `documentId` query parameters into a cache filter;
+// `user` must be able to see the document. Without a document, users other
+// than admins only get the entries of their own documents: other users'
+// content hashes would tell which files they uploaded. Returns { status,
+// error } when the parameters are invalid.
+const readFilter = async ({ kind, documentId }, user) => {
+    if (kind && !CACHE_KINDS.includes(kind)) {
+        return { status: 400, error: `Kind must be one of: ${CACHE_KINDS.join(', ')}` };
+    }
+    if (!documentId) {
+        if (isAdmin(user)) return { filter: { kind } };
+        return { filter: { kind, contentHashes: await listContentHashes({ ownerId: user.id }) } };
+    }
+    const document = accessibleTo(user, await getDocument(documentId));
+    if (!document) {
+        return { status: 404, error: 'Document not found' };
+    }
+    return { filter: { kind, contentHashes: documentContentHashes(document) } };
+};
+
+// Cache entries without their values, newest first; `?kind=` and
+// `?documentId=` narrow the list
+router.get('/', async (req, res) => {
+    try {
+        const { filter, status, error } = await readFilter(req.query, req.user);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        res.json(await listCacheEntries(filter));
+    } catch (error) {
+        console.error('Cache list error:', error.message);
+        res.status(500).json({ error: 'Failed to list cache entries' });
+    }
+});
+
+// Invalidates the entries matching `?kind=` and `?documentId=`. The cache is
+// shared by every user, so only admins may clear entries of every document.
+router.delete('/', async (req, res) => {
+    try {
+        const { filter, status, error } = await readFilter(req.query, req.user);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (!req.query.documentId && !isAdmin(req.user)) {
+            return res.status(403).json({ error: 'Admin access required to clear entries of every document' });
+        }
+        res.json({ deleted: await clearCache(filter) });
+    } catch (error) {
+        console.error('Cache clear error:', error.message);
+        res.status(500).json({ error: 'Failed to clear cache' });
+    }
+});
+
+// The cached value is document content, so only admins see it
+router.get('/:id', async (req, res) => {
+    try {
+        const entry = await getCacheEntry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Cache entry not found' });
+        }
+        res.json(isAdmin(req.user) ? entry : describeEntry(entry));
+    } catch (error) {
+        console.error('Cache read error:', error.message);
+        res.status(500).json({ error: 'Failed to read cache entry' });
+    }
+});
+
+// Entries are shared by every user, so only admins delete single ones
+router.delete('/:id', requireAdmin, async (req, res) => {
+    try {
+        const deleted = await deleteCacheEntry(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Cache entry not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Cache delete error:', error.message);
+        res.status(500).json({ error: 'Failed to delete cache entry' });
+    }
+});
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import { deleteComparison, getComparison, listComparisons } from '../lib/comparisonStore.js';
+import { getDocument } from '../lib/documentStore.js';
+import { createJob } from '../lib/jobs.js';
+import { processComparison } from '../lib/pipeline.js';
+import { accessibleTo, limitModelUsage, ownerFilter } from '../lib/auth.js';
+
+const router = express.Router();
+
+// Queues a comparison of `baseDocumentId` (the old version) with
+// `targetDocumentId` (the new one). Responds with the job to poll at
+// /api/jobs/:id; its result holds the `comparisonId`.
+router.post('/', limitModelUsage, async (req, res) => {
+    try {
+        const { baseDocumentId, targetDocumentId } = req.body;
+        if (!baseDocumentId || !targetDocumentId) {
+            return res.status(400).json({ error: 'baseDocumentId and targetDocumentId are required' });
+        }
+        if (baseDocumentId === targetDocumentId) {
+            return res.status(400).json({ error: 'Choose two different documents to compare' });
+        }
+
+        const [base, target] = await Promise.all([baseDocumentId, targetDocumentId].map(async id => accessibleTo(req.user, await getDocument(id))));
+        if (!base || !target) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const ownerId = req.user.id;
+        res.status(202).json(createJob('comparison', processComparison(base, target, { ownerId }), { ownerId }));
+    } catch (error) {
+        console.error('Comparison error:', error.message);
+        res.status(500).json({ error: 'Failed to queue comparison' });
+    }
+});
+
+// The user's comparisons (every comparison for admins); ?documentId= limits
+// the list to comparisons involving one document
+router.get('/', async (req, res) => {
+    try {
+        res.json(await listComparisons({ documentId: req.query.documentId, ...ownerFilter(req.user) }));
+    } catch (error) {
+        console.error('Comparison list error:', error.message);
+        res.status(500).json({ error: 'Failed to list comparisons' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const comparison = accessibleTo(req.user, await getComparison(req.params.id));
+        if (!comparison) {
+            return res.status(404).json({ error: 'Comparison not found' });
+        }
+        res.json(comparison);
+    } catch (error) {
+        console.error('Comparison read error:', error.message);
+        res.status(500).json({ error: 'Failed to read comparison' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = accessibleTo(req.user, await getComparison(req.params.id)) && await deleteComparison(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Comparison not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Comparison delete error:', error.message);
+        res.status(500).json({ error: 'Failed to delete comparison' });
+    }
+});
+
+export default router;
@@ -0,0 +1,245 @@
+import express from 'express';
+import {
+    addDocument,
+    deleteDocument,
+    describeDocument,
+    documentContentHashes,
+    documentFilePath,
+    getDocument,
+    listDocuments,
+    updateDocument
+} from '../lib/documentStore.js';
+import { detachDocument, getSession, listSessions } from '../lib/sessionStore.js';
+import { deleteComparisonsOf } from '../lib/comparisonStore.js';
+import { buildReport, entitiesToCsv, EXPORT_FORMATS, toCsv } from '../lib/exporters/index.js';
+import { createJob } from '../lib/jobs.js';
+import { processTranslation } from '../lib/pipeline.js';
+import { getLanguage } from '../lib/language.js';
+import { accessibleTo, limitModelUsage, ownerFilter } from '../lib/auth.js';
+import { clearCache } from '../lib/cache.js';
+
+const router = express.Router();
+
+// File name stem for downloads: the document name without its extension
+const downloadBaseName = (document) => document.name.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'document';
+
+// Stores and indexes extracted document text
+router.post('/', async (req, res) => {
+    try {
+        const { text, name, pages, ocr } = req.body;
+
+        if (!text) {
+            return res.status(400).json({ error: 'Text is required' });
+        }
+
+        const document = await addDocument({ text, name, pages, ocr, ownerId: req.user.id });
+        res.status(201).json({ ...describeDocument(document), chunkCount: document.chunks.length });
+    } catch (error) {
+        console.error('Document save error:', error.message);
+        res.status(500).json({ error: 'Failed to save document' });
+    }
+});
+
+// The user's documents; admins see every document
+router.get('/', async (req, res) => {
+    try {
+        res.json(await listDocuments(ownerFilter(req.user)));
+    } catch (error) {
+        console.error('Document list error:', error.message);
+        res.status(500).json({ error: 'Failed to list documents' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const document = accessibleTo(req.user, await getDocument(req.params.id));
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        const { chunks, index, ...record } = document;
+        res.json(record);
+    } catch (error) {
+        console.error('Document read error:', error.message);
+        res.status(500).json({ error: 'Failed to read document' });
+    }
+});
+
+// The originally uploaded file
+router.get('/:id/file', async (req, res) => {
+    try {
+        const document = accessibleTo(req.user, await getDocument(req.params.id));
+        if (!document?.file) {
+            return res.status(404).json({ error: 'Original file not found' });
+        }
+        res.type(document.file.mimeType);
+        res.sendFile(documentFilePath(document.id), (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Original file not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Document file error:', error.message);
+        res.status(500).json({ error: 'Failed to read document file' });
+    }
+});
+
+// Downloads the summary, and the chat transcript of `sessionId` (or the
+// document's latest session), as ?format=md|pdf|docx
+router.get('/:id/export', async (req, res) => {
+    try {
+        const format = EXPORT_FORMATS[req.query.format || 'md'];
+        if (!format) {
+            return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+
+        const document = accessibleTo(req.user, await getDocument(req.params.id));
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        let session = null;
+        if (req.query.sessionId) {
+            session = accessibleTo(req.user, await getSession(req.query.sessionId));
+            if (!session || !session.documentIds.includes(document.id)) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+        } else {
+            const [latest] = await listSessions({ documentId: document.id, ...ownerFilter(req.user) });
+            session = latest ? await getSession(latest.id) : null;
+        }
+
+        const output = await format.render(buildReport(document, session));
+        const baseName = downloadBaseName(document);
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="${baseName}-analysis.${format.extension}"`
+        });
+        res.send(output);
+    } catch (error) {
+        console.error('Document export error:', error.message);
+        res.status(500).json({ error: 'Failed to export document' });
+    }
+});
+
+// Downloads extracted entities and tables: ?format=json for everything,
+// ?format=csv for the entities, ?format=csv&table=N for one table
+router.get('/:id/structured-data', async (req, res) => {
+    try {
+        const document = accessibleTo(req.user, await getDocument(req.params.id));
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        if (!document.structured) {
+            return res.status(404).json({ error: 'No structured data has been extracted for this document' });
+        }
+
+        const baseName = downloadBaseName(document);
+        const { format = 'json', table } = req.query;
+        if (format === 'json') {
+            res.set('Content-Disposition', `attachment; filename="${baseName}-data.json"`);
+            return res.json(document.structured);
+        }
+        if (format !== 'csv') {
+            return res.status(400).json({ error: 'Format must be one of: json, csv' });
+        }
+
+        let csv = entitiesToCsv(document.structured.entities);
+        let fileName = `${baseName}-entities.csv`;
+        if (table !== undefined) {
+            const found = document.structured.tables[Number(table)];
+            if (!found) {
+                return res.status(404).json({ error: 'Table not found' });
+            }
+            csv = toCsv(found.rows);
+            fileName = `${baseName}-table-${Number(table) + 1}.csv`;
+        }
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        res.send(csv);
+    } catch (error) {
+        console.error('Structured data download error:', error.message);
+        res.status(500).json({ error: 'Failed to download structured data' });
+    }
+});
+
+// Queues a section-by-section translation into `language` (a language
+// code). Responds with the job to poll at /api/jobs/:id.
+router.post('/:id/translations', limitModelUsage, async (req, res) => {
+    try {
+        const language = getLanguage(req.body.language);
+        if (!language) {
+            return res.status(400).json({ error: 'Unsupported language' });
+        }
+
+        const document = accessibleTo(req.user, await getDocument(req.params.id));
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        res.status(202).json(createJob('translation', processTranslation(document, language), { ownerId: req.user.id }));
+    } catch (error) {
+        console.error('Translation error:', error.message);
+        res.status(500).json({ error: 'Failed to queue translation' });
+    }
+});
+
+router.get('/:id/translations/:language', async (req, res) => {
+    try {
+        const document = accessibleTo(req.user, await getDocument(req.params.id));
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        const translation = document.translations?.[req.params.language];
+        if (!translation) {
+            return res.status(404).json({ error: 'Translation not found' });
+        }
+        res.json(translation);
+    } catch (error) {
+        console.error('Translation read error:', error.message);
+        res.status(500).json({ error: 'Failed to read translation' });
+    }
+});
+
+// Rename
+router.patch('/:id', async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        if (!accessibleTo(req.user, await getDocument(req.params.id))) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        const document = await updateDocument(req.params.id, { name: name.trim() });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json(describeDocument(document));
+    } catch (error) {
+        console.error('Document rename error:', error.message);
+        res.status(500).json({ error: 'Failed to rename document' });
+    }
+});
+
+// Deletes the document with its sessions' references, its comparisons and
+// everything cached from its content
+router.delete('/:id', async (req, res) => {
+    try {
+        const document = accessibleTo(req.user, await getDocument(req.params.id));
+        if (!document || !(await deleteDocument(req.params.id))) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        await detachDocument(req.params.id);
+        await deleteComparisonsOf(req.params.id);
+        await clearCache({ contentHashes: documentContentHashes(document) });
+        res.status(204).end();
+    } catch (error) {
+        console.error('Document delete error:', error.message);
+        res.status(500).json({ error: 'Failed to delete document' });
+    }
+});
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { getJob } from '../lib/jobs.js';
+import { accessibleTo } from '../lib/auth.js';
+
+const router = express.Router();
+
+// Status of a background job: { status, progress, result, error }. Only
+// the user who queued it (or an admin) can follow it.
+router.get('/:id', (req, res) => {
+    const job = accessibleTo(req.user, getJob(req.params.id));
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+export default router;
@@ -0,0 +1,100 @@
+import express from 'express';
+import {
+    createProfile,
+    deleteProfile,
+    getProfile,
+    isBuiltIn,
+    listProfiles,
+    updateProfile
+} from '../lib/profileStore.js';
+import { profileDefinitionErrors } from '../lib/summarySchema.js';
+import { accessibleTo } from '../lib/auth.js';
+
+const router = express.Router();
+
+// Body: { name, description?, instructions, sections: [{ key, title, type, description, ... }] }
+const definitionOf = ({ name, description, instructions, sections }) => ({
+    name,
+    ...(description !== undefined ? { description } : {}),
+    instructions,
+    sections
+});
+
+router.get('/', async (req, res) => {
+    try {
+        res.json(await listProfiles());
+    } catch (error) {
+        console.error('Profile list error:', error.message);
+        res.status(500).json({ error: 'Failed to list analysis profiles' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const profile = await getProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Analysis profile not found' });
+        }
+        res.json(profile);
+    } catch (error) {
+        console.error('Profile read error:', error.message);
+        res.status(500).json({ error: 'Failed to read analysis profile' });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const definition = definitionOf(req.body);
+        const errors = profileDefinitionErrors(definition);
+        if (errors.length) {
+            return res.status(400).json({ error: `Invalid profile: ${errors.join('; ')}` });
+        }
+        res.status(201).json(await createProfile(definition, { ownerId: req.user.id }));
+    } catch (error) {
+        console.error('Profile create error:', error.message);
+        res.status(500).json({ error: 'Failed to create analysis profile' });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        if (isBuiltIn(req.params.id)) {
+            return res.status(403).json({ error: 'Built-in profiles cannot be changed' });
+        }
+        const definition = definitionOf(req.body);
+        const errors = profileDefinitionErrors(definition);
+        if (errors.length) {
+            return res.status(400).json({ error: `Invalid profile: ${errors.join('; ')}` });
+        }
+
+        if (!accessibleTo(req.user, await getProfile(req.params.id))) {
+            return res.status(404).json({ error: 'Analysis profile not found' });
+        }
+        const profile = await updateProfile(req.params.id, definition);
+        if (!profile) {
+            return res.status(404).json({ error: 'Analysis profile not found' });
+        }
+        res.json(profile);
+    } catch (error) {
+        console.error('Profile update error:', error.message);
+        res.status(500).json({ error: 'Failed to update analysis profile' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        if (isBuiltIn(req.params.id)) {
+            return res.status(403).json({ error: 'Built-in profiles cannot be deleted' });
+        }
+        const deleted = accessibleTo(req.user, await getProfile(req.params.id)) && await deleteProfile(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Analysis profile not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Profile delete error:', error.message);
+        res.status(500).json({ error: 'Failed to delete analysis profile' });
+    }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import { createSession, deleteSession, getSession, listSessions } from '../lib/sessionStore.js';
+import { getDocument } from '../lib/documentStore.js';
+import { accessibleTo, ownerFilter } from '../lib/auth.js';
+
+const router = express.Router();
+
+router.post('/', async (req, res) => {
+    try {
+        const { documentIds } = req.body;
+        if (!Array.isArray(documentIds) || !documentIds.length) {
+            return res.status(400).json({ error: 'documentIds array is required' });
+        }
+
+        const documents = await Promise.all(documentIds.map(async id => accessibleTo(req.user, await getDocument(id))));
+        if (documents.some(document => !document)) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        res.status(201).json(await createSession({ documentIds, ownerId: req.user.id }));
+    } catch (error) {
+        console.error('Session create error:', error.message);
+        res.status(500).json({ error: 'Failed to create chat session' });
+    }
+});
+
+// The user's sessions (every session for admins); ?documentId= limits the
+// list to sessions about one document
+router.get('/', async (req, res) => {
+    try {
+        res.json(await listSessions({ documentId: req.query.documentId, ...ownerFilter(req.user) }));
+    } catch (error) {
+        console.error('Session list error:', error.message);
+        res.status(500).json({ error: 'Failed to list chat sessions' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const session = accessibleTo(req.user, await getSession(req.params.id));
+        if (!session) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        res.json(session);
+    } catch (error) {
+        console.error('Session read error:', error.message);
+        res.status(500).json({ error: 'Failed to read chat session' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = accessibleTo(req.user, await getSession(req.params.id)) && await deleteSession(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Session delete error:', error.message);
+        res.status(500).json({ error: 'Failed to delete chat session' });
+    }
+});
+
+export default router;
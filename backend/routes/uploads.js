@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import express from 'express';
+import multer from 'multer';
+import { dataDir } from '../lib/storage.js';
+import { createJob } from '../lib/jobs.js';
+import { processUpload } from '../lib/pipeline.js';
+import { getProfile } from '../lib/profileStore.js';
+import { DEFAULT_PROFILE_ID } from '../lib/profiles.js';
+import { limitModelUsage } from '../lib/auth.js';
+import { isLanguageChoice } from '../lib/language.js';
+
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 50;
+
+// Uploads go to disk: the pipeline runs after the response is sent, and big
+// files should not sit in memory while they wait in the job queue
+const upload = multer({
+    dest: dataDir('uploads'),
+    limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024 },
+    defParamCharset: 'utf8'
+});
+
+const router = express.Router();
+
+// Stores the file and queues extraction and summarization with the
+// analysis profile in the optional `profileId` field, written in the
+// optional `language` (a language code or 'auto'). Responds with the job to
+// poll at /api/jobs/:id.
+router.post('/', limitModelUsage, (req, res) => {
+    upload.single('file')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const error = status === 413 ? `File size must be less than ${UPLOAD_MAX_MB}MB` : uploadError.message;
+            return res.status(status).json({ error });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'File is required' });
+        }
+
+        try {
+            const { language } = req.body;
+            if (!isLanguageChoice(language)) {
+                await fs.rm(req.file.path, { force: true });
+                return res.status(400).json({ error: 'Unsupported language' });
+            }
+            const profile = await getProfile(req.body.profileId || DEFAULT_PROFILE_ID);
+            if (!profile) {
+                await fs.rm(req.file.path, { force: true });
+                return res.status(404).json({ error: 'Analysis profile not found' });
+            }
+            res.status(202).json(createJob('upload', processUpload(req.file, { profile, language, ownerId: req.user.id }), { ownerId: req.user.id }));
+        } catch (error) {
+            console.error('Upload error:', error.message);
+            await fs.rm(req.file.path, { force: true });
+            res.status(500).json({ error: 'Failed to queue upload' });
+        }
+    });
+});
+
+export default router;
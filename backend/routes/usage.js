@@ -0,0 +1,47 @@
+import express from 'express';
+import { listUsageEntries, summarizeUsage } from '../lib/usage.js';
+import { listDocuments } from '../lib/documentStore.js';
+
+const router = express.Router();
+
+const MAX_DAYS = 365;
+const MAX_ENTRIES = 1000;
+
+// Totals of the last `?days=` days (default 30) with breakdowns per day,
+// document, route and model. Documents are listed with their current name,
+// or null once deleted.
+router.get('/', async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+            return res.status(400).json({ error: `days must be an integer from 1 to ${MAX_DAYS}` });
+        }
+        const [usage, documents] = await Promise.all([summarizeUsage({ days }), listDocuments()]);
+        const names = new Map(documents.map(document => [document.id, document.name]));
+        res.json({
+            ...usage,
+            byDocument: usage.byDocument.map(entry => ({ ...entry, name: names.get(entry.documentId) ?? null }))
+        });
+    } catch (error) {
+        console.error('Usage summary error:', error.message);
+        res.status(500).json({ error: 'Failed to summarize usage' });
+    }
+});
+
+// The request log: model calls and parse failures of one UTC `?day=`
+// (default today), newest first, optionally only those about `?documentId=`
+router.get('/calls', async (req, res) => {
+    try {
+        const { day, documentId } = req.query;
+        if (day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+            return res.status(400).json({ error: 'day must be a date as YYYY-MM-DD' });
+        }
+        const limit = Math.min(Number(req.query.limit) || 200, MAX_ENTRIES);
+        res.json(await listUsageEntries({ day, documentId, limit }));
+    } catch (error) {
+        console.error('Usage log error:', error.message);
+        res.status(500).json({ error: 'Failed to read usage log' });
+    }
+});
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import {
+    createUser,
+    deleteUser,
+    getUser,
+    issueToken,
+    listUsers,
+    revokeToken,
+    updateUser,
+    USER_ROLES
+} from '../lib/userStore.js';
+import { tokensUsedToday } from '../lib/tokenBudget.js';
+
+const router = express.Router();
+
+const USER_FIELDS = ['name', 'role', 'rateLimitPerMinute', 'dailyTokenBudget'];
+
+const isLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+// Checks the user fields present in a body; returns an error message or null
+const userFieldsError = ({ name, role, rateLimitPerMinute, dailyTokenBudget }, { requireName }) => {
+    if (requireName || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 80) return 'name must be 1-80 characters';
+    }
+    if (role !== undefined && !USER_ROLES.includes(role)) return `role must be one of: ${USER_ROLES.join(', ')}`;
+    if (rateLimitPerMinute !== undefined && !isLimit(rateLimitPerMinute)) return 'rateLimitPerMinute must be a non-negative integer or null';
+    if (dailyTokenBudget !== undefined && !isLimit(dailyTokenBudget)) return 'dailyTokenBudget must be a non-negative integer or null';
+    return null;
+};
+
+const userFieldsOf = (body) => Object.fromEntries(
+    USER_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]])
+);
+
+router.get('/', async (req, res) => {
+    try {
+        const users = await listUsers();
+        res.json(await Promise.all(users.map(async user => ({ ...user, tokensToday: await tokensUsedToday(user.id) }))));
+    } catch (error) {
+        console.error('User list error:', error.message);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+// Body: { name, role?, rateLimitPerMinute?, dailyTokenBudget? }. Responds
+// with the user and their first API token, which is not shown again.
+router.post('/', async (req, res) => {
+    try {
+        const error = userFieldsError(req.body, { requireName: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const user = await createUser(userFieldsOf(req.body));
+        const token = await issueToken(user.id, { label: 'default' });
+        res.status(201).json({ ...user, tokens: [token] });
+    } catch (error) {
+        console.error('User create error:', error.message);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Body: any of the fields accepted on creation; null limits restore the defaults
+router.patch('/:id', async (req, res) => {
+    try {
+        const error = userFieldsError(req.body, { requireName: false });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const user = await updateUser(req.params.id, userFieldsOf(req.body));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        console.error('User update error:', error.message);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+        const deleted = await deleteUser(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('User delete error:', error.message);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+// Body: { label? }. The token is only returned in this response.
+router.post('/:id/tokens', async (req, res) => {
+    try {
+        if (!(await getUser(req.params.id))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const label = typeof req.body.label === 'string' ? req.body.label.slice(0, 80) : '';
+        res.status(201).json(await issueToken(req.params.id, { label }));
+    } catch (error) {
+        console.error('Token create error:', error.message);
+        res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
+
+router.delete('/:id/tokens/:tokenId', async (req, res) => {
+    try {
+        const revoked = await revokeToken(req.params.id, req.params.tokenId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Token revoke error:', error.message);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+export default router;
@@ -0,0 +1,24 @@
+// Creates a user and prints their API token. Use it to create the first
+// admin, who can then manage users through /api/users:
+//   npm run create-user -- --name "Jane Doe" --admin
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { createUser, issueToken } from '../lib/userStore.js';
+
+const { values } = parseArgs({
+    options: {
+        name: { type: 'string' },
+        admin: { type: 'boolean', default: false }
+    }
+});
+
+if (!values.name?.trim()) {
+    console.error('Usage: npm run create-user -- --name <name> [--admin]');
+    process.exit(1);
+}
+
+const user = await createUser({ name: values.name, role: values.admin ? 'admin' : 'user' });
+const { token } = await issueToken(user.id, { label: 'default' });
+console.log(`Created ${user.role} "${user.name}" (${user.id})`);
+console.log(`API token (shown only once): ${token}`);
@@ -0,0 +1,130 @@
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { SAMPLE_TEXT, startTestApp, waitForJob } from './helpers/testApp.js';
+
+const { app, api, user, stop } = await startTestApp();
+const { createUser, issueToken } = await import('../lib/userStore.js');
+
+const signIn = async (name, role) => {
+    const { token } = await issueToken((await createUser({ name, role })).id);
+    const authorized = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+    return {
+        get: (url) => authorized('get', url),
+        post: (url) => authorized('post', url),
+        put: (url) => authorized('put', url),
+        patch: (url) => authorized('patch', url),
+        delete: (url) => authorized('delete', url)
+    };
+};
+const other = await signIn('Other User');
+const admin = await signIn('Admin', 'admin');
+
+after(stop);
+
+describe('API tokens', () => {
+    test('rejects requests without a token', async () => {
+        const res = await request(app).get('/api/documents');
+
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error, 'API token required');
+    });
+
+    test('rejects unknown tokens', async () => {
+        const res = await request(app).get('/api/documents').set('Authorization', 'Bearer dc_not-a-token');
+
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error, 'Invalid API token');
+    });
+
+    test('identifies the user of a valid token', async () => {
+        const res = await api.get('/api/account');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.id, user.id);
+        assert.equal(res.body.role, 'user');
+    });
+
+    test('keeps user management to admins', async () => {
+        const res = await api.get('/api/users');
+
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('ownership', () => {
+    test('keeps documents to the user who added them', async () => {
+        const { body: document } = await api.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'mine.txt' });
+        const { body: theirs } = await other.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'theirs.txt' });
+
+        assert.deepEqual((await api.get('/api/documents')).body.map(item => item.id), [document.id]);
+        assert.deepEqual((await other.get('/api/documents')).body.map(item => item.id), [theirs.id]);
+        for (const res of await Promise.all([
+            other.get(`/api/documents/${document.id}`),
+            other.get(`/api/documents/${document.id}/export`),
+            other.patch(`/api/documents/${document.id}`).send({ name: 'taken.txt' }),
+            other.post('/api/summarize').send({ documentId: document.id }),
+            other.post('/api/chat').send({ documentIds: [document.id], messages: [{ role: 'user', content: 'Fee?' }] }),
+            other.post('/api/sessions').send({ documentIds: [document.id] }),
+            other.post('/api/comparisons').send({ baseDocumentId: document.id, targetDocumentId: theirs.id }),
+            other.delete(`/api/documents/${document.id}`)
+        ])) {
+            assert.equal(res.status, 404);
+            assert.equal(res.body.error, 'Document not found');
+        }
+        assert.equal((await api.get(`/api/documents/${document.id}`)).body.name, 'mine.txt');
+    });
+
+    test('keeps chat sessions to the user who started them', async () => {
+        const { body: document } = await api.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'agreement.txt' });
+        const { body: session } = await api.post('/api/sessions').send({ documentIds: [document.id] });
+
+        assert.equal(session.ownerId, user.id);
+        assert.equal((await other.get(`/api/sessions/${session.id}`)).status, 404);
+        assert.equal((await other.delete(`/api/sessions/${session.id}`)).status, 404);
+        assert.deepEqual((await other.get('/api/sessions')).body, []);
+        assert.deepEqual((await api.get('/api/sessions')).body.map(item => item.id), [session.id]);
+    });
+
+    test('keeps jobs to the user who queued them', async () => {
+        const { body: document } = await api.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'agreement.txt' });
+        const { body: job } = await api.post(`/api/documents/${document.id}/translations`).send({ language: 'de' });
+
+        assert.equal((await other.get(`/api/jobs/${job.id}`)).status, 404);
+        assert.equal((await waitForJob(api, job.id)).ownerId, user.id);
+    });
+
+    const PROFILE = {
+        name: 'Board minutes',
+        instructions: 'Summarize the decisions taken at the meeting.',
+        sections: [{ key: 'decisions', title: 'Decisions', type: 'list', description: 'decision' }]
+    };
+
+    test('lets only the user who made a profile change it', async () => {
+        const { body: profile } = await api.post('/api/profiles').send(PROFILE);
+
+        const res = await other.put(`/api/profiles/${profile.id}`).send({ ...PROFILE, name: 'Taken over' });
+
+        assert.equal(res.status, 404);
+        assert.equal((await other.get(`/api/profiles/${profile.id}`)).body.name, 'Board minutes');
+        assert.equal((await api.put(`/api/profiles/${profile.id}`).send({ ...PROFILE, name: 'Minutes' })).body.name, 'Minutes');
+    });
+
+    test('lets only the user who made a profile delete it', async () => {
+        const { body: profile } = await api.post('/api/profiles').send(PROFILE);
+
+        assert.equal((await other.delete(`/api/profiles/${profile.id}`)).status, 404);
+        assert.equal((await api.get(`/api/profiles/${profile.id}`)).status, 200);
+        assert.equal((await admin.delete(`/api/profiles/${profile.id}`)).status, 204);
+    });
+
+    test('shows admins every user\'s records', async () => {
+        const { body: document } = await other.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'shared.txt' });
+        const { body: session } = await other.post('/api/sessions').send({ documentIds: [document.id] });
+
+        assert.ok((await admin.get('/api/documents')).body.some(item => item.id === document.id));
+        assert.equal((await admin.get(`/api/documents/${document.id}`)).status, 200);
+        assert.equal((await admin.get(`/api/sessions/${session.id}`)).status, 200);
+        assert.ok((await admin.get('/api/sessions')).body.some(item => item.id === session.id));
+    });
+});
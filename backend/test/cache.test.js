@@ -0,0 +1,204 @@
+import { after, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { completion } from './helpers/mockOpenRouter.js';
+import { parseEvents, SAMPLE_TEXT, startTestApp, VALID_SUMMARY, waitForJob } from './helpers/testApp.js';
+
+const { app, api, upstream, stop } = await startTestApp({ CACHE_DISABLED: 'false' });
+const { createUser, issueToken } = await import('../lib/userStore.js');
+
+const { token: adminToken } = await issueToken((await createUser({ name: 'Admin', role: 'admin' })).id);
+
+after(stop);
+beforeEach(() => upstream.reset());
+
+const upload = async (text, name) => {
+    const res = await api.post('/api/uploads').attach('file', Buffer.from(text), { filename: name, contentType: 'text/plain' });
+    const job = await waitForJob(api, res.body.id);
+    return (await api.get(`/api/documents/${job.result.documentId}`)).body;
+};
+
+const addDocument = async (text) => (await api.post('/api/documents').send({ text, name: 'notes.txt' })).body;
+
+const summarize = (body) => api.post('/api/summarize').send(body);
+
+describe('cached uploads and summaries', () => {
+    test('reuses the extraction and summary of a file uploaded again', async () => {
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+        const first = await upload(SAMPLE_TEXT, 'agreement.txt');
+        assert.equal(upstream.requests.length, 1);
+        assert.equal(first.summaries.meta.cache.hit, false);
+
+        const second = await upload(SAMPLE_TEXT, 'agreement-copy.txt');
+
+        assert.equal(upstream.requests.length, 1);
+        assert.notEqual(second.id, first.id);
+        assert.equal(second.text, first.text);
+        assert.equal(second.summaries.short, VALID_SUMMARY.short);
+        assert.equal(second.summaries.meta.cache.hit, true);
+        assert.ok(second.summaries.citations.bullets.length > 0);
+
+        const { body: extractions } = await api.get(`/api/cache?kind=extraction&documentId=${second.id}`);
+        assert.equal(extractions.length, 1);
+        assert.equal(extractions[0].hits, 1);
+        assert.equal(extractions[0].value, undefined);
+    });
+
+    test('summarizes again when asked to refresh', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nRefreshed.`);
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)), completion(JSON.stringify({ ...VALID_SUMMARY, short: 'The agreement covers reporting duties and monthly fees.' })));
+        await summarize({ documentId: document.id });
+
+        const res = await summarize({ documentId: document.id, refresh: true });
+
+        assert.equal(res.body.short, 'The agreement covers reporting duties and monthly fees.');
+        assert.equal(res.body.meta.cache.hit, false);
+        assert.equal(upstream.requests.length, 2);
+        const cached = await summarize({ documentId: document.id });
+        assert.equal(cached.body.short, 'The agreement covers reporting duties and monthly fees.');
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    test('keeps summaries in other languages apart', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nKeyed.`);
+        upstream.enqueue(...Array.from({ length: 3 }, () => completion(JSON.stringify(VALID_SUMMARY))));
+        await summarize({ documentId: document.id });
+        const german = await summarize({ documentId: document.id, language: 'de' });
+        const french = await summarize({ documentId: document.id, language: 'fr' });
+
+        assert.equal(german.body.meta.cache.hit, false);
+        assert.equal(french.body.meta.cache.hit, false);
+        assert.equal(upstream.requests.length, 3);
+    });
+
+    test('does not keep summaries with failed sections', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nIncomplete.`);
+        const { keywords, ...incomplete } = VALID_SUMMARY;
+        upstream.enqueue(completion(JSON.stringify(incomplete)), completion(JSON.stringify(incomplete)));
+        const res = await summarize({ documentId: document.id });
+        assert.deepEqual(res.body.meta.failedSections, ['keywords']);
+
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+        const retried = await summarize({ documentId: document.id });
+
+        assert.equal(retried.body.meta.cache.hit, false);
+        assert.deepEqual(retried.body.keywords, VALID_SUMMARY.keywords);
+    });
+});
+
+describe('cached chat answers', () => {
+    const question = (documentId) => ({ documentIds: [documentId], messages: [{ role: 'user', content: 'When are invoices due?' }] });
+
+    test('answers a repeated question from the cache', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nChat.`);
+        upstream.enqueue(completion('Within 30 days [1].'));
+        const first = await api.post('/api/chat').send(question(document.id));
+        assert.equal(first.body.cached, false);
+
+        const second = await api.post('/api/chat').send(question(document.id));
+
+        assert.equal(second.body.content, 'Within 30 days [1].');
+        assert.equal(second.body.cached, true);
+        assert.equal(second.body.citations.length, 1);
+        assert.equal(upstream.requests.length, 1);
+    });
+
+    test('answers concurrent repeats of a question from the cache', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nConcurrent.`);
+        upstream.enqueue(completion('Within 30 days [1].'));
+        await api.post('/api/chat').send(question(document.id));
+
+        const repeats = await Promise.all(Array.from({ length: 5 }, () => api.post('/api/chat').send(question(document.id))));
+
+        assert.deepEqual(repeats.map(res => res.status), [200, 200, 200, 200, 200]);
+        assert.ok(repeats.every(res => res.body.cached));
+    });
+
+    test('streams a cached answer in one piece', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nStream.`);
+        upstream.enqueue(completion('Within 30 days [1].'));
+        await api.post('/api/chat/stream').send(question(document.id));
+
+        const res = await api.post('/api/chat/stream').send(question(document.id));
+
+        const events = parseEvents(res.text);
+        assert.deepEqual(events.filter(({ event }) => event === 'token').map(({ data }) => data.content), ['Within 30 days [1].']);
+        assert.equal(events.at(-1).event, 'done');
+        assert.equal(events.at(-1).data.cached, true);
+        assert.equal(upstream.requests.length, 1);
+    });
+});
+
+describe('/api/cache', () => {
+    test('inspects and invalidates the entries of a document', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nInspected.`);
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+        await summarize({ documentId: document.id });
+
+        const { body: entries } = await api.get(`/api/cache?documentId=${document.id}`);
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].kind, 'summary');
+        assert.equal(entries[0].key.model, 'openrouter:test/model');
+        const { body: entry } = await request(app).get(`/api/cache/${entries[0].id}`).set('Authorization', `Bearer ${adminToken}`);
+        assert.equal(entry.value.short, VALID_SUMMARY.short);
+        const { body: described } = await api.get(`/api/cache/${entries[0].id}`);
+        assert.equal(described.kind, 'summary');
+        assert.equal('value' in described, false);
+
+        const res = await api.delete(`/api/cache?documentId=${document.id}`);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.deleted, 1);
+        assert.equal((await api.get(`/api/cache/${entries[0].id}`)).status, 404);
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+        await summarize({ documentId: document.id });
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    test('deletes a single entry', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nDeleted.`);
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+        await summarize({ documentId: document.id });
+        const { body: [entry] } = await api.get(`/api/cache?documentId=${document.id}`);
+
+        const asAdmin = (method) => request(app)[method](`/api/cache/${entry.id}`).set('Authorization', `Bearer ${adminToken}`);
+
+        assert.equal((await api.delete(`/api/cache/${entry.id}`)).status, 403);
+        assert.equal((await asAdmin('delete')).status, 204);
+        assert.equal((await asAdmin('delete')).status, 404);
+    });
+
+    test('lists only the entries of the user\'s own documents', async () => {
+        const { token } = await issueToken((await createUser({ name: 'Other User' })).id);
+        const { body: theirs } = await request(app).post('/api/documents').set('Authorization', `Bearer ${token}`)
+            .send({ text: `${SAMPLE_TEXT}\nTheirs.`, name: 'theirs.txt' });
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+        await request(app).post('/api/summarize').set('Authorization', `Bearer ${token}`).send({ documentId: theirs.id });
+        const { body: [theirEntry] } = await request(app).get('/api/cache').set('Authorization', `Bearer ${token}`);
+
+        const { body: entries } = await api.get('/api/cache');
+
+        assert.ok(entries.length > 0);
+        assert.equal(entries.some(entry => entry.id === theirEntry.id), false);
+        const { body: all } = await request(app).get('/api/cache').set('Authorization', `Bearer ${adminToken}`);
+        assert.ok(all.some(entry => entry.id === theirEntry.id));
+    });
+
+    test('forgets what was cached from a deleted document', async () => {
+        const document = await addDocument(`${SAMPLE_TEXT}\nForgotten.`);
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+        await summarize({ documentId: document.id });
+        const { body: [entry] } = await api.get(`/api/cache?documentId=${document.id}`);
+
+        assert.equal((await api.delete(`/api/documents/${document.id}`)).status, 204);
+
+        assert.equal((await api.get(`/api/cache/${entry.id}`)).status, 404);
+    });
+
+    test('validates filters and keeps clearing everything to admins', async () => {
+        assert.equal((await api.get('/api/cache?kind=pictures')).status, 400);
+        assert.equal((await api.get('/api/cache?documentId=missing')).status, 404);
+        assert.equal((await api.delete('/api/cache')).status, 403);
+        assert.equal((await api.delete('/api/cache?kind=answer')).status, 403);
+    });
+});
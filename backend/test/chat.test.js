@@ -0,0 +1,161 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completion, failure, hang, malformedBody, streamError } from './helpers/mockOpenRouter.js';
+import { parseEvents, SAMPLE_TEXT, startTestApp } from './helpers/testApp.js';
+
+const { api, upstream, stop } = await startTestApp();
+
+let documentId;
+
+before(async () => {
+    const res = await api.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'agreement.txt' });
+    documentId = res.body.id;
+});
+after(stop);
+beforeEach(() => upstream.reset());
+
+const question = (content) => ({ documentIds: [documentId], messages: [{ role: 'user', content }] });
+
+describe('POST /api/chat', () => {
+    test('answers from the document with citations and context usage', async () => {
+        upstream.enqueue(completion('The Client pays $5,000 per month [1].'));
+
+        const res = await api.post('/api/chat').send(question('How much does the client pay every month?'));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.content, 'The Client pays $5,000 per month [1].');
+        assert.equal(res.body.citations.length, 1);
+        assert.equal(res.body.citations[0].documentId, documentId);
+        assert.equal(res.body.context.model, 'test/model');
+        assert.ok(res.body.context.excerptsUsed >= 1);
+    });
+
+    test('sends the relevant excerpts to the model', async () => {
+        upstream.enqueue(completion('Invoices are due within 30 days [1].'));
+
+        await api.post('/api/chat').send(question('When are invoices due?'));
+
+        const [prompt] = upstream.requests[0].body.messages;
+        assert.match(prompt.content, /Document excerpts:/);
+        assert.ok(prompt.content.includes('Invoices are due within 30 days.'));
+        assert.equal(upstream.requests[0].body.messages.at(-1).content, 'When are invoices due?');
+    });
+
+    test('keeps the best-matching excerpt when only some fit, wherever it is in the document', async () => {
+        const clause = (n) => `${n}. General Terms\n${'The parties shall cooperate in good faith and keep each other informed about the services. '.repeat(14)}Termination is covered in the final clause.`;
+        const text = [1, 2, 3, 4, 5].map(clause).join('\n\n')
+            + '\n\n6. Termination\nThe termination notice period is ninety days. Either party may give notice of termination in writing; the notice period starts on receipt.';
+        const { body: document } = await api.post('/api/documents').send({ text, name: 'long-agreement.txt' });
+        upstream.enqueue(completion('Ninety days [1].'));
+        process.env.LLM_CONTEXT_TOKENS = '1800';
+
+        try {
+            const res = await api.post('/api/chat').send({ documentIds: [document.id], messages: [{ role: 'user', content: 'What is the termination notice period?' }] });
+
+            assert.ok(res.body.context.excerptsDropped >= 1);
+            const [prompt] = upstream.requests[0].body.messages;
+            assert.ok(prompt.content.includes('The termination notice period is ninety days.'));
+        } finally {
+            delete process.env.LLM_CONTEXT_TOKENS;
+        }
+    });
+
+    test('saves the exchange to the chat session', async () => {
+        const { body: session } = await api.post('/api/sessions').send({ documentIds: [documentId] });
+        upstream.enqueue(completion('Monthly reports [1].'));
+
+        await api.post('/api/chat').send({ ...question('What does the provider deliver?'), sessionId: session.id });
+
+        const { body: saved } = await api.get(`/api/sessions/${session.id}`);
+        assert.deepEqual(saved.messages.map(message => message.role), ['user', 'assistant']);
+        assert.equal(saved.messages[1].content, 'Monthly reports [1].');
+    });
+
+    const failures = [
+        ['a 429', failure(429, { retryAfter: 30 }), 429, 'model_rate_limited'],
+        ['a 500', failure(500), 502, 'model_error'],
+        ['a malformed body', malformedBody(), 502, 'model_bad_response'],
+        ['no answer', hang(), 504, 'model_timeout']
+    ];
+    for (const [name, reply, status, code] of failures) {
+        test(`fails with ${code} when the upstream gives ${name}`, async () => {
+            upstream.enqueue(reply);
+
+            const res = await api.post('/api/chat').send(question('What does the provider deliver?'));
+
+            assert.equal(res.status, status);
+            assert.equal(res.body.code, code);
+            assert.ok(res.body.error);
+        });
+    }
+
+    test('tells the client when to retry a rate-limited model', async () => {
+        upstream.enqueue(failure(429, { retryAfter: 30 }));
+
+        const res = await api.post('/api/chat').send(question('What does the provider deliver?'));
+
+        assert.equal(res.body.retryAfter, 30);
+        assert.equal(res.headers['retry-after'], '30');
+    });
+
+    test('searches with the question as asked when it cannot be translated', async () => {
+        upstream.enqueue(failure(500), completion('Rechnungen sind innerhalb von 30 Tagen fällig [1].'));
+
+        const res = await api.post('/api/chat').send(question('Wann sind die Rechnungen fällig und wie hoch ist die monatliche Zahlung?'));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.content, 'Rechnungen sind innerhalb von 30 Tagen fällig [1].');
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    test('validates the request', async () => {
+        assert.equal((await api.post('/api/chat').send({ documentIds: [documentId] })).status, 400);
+        assert.equal((await api.post('/api/chat').send({ ...question('Hi there, anyone?'), documentIds: ['missing'] })).status, 404);
+        assert.equal((await api.post('/api/chat').send({ ...question('Hi there, anyone?'), language: 'xx' })).status, 400);
+        assert.equal(upstream.requests.length, 0);
+    });
+});
+
+describe('POST /api/chat/stream', () => {
+    test('streams context, tokens and the citations', async () => {
+        upstream.enqueue(completion('The Provider maintains the servers [1].'));
+
+        const res = await api.post('/api/chat/stream').send(question('Who maintains the servers?'));
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /text\/event-stream/);
+        const events = parseEvents(res.text);
+        assert.equal(events[0].event, 'context');
+        const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.content);
+        assert.equal(tokens.join(''), 'The Provider maintains the servers [1].');
+        const done = events.at(-1);
+        assert.equal(done.event, 'done');
+        assert.equal(done.data.citations[0].documentId, documentId);
+        assert.equal(upstream.requests[0].body.stream, true);
+    });
+
+    const failures = [
+        ['an error status', failure(500), 'model_error'],
+        ['an error mid-stream', streamError('model overloaded'), 'model_error'],
+        ['no answer', hang(), 'model_timeout']
+    ];
+    for (const [name, reply, code] of failures) {
+        test(`sends an error event when the upstream gives ${name}`, async () => {
+            upstream.enqueue(reply);
+
+            const res = await api.post('/api/chat/stream').send(question('Who maintains the servers?'));
+
+            const events = parseEvents(res.text);
+            assert.equal(events.at(-1).event, 'error');
+            assert.equal(events.at(-1).data.code, code);
+            assert.ok(events.at(-1).data.error);
+        });
+    }
+
+    test('answers validation errors with JSON before streaming', async () => {
+        const res = await api.post('/api/chat/stream').send({ documentIds: [documentId] });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Messages array is required');
+    });
+});
@@ -0,0 +1,42 @@
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completion } from './helpers/mockOpenRouter.js';
+import { startTestApp } from './helpers/testApp.js';
+
+const { api, upstream, stop } = await startTestApp();
+const { extractDocument } = await import('../lib/extractors/index.js');
+
+after(stop);
+
+const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const SUMMARY = {
+    short: 'Клиент платит 5 000 долларов в месяц за обслуживание серверов.',
+    detailed: 'Поставщик ежемесячно готовит отчёты и обслуживает серверы. भुगतान हर महीने किया जाता है और चालान तीस दिनों में देय हैं।',
+    bullets: ['Счета оплачиваются в течение 30 дней.', 'भुगतान हर महीने होता है।', 'Отчёты готовятся ежемесячно.'],
+    insights: ['Просрочка платежа стоит 2%.'],
+    keywords: ['платёж', 'भुगतान', 'отчёт']
+};
+
+describe('PDF export', () => {
+    test('keeps Cyrillic and Devanagari text readable', async () => {
+        const { body: document } = await api.post('/api/documents').send({
+            text: 'Клиент платит 5 000 долларов в месяц. Счета оплачиваются в течение 30 дней.',
+            name: 'договор.txt'
+        });
+        upstream.enqueue(completion(JSON.stringify(SUMMARY)));
+        await api.post('/api/summarize').send({ documentId: document.id });
+
+        const res = await api.get(`/api/documents/${document.id}/export?format=pdf`).buffer(true).parse(binary);
+
+        assert.equal(res.status, 200);
+        const { text } = await extractDocument({ buffer: res.body, mimetype: 'application/pdf' });
+        assert.ok(text.includes('договор.txt'), text);
+        assert.ok(text.includes('Счета оплачиваются в течение 30 дней.'), text);
+        assert.ok(text.includes('भुगतान हर महीने होता है।'), text);
+    });
+});
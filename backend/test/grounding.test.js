@@ -0,0 +1,132 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completion, failure } from './helpers/mockOpenRouter.js';
+import { parseEvents, SAMPLE_TEXT, startTestApp } from './helpers/testApp.js';
+
+const { api, upstream, stop } = await startTestApp({ GROUNDING_CHECK_DISABLED: 'false' });
+
+let documentId;
+
+before(async () => {
+    const res = await api.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'agreement.txt' });
+    documentId = res.body.id;
+});
+after(stop);
+beforeEach(() => upstream.reset());
+
+const question = (content) => ({ documentIds: [documentId], messages: [{ role: 'user', content }] });
+
+const check = (relevant, claims = []) => completion(JSON.stringify({ relevant, claims }));
+
+describe('grounding check', () => {
+    test('checks the answer against the excerpts it was written from', async () => {
+        upstream.enqueue(
+            completion('Invoices are due within 30 days [1].'),
+            check(true, [{ claim: 'Invoices are due within 30 days.', supported: true, excerpts: [1] }])
+        );
+
+        const res = await api.post('/api/chat').send(question('When are invoices due?'));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.grounding, {
+            status: 'supported',
+            claims: [{ text: 'Invoices are due within 30 days.', supported: true, excerpts: [1] }]
+        });
+        const [prompt] = upstream.requests[1].body.messages;
+        assert.match(prompt.content, /Question:\nWhen are invoices due\?/);
+        assert.match(prompt.content, /Answer:\nInvoices are due within 30 days \[1\]\./);
+        assert.ok(prompt.content.includes('Invoices are due within 30 days.'));
+    });
+
+    test('flags claims without support', async () => {
+        upstream.enqueue(
+            completion('Invoices are due within 30 days [1], with a 5% late fee.'),
+            check(true, [
+                { claim: 'Invoices are due within 30 days.', supported: true, excerpts: [1, 99] },
+                { claim: 'Late invoices cost a 5% fee.', supported: false }
+            ])
+        );
+
+        const res = await api.post('/api/chat').send(question('When are invoices due?'));
+
+        assert.equal(res.body.grounding.status, 'partly_supported');
+        assert.deepEqual(res.body.grounding.claims.map(claim => claim.excerpts), [[1], []]);
+        assert.equal(res.body.content, 'Invoices are due within 30 days [1], with a 5% late fee.');
+    });
+
+    test('answers "not found" when the document does not cover the question', async () => {
+        upstream.enqueue(completion('The office is in Berlin [1].'), check(false));
+
+        const res = await api.post('/api/chat').send(question('Where is the provider based?'));
+
+        assert.equal(res.body.content, 'I could not find anything about this in the document.');
+        assert.equal(res.body.grounding.status, 'not_found');
+        assert.deepEqual(res.body.citations, []);
+    });
+
+    test('keeps an answer with supported claims even when the check calls the excerpts irrelevant', async () => {
+        upstream.enqueue(
+            completion('Invoices are due within 30 days [1].'),
+            check(false, [{ claim: 'Invoices are due within 30 days.', supported: true, excerpts: [1] }])
+        );
+
+        const res = await api.post('/api/chat').send(question('When are invoices due?'));
+
+        assert.equal(res.body.content, 'Invoices are due within 30 days [1].');
+        assert.equal(res.body.grounding.status, 'supported');
+    });
+
+    test('does not call an answer without claims supported', async () => {
+        upstream.enqueue(completion('The excerpts do not say when invoices are due.'), check(true));
+
+        const res = await api.post('/api/chat').send(question('When are invoices due?'));
+
+        assert.equal(res.body.grounding.status, 'no_claims');
+    });
+
+    test('keeps the answer when the check fails', async () => {
+        upstream.enqueue(completion('Invoices are due within 30 days [1].'), failure(500));
+
+        const res = await api.post('/api/chat').send(question('When are invoices due?'));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.content, 'Invoices are due within 30 days [1].');
+        assert.equal(res.body.grounding.status, 'unchecked');
+    });
+
+    test('treats an unusable check as unchecked', async () => {
+        upstream.enqueue(completion('Invoices are due within 30 days [1].'), completion('{"claims": "all fine"}'));
+
+        const res = await api.post('/api/chat').send(question('When are invoices due?'));
+
+        assert.equal(res.body.grounding.status, 'unchecked');
+    });
+
+    test('sends the check and the "not found" answer with the stream', async () => {
+        const { body: session } = await api.post('/api/sessions').send({ documentIds: [documentId] });
+        upstream.enqueue(completion('The office is in Berlin [1].'), check(false));
+
+        const res = await api.post('/api/chat/stream').send({ ...question('Where is the provider based?'), sessionId: session.id });
+
+        const done = parseEvents(res.text).at(-1);
+        assert.equal(done.event, 'done');
+        assert.equal(done.data.content, 'I could not find anything about this in the document.');
+        assert.equal(done.data.grounding.status, 'not_found');
+        const { body: saved } = await api.get(`/api/sessions/${session.id}`);
+        assert.equal(saved.messages[1].content, 'I could not find anything about this in the document.');
+        assert.equal(saved.messages[1].grounding.status, 'not_found');
+    });
+
+    test('keeps the streamed answer when it only flags claims', async () => {
+        upstream.enqueue(
+            completion('Invoices are due within 30 days [1].'),
+            check(true, [{ claim: 'Invoices are due within 30 days.', supported: false }])
+        );
+
+        const res = await api.post('/api/chat/stream').send(question('When are invoices due?'));
+
+        const done = parseEvents(res.text).at(-1);
+        assert.equal(done.data.grounding.status, 'unsupported');
+        assert.equal('content' in done.data, false);
+    });
+});
@@ -0,0 +1,90 @@
+// Local stand-in for the OpenRouter chat completions API. Tests queue how
+// the next requests are answered; requests with nothing queued get a short
+// plain-text completion. Every request is recorded for assertions.
+
+import http from 'http';
+
+const sendJson = (res, statusCode, data, headers = {}) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+};
+
+const sendEvents = (res, payloads) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    // OpenRouter sends keep-alive comments; the client must skip them
+    res.write(': OPENROUTER PROCESSING\n\n');
+    for (const payload of payloads) {
+        res.write(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`);
+    }
+    res.end();
+};
+
+// A successful completion of `content`, streamed word by word when the
+// request asks for a stream
+export const completion = (content) => (req, res, body) => {
+    if (body.stream) {
+        const deltas = content.match(/\S+\s*/g) || [];
+        return sendEvents(res, [...deltas.map(delta => ({ choices: [{ delta: { content: delta } }] })), '[DONE]']);
+    }
+    sendJson(res, 200, {
+        id: 'gen-test',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 100, completion_tokens: 20 }
+    });
+};
+
+// An upstream error response such as 429 or 500
+export const failure = (statusCode, { retryAfter } = {}) => (req, res) => {
+    sendJson(res, statusCode, { error: { code: statusCode, message: `Upstream error ${statusCode}` } },
+        retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+};
+
+// A 200 response whose body is not valid JSON
+export const malformedBody = () => (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"choices": [{"message": ');
+};
+
+// A stream that reports an error after it started
+export const streamError = (message) => (req, res) => {
+    sendEvents(res, [{ choices: [{ delta: { content: 'Partial ' } }] }, { error: { message } }]);
+};
+
+// Never answers; the request ends when the client gives up or the server closes
+export const hang = () => () => {};
+
+export const startMockOpenRouter = async () => {
+    const requests = [];
+    const queue = [];
+    const sockets = new Set();
+
+    const server = http.createServer(async (req, res) => {
+        let raw = '';
+        for await (const chunk of req) raw += chunk;
+        const body = JSON.parse(raw);
+        requests.push({ path: req.url, headers: req.headers, body });
+        const reply = queue.shift() || completion('Mock completion.');
+        reply(req, res, body);
+    });
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/api/v1`,
+        requests,
+        // Answers the next requests in order with these replies
+        enqueue: (...replies) => queue.push(...replies),
+        reset: () => {
+            queue.length = 0;
+            requests.length = 0;
+        },
+        close: () => {
+            for (const socket of sockets) socket.destroy();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+};
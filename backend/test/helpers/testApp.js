@@ -0,0 +1,94 @@
+// Boots the app against a mock OpenRouter server and an empty data
+// directory, with one signed-in user. node --test runs every test file in its
+// own process, so each file gets a fresh app.
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { startMockOpenRouter } from './mockOpenRouter.js';
+
+export const startTestApp = async (env = {}) => {
+    const upstream = await startMockOpenRouter();
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docuchat-test-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        LLM_PROVIDER: 'openrouter',
+        LLM_MODEL: 'test/model',
+        OPENROUTER_BASE_URL: upstream.url,
+        OPENROUTER_API_KEY: 'test-key',
+        LLM_TIMEOUT_MS: '500',
+        LLM_MAX_RETRIES: '0',
+        RATE_LIMIT_PER_MINUTE: '0',
+        DAILY_TOKEN_BUDGET: '0',
+        // Most tests answer the same request differently; cache.test.js turns it on
+        CACHE_DISABLED: 'true',
+        // A check is one more model call per answer; grounding.test.js turns it on
+        GROUNDING_CHECK_DISABLED: 'true',
+        ...env
+    });
+
+    // Configuration is read when the app is imported, so only import it now
+    const { default: app } = await import('../../app.js');
+    const { createUser, issueToken } = await import('../../lib/userStore.js');
+    const { flushUsage } = await import('../../lib/usage.js');
+    const user = await createUser({ name: 'Test User' });
+    const { token } = await issueToken(user.id);
+
+    const authorized = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+    return {
+        app,
+        upstream,
+        user,
+        api: {
+            get: (url) => authorized('get', url),
+            post: (url) => authorized('post', url),
+            put: (url) => authorized('put', url),
+            patch: (url) => authorized('patch', url),
+            delete: (url) => authorized('delete', url)
+        },
+        stop: async () => {
+            await upstream.close();
+            await flushUsage();
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    };
+};
+
+// Polls a background job until it finishes
+export const waitForJob = async (api, jobId) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const { body: job } = await api.get(`/api/jobs/${jobId}`);
+        if (job.status === 'done' || job.status === 'failed') return job;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+};
+
+// Parses a Server-Sent Events body into [{ event, data }]
+export const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+        const [, event] = block.match(/^event: (.*)$/m);
+        const [, data] = block.match(/^data: (.*)$/m);
+        return { event, data: JSON.parse(data) };
+    });
+
+// A summary in the general profile's format
+export const VALID_SUMMARY = {
+    short: 'The agreement sets out monthly reporting and payment terms.',
+    detailed: 'The provider delivers monthly reports and maintains the servers, while the client pays a fixed monthly fee with invoices due within thirty days.',
+    bullets: ['Monthly reports are delivered.', 'The fee is paid every month.', 'Invoices are due within 30 days.'],
+    insights: ['Late payments incur a fee.'],
+    keywords: ['reports', 'payment', 'invoices']
+};
+
+export const SAMPLE_TEXT = `SERVICE AGREEMENT
+
+1. Scope of Services
+The Provider will deliver monthly reports. The Provider will maintain the servers.
+
+2. Payment
+The Client shall pay $5,000 per month. Invoices are due within 30 days. Late payments incur a fee of 2%.`;
@@ -0,0 +1,111 @@
+import { after, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completion } from './helpers/mockOpenRouter.js';
+import { parseEvents, startTestApp } from './helpers/testApp.js';
+
+const { api, upstream, stop } = await startTestApp({ REDACT_NAMES: 'Jane Doe, Acme' });
+const { createRedactor } = await import('../lib/redaction.js');
+
+after(stop);
+beforeEach(() => upstream.reset());
+
+const TEXT = `SERVICE AGREEMENT
+Jane Doe (jane.doe@example.com, +1 (555) 123-4567) represents Acme.
+Payments go to IBAN DE89 3704 0044 0532 0130 00 or card 4111 1111 1111 1111.
+The Client shall pay $5,000 per month from 2024-01-15. Invoices are due within 30 days.`;
+
+const SECRETS = ['Jane Doe', 'jane.doe@example.com', '555', 'DE89', '4111', 'Acme'];
+
+const sentText = () => upstream.requests.map(request => JSON.stringify(request.body.messages)).join('\n');
+
+describe('createRedactor', () => {
+    test('swaps personal data for placeholders and back', () => {
+        const redactor = createRedactor();
+
+        const redacted = redactor.redact(TEXT);
+
+        for (const secret of SECRETS) assert.ok(!redacted.includes(secret), secret);
+        assert.match(redacted, /\[NAME_1\] \(\[EMAIL_1\], \[PHONE_1\]\) represents \[NAME_2\]/);
+        assert.ok(redacted.includes('$5,000 per month from 2024-01-15'));
+        assert.equal(redactor.restore(redacted), TEXT);
+    });
+
+    test('gives a repeated value the same placeholder', () => {
+        const redactor = createRedactor();
+
+        assert.equal(redactor.redact('a@example.com, b@example.com, a@example.com'), '[EMAIL_1], [EMAIL_2], [EMAIL_1]');
+    });
+
+    test('leaves numbers that only look like card numbers', () => {
+        assert.equal(createRedactor().redact('Order 1234 5678 9012 3456'), 'Order 1234 5678 9012 3456');
+    });
+
+    test('leaves years, year ranges and amounts that look like phone numbers', () => {
+        const redactor = createRedactor({ disabled: false });
+
+        for (const text of ['Revenue by year: 2021 2022 2023', 'Fiscal 2022-2023', 'Amounts 120 450 300 980']) {
+            assert.equal(redactor.redact(text), text);
+        }
+    });
+
+    test('redacts phone numbers with long subscriber groups or a label', () => {
+        const redactor = createRedactor({ disabled: false });
+
+        assert.equal(redactor.redact('Call +49 30 1234567 today'), 'Call [PHONE_1] today');
+        assert.equal(redactor.redact('Phone: 555 123 4567'), 'Phone: [PHONE_2]');
+        assert.equal(redactor.redact('Tel. 030 1234567'), 'Tel. [PHONE_3]');
+    });
+
+    test('redacts API keys', () => {
+        assert.equal(createRedactor().redact('key: sk-or-v1-0123456789abcdefghij'), 'key: [SECRET_1]');
+    });
+
+    test('restores placeholders split across stream deltas', () => {
+        const redactor = createRedactor();
+        redactor.redact('Write to jane.doe@example.com');
+        const restorer = redactor.createStreamRestorer();
+
+        const output = ['Write to [EM', 'AIL_', '1] today [', 'see above]'].map(restorer.push).join('') + restorer.flush();
+
+        assert.equal(output, 'Write to jane.doe@example.com today [see above]');
+    });
+
+    test('can be turned off', () => {
+        assert.equal(createRedactor({ disabled: true }).redact(TEXT), TEXT);
+    });
+});
+
+describe('model calls', () => {
+    test('summaries are made from redacted text and shown restored', async () => {
+        const summary = {
+            short: 'An agreement between [NAME_1] and [NAME_2] about monthly payments.',
+            detailed: 'The client pays a fixed monthly fee, and [NAME_1] can be reached at [EMAIL_1] with questions about invoices.',
+            bullets: ['Contact [NAME_1] at [PHONE_1].', 'Pay to [ID_1].', 'Invoices are due in 30 days.'],
+            insights: ['Card payments are possible.'],
+            keywords: ['payment', 'invoices', 'agreement']
+        };
+        upstream.enqueue(completion(JSON.stringify(summary)));
+
+        const res = await api.post('/api/summarize').send({ text: TEXT });
+
+        assert.equal(res.status, 200);
+        for (const secret of SECRETS) assert.ok(!sentText().includes(secret), secret);
+        assert.equal(res.body.short, 'An agreement between Jane Doe and Acme about monthly payments.');
+        assert.equal(res.body.bullets[0], 'Contact Jane Doe at +1 (555) 123-4567.');
+        assert.equal(res.body.bullets[1], 'Pay to DE89 3704 0044 0532 0130 00.');
+    });
+
+    test('chat answers are restored while they stream', async () => {
+        const { body: document } = await api.post('/api/documents').send({ text: TEXT, name: 'agreement.txt' });
+        upstream.enqueue(completion('Write to [EMAIL_1] or call [PHONE_1] [1].'));
+
+        const res = await api.post('/api/chat/stream').send({
+            documentIds: [document.id],
+            messages: [{ role: 'user', content: 'Who should I write to about the invoices?' }]
+        });
+
+        for (const secret of SECRETS) assert.ok(!sentText().includes(secret), secret);
+        const tokens = parseEvents(res.text).filter(({ event }) => event === 'token').map(({ data }) => data.content);
+        assert.equal(tokens.join(''), 'Write to jane.doe@example.com or call +1 (555) 123-4567 [1].');
+    });
+});
@@ -0,0 +1,124 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completion, failure, hang } from './helpers/mockOpenRouter.js';
+import { parseEvents, SAMPLE_TEXT, startTestApp } from './helpers/testApp.js';
+
+const { api, upstream, stop } = await startTestApp({
+    LLM_MAX_RETRIES: '2',
+    LLM_RETRY_BASE_MS: '10',
+    LLM_RETRY_MAX_WAIT_MS: '2000',
+    LLM_FALLBACK_MODELS: 'test/fallback'
+});
+
+let documentId;
+
+before(async () => {
+    const res = await api.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'agreement.txt' });
+    documentId = res.body.id;
+});
+after(stop);
+beforeEach(() => upstream.reset());
+
+const ask = () => api.post('/api/chat').send({
+    documentIds: [documentId],
+    messages: [{ role: 'user', content: 'When are invoices due?' }]
+});
+
+const models = () => upstream.requests.map(request => request.body.model);
+
+describe('retries', () => {
+    test('retries a failed call on the same model', async () => {
+        upstream.enqueue(failure(500), hang(), completion('Within 30 days [1].'));
+
+        const res = await ask();
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.content, 'Within 30 days [1].');
+        assert.deepEqual(models(), ['test/model', 'test/model', 'test/model']);
+    });
+
+    test('waits as long as the Retry-After header asks', async () => {
+        upstream.enqueue(failure(429, { retryAfter: 1 }), completion('Within 30 days [1].'));
+        const started = Date.now();
+
+        const res = await ask();
+
+        assert.equal(res.status, 200);
+        assert.ok(Date.now() - started >= 1000);
+    });
+
+    test('does not retry a rejected API key', async () => {
+        upstream.enqueue(failure(401));
+
+        const res = await ask();
+
+        assert.equal(res.status, 502);
+        assert.equal(res.body.code, 'model_error');
+        assert.equal(upstream.requests.length, 1);
+    });
+
+    test('does not retry a rejected request', async () => {
+        upstream.enqueue(failure(400));
+
+        const res = await ask();
+
+        assert.equal(res.status, 502);
+        assert.equal(res.body.code, 'model_error');
+        assert.deepEqual(models(), ['test/model']);
+    });
+
+    test('moves on to the fallback model when the server does not know the model', async () => {
+        upstream.enqueue(failure(404), completion('Within 30 days [1].'));
+
+        const res = await ask();
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(models(), ['test/model', 'test/fallback']);
+    });
+
+    test('retries a stream that fails before the first token', async () => {
+        upstream.enqueue(failure(500), completion('Within 30 days [1].'));
+
+        const res = await api.post('/api/chat/stream').send({
+            documentIds: [documentId],
+            messages: [{ role: 'user', content: 'When are invoices due?' }]
+        });
+
+        const events = parseEvents(res.text);
+        assert.equal(events.at(-1).event, 'done');
+        assert.equal(upstream.requests.length, 2);
+    });
+});
+
+describe('fallback models', () => {
+    test('moves on to the fallback model when the main one keeps failing', async () => {
+        upstream.enqueue(failure(500), failure(500), failure(500), completion('Within 30 days [1].'));
+
+        const res = await ask();
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(models(), ['test/model', 'test/model', 'test/model', 'test/fallback']);
+    });
+
+    test('moves on right away when the server asks to wait too long', async () => {
+        upstream.enqueue(failure(429, { retryAfter: 60 }), completion('Within 30 days [1].'));
+        const started = Date.now();
+
+        const res = await ask();
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(models(), ['test/model', 'test/fallback']);
+        assert.ok(Date.now() - started < 2000);
+    });
+
+    test('reports the last error once every model has failed', async () => {
+        upstream.enqueue(...Array.from({ length: 6 }, () => failure(429, { retryAfter: 1 })));
+
+        const res = await ask();
+
+        assert.equal(res.status, 429);
+        assert.equal(res.body.code, 'model_rate_limited');
+        assert.equal(res.body.retryAfter, 1);
+        assert.equal(upstream.requests.length, 6);
+    });
+});
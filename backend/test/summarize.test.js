@@ -0,0 +1,133 @@
+import { after, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completion, failure, hang, malformedBody } from './helpers/mockOpenRouter.js';
+import { SAMPLE_TEXT, startTestApp, VALID_SUMMARY } from './helpers/testApp.js';
+
+const { api, upstream, stop } = await startTestApp();
+
+after(stop);
+beforeEach(() => upstream.reset());
+
+const summarize = (body = { text: SAMPLE_TEXT }) => api.post('/api/summarize').send(body);
+
+describe('POST /api/summarize', () => {
+    test('returns the validated summary of a good response', async () => {
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+
+        const res = await summarize();
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.short, VALID_SUMMARY.short);
+        assert.deepEqual(res.body.bullets, VALID_SUMMARY.bullets);
+        assert.deepEqual(res.body.meta.failedSections, []);
+        assert.equal(res.body.meta.mode, 'single');
+    });
+
+    test('calls the chat completions API with the configured model and key', async () => {
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+
+        await summarize();
+
+        assert.equal(upstream.requests.length, 1);
+        const [{ path, headers, body }] = upstream.requests;
+        assert.equal(path, '/api/v1/chat/completions');
+        assert.equal(headers.authorization, 'Bearer test-key');
+        assert.equal(body.model, 'test/model');
+        assert.match(body.messages[0].content, /Required JSON format:/);
+        assert.ok(body.messages[0].content.includes('The Client shall pay $5,000 per month.'));
+    });
+
+    test('accepts JSON wrapped in a markdown code block', async () => {
+        upstream.enqueue(completion(`\`\`\`json\n${JSON.stringify(VALID_SUMMARY)}\n\`\`\``));
+
+        const res = await summarize();
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.short, VALID_SUMMARY.short);
+    });
+
+    test('asks the model to repair malformed JSON', async () => {
+        upstream.enqueue(completion('Here is your summary: {"short": '), completion(JSON.stringify(VALID_SUMMARY)));
+
+        const res = await summarize();
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.short, VALID_SUMMARY.short);
+        assert.equal(upstream.requests.length, 2);
+        const repair = upstream.requests[1].body.messages.at(-1);
+        assert.match(repair.content, /did not match the required format/);
+    });
+
+    test('keeps valid sections and reports the ones that stay invalid', async () => {
+        const { keywords, ...withoutKeywords } = VALID_SUMMARY;
+        upstream.enqueue(completion(JSON.stringify(withoutKeywords)), completion(JSON.stringify(withoutKeywords)));
+
+        const res = await summarize();
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.keywords, undefined);
+        assert.deepEqual(res.body.meta.failedSections, ['keywords']);
+    });
+
+    test('fails with the raw content when no response is valid JSON', async () => {
+        upstream.enqueue(completion('not json'), completion('still not json'));
+
+        const res = await summarize();
+
+        assert.equal(res.status, 500);
+        assert.equal(res.body.error, 'Failed to parse summary response');
+        assert.equal(res.body.raw, 'still not json');
+    });
+
+    test('fails when the upstream body is not valid JSON', async () => {
+        upstream.enqueue(malformedBody());
+
+        const res = await summarize();
+
+        assert.equal(res.status, 502);
+        assert.equal(res.body.code, 'model_bad_response');
+    });
+
+    test('fails as rate limited when the upstream answers 429', async () => {
+        upstream.enqueue(failure(429, { retryAfter: 30 }));
+
+        const res = await summarize();
+
+        assert.equal(res.status, 429);
+        assert.equal(res.body.code, 'model_rate_limited');
+        assert.equal(res.body.retryAfter, 30);
+    });
+
+    test('fails as a model error when the upstream answers 500', async () => {
+        upstream.enqueue(failure(500));
+
+        const res = await summarize();
+
+        assert.equal(res.status, 502);
+        assert.equal(res.body.code, 'model_error');
+    });
+
+    test('fails instead of waiting forever when the upstream hangs', async () => {
+        upstream.enqueue(hang());
+        const started = Date.now();
+
+        const res = await summarize();
+
+        assert.equal(res.status, 504);
+        assert.equal(res.body.code, 'model_timeout');
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    test('rejects requests without text', async () => {
+        const res = await summarize({});
+
+        assert.equal(res.status, 400);
+        assert.equal(upstream.requests.length, 0);
+    });
+
+    test('rejects unknown modes and languages', async () => {
+        assert.equal((await summarize({ text: SAMPLE_TEXT, mode: 'fast' })).status, 400);
+        assert.equal((await summarize({ text: SAMPLE_TEXT, language: 'xx' })).status, 400);
+        assert.equal(upstream.requests.length, 0);
+    });
+});
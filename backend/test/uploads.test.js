@@ -0,0 +1,64 @@
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completion, failure } from './helpers/mockOpenRouter.js';
+import { SAMPLE_TEXT, startTestApp, VALID_SUMMARY, waitForJob } from './helpers/testApp.js';
+
+const { api, upstream, stop } = await startTestApp();
+
+after(stop);
+
+const upload = (text, name) => api.post('/api/uploads').attach('file', Buffer.from(text), { filename: name, contentType: 'text/plain' });
+
+describe('POST /api/uploads', () => {
+    test('extracts, stores and summarizes the file in a background job', async () => {
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+
+        const res = await upload(SAMPLE_TEXT, 'agreement.txt');
+        assert.equal(res.status, 202);
+        const job = await waitForJob(api, res.body.id);
+
+        assert.equal(job.status, 'done');
+        const { body: document } = await api.get(`/api/documents/${job.result.documentId}`);
+        assert.equal(document.name, 'agreement.txt');
+        assert.equal(document.text.trim(), SAMPLE_TEXT);
+        assert.equal(document.language, 'en');
+        assert.equal(document.summaries.short, VALID_SUMMARY.short);
+        assert.ok(document.summaries.citations.bullets.length > 0);
+    });
+
+    test('keeps the document when summarizing fails', async () => {
+        upstream.enqueue(failure(500));
+
+        const res = await upload(SAMPLE_TEXT, 'failing.txt');
+        const job = await waitForJob(api, res.body.id);
+
+        assert.equal(job.status, 'failed');
+        assert.equal(job.errorCode, 'model_error');
+        const { body: document } = await api.get(`/api/documents/${job.result.documentId}`);
+        assert.equal(document.name, 'failing.txt');
+        assert.equal(document.summaries, null);
+    });
+
+    test('requires a file', async () => {
+        const res = await api.post('/api/uploads').field('profileId', 'general');
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'File is required');
+    });
+});
+
+describe('POST /api/structured-data', () => {
+    test('extracts entities in a background job', async () => {
+        const { body: document } = await api.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'agreement.txt' });
+        upstream.enqueue(completion(JSON.stringify({ people: [], organizations: [], dates: [], amounts: ['$5,000'] })));
+
+        const res = await api.post('/api/structured-data').send({ documentId: document.id });
+        assert.equal(res.status, 202);
+        const job = await waitForJob(api, res.body.id);
+
+        assert.equal(job.status, 'done');
+        assert.deepEqual(job.result, { documentId: document.id });
+        const { body: structured } = await api.get(`/api/documents/${document.id}/structured-data`);
+        assert.deepEqual(structured.entities.map(entity => [entity.type, entity.value]), [['money', '$5,000']]);
+    });
+});
@@ -0,0 +1,127 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { completion, failure } from './helpers/mockOpenRouter.js';
+import { SAMPLE_TEXT, startTestApp, VALID_SUMMARY } from './helpers/testApp.js';
+
+const { app, api, upstream, stop } = await startTestApp({ LLM_PRICES: '{"test/model": [1, 2]}' });
+const { createUser, issueToken } = await import('../lib/userStore.js');
+
+const adminUser = await createUser({ name: 'Admin', role: 'admin' });
+const { token: adminToken } = await issueToken(adminUser.id);
+const admin = (url) => request(app).get(url).set('Authorization', `Bearer ${adminToken}`);
+
+let documentId;
+
+before(async () => {
+    const res = await api.post('/api/documents').send({ text: SAMPLE_TEXT, name: 'agreement.txt' });
+    documentId = res.body.id;
+});
+after(stop);
+beforeEach(() => upstream.reset());
+
+const callsSince = async (count) => {
+    const { body } = await admin('/api/usage/calls');
+    assert.ok(body.length > count);
+    return body.slice(0, body.length - count);
+};
+
+describe('usage records', () => {
+    test('records a summary call with its tokens, cost and document', async () => {
+        upstream.enqueue(completion(JSON.stringify(VALID_SUMMARY)));
+
+        await api.post('/api/summarize').send({ documentId });
+
+        const [call] = await callsSince(0);
+        assert.equal(call.type, 'call');
+        assert.equal(call.route, 'POST /api/summarize');
+        assert.deepEqual(call.documentIds, [documentId]);
+        assert.equal(call.model, 'test/model');
+        assert.equal(call.promptTokens, 100);
+        assert.equal(call.completionTokens, 20);
+        assert.equal(call.outcome, 'ok');
+        assert.equal(call.cost, (100 * 1 + 20 * 2) / 1e6);
+        assert.ok(call.latencyMs >= 0);
+    });
+
+    test('records failed calls with their error code', async () => {
+        const { body: before } = await admin('/api/usage/calls');
+        upstream.enqueue(failure(500));
+
+        await api.post('/api/summarize').send({ documentId });
+
+        const [call] = await callsSince(before.length);
+        assert.equal(call.outcome, 'error');
+        assert.equal(call.errorCode, 'model_error');
+    });
+
+    test('records responses that could not be parsed', async () => {
+        const { body: before } = await admin('/api/usage/calls');
+        upstream.enqueue(completion('not json'), completion('still not json'));
+
+        await api.post('/api/summarize').send({ documentId });
+
+        const entries = await callsSince(before.length);
+        assert.equal(entries.length, 4);
+        assert.equal(entries.filter(entry => entry.type === 'parse_failure').length, 2);
+        assert.equal(entries.find(entry => entry.type === 'parse_failure').reason, 'invalid_json');
+    });
+
+    test('records streamed chat answers for every document of the chat', async () => {
+        const { body: before } = await admin('/api/usage/calls');
+        upstream.enqueue(completion('Invoices are due within 30 days [1].'));
+
+        await api.post('/api/chat/stream').send({ documentIds: [documentId], messages: [{ role: 'user', content: 'When are invoices due?' }] });
+
+        const [call] = await callsSince(before.length);
+        assert.equal(call.route, 'POST /api/chat/stream');
+        assert.equal(call.stream, true);
+        assert.equal(call.outcome, 'ok');
+        assert.deepEqual(call.documentIds, [documentId]);
+        assert.ok(call.completionTokens > 0);
+    });
+
+    test('does not charge streams the model never started', async () => {
+        const { body: before } = await admin('/api/usage/calls');
+        const { body: account } = await api.get('/api/account');
+        upstream.enqueue(failure(429));
+
+        await api.post('/api/chat/stream').send({ documentIds: [documentId], messages: [{ role: 'user', content: 'When are invoices due?' }] });
+
+        const [call] = await callsSince(before.length);
+        assert.equal(call.outcome, 'error');
+        assert.equal(call.errorCode, 'model_rate_limited');
+        assert.equal(call.promptTokens, 0);
+        assert.equal((await api.get('/api/account')).body.tokensToday, account.tokensToday);
+    });
+});
+
+describe('GET /api/usage', () => {
+    test('sums up usage per day, document, route and model', async () => {
+        const { body } = await admin('/api/usage?days=7');
+
+        assert.equal(body.byDay.length, 7);
+        assert.equal(body.byDay.at(-1).day, new Date().toISOString().slice(0, 10));
+        assert.equal(body.byDay.at(-1).calls, body.totals.calls);
+        assert.equal(body.totals.calls, 6);
+        assert.equal(body.totals.failedCalls, 2);
+        assert.equal(body.totals.parseFailures, 2);
+        assert.ok(body.totals.cost > 0);
+        const [document] = body.byDocument;
+        assert.equal(document.documentId, documentId);
+        assert.equal(document.name, 'agreement.txt');
+        assert.equal(document.calls, body.totals.calls);
+        assert.ok(body.byRoute.some(route => route.route === 'POST /api/chat/stream' && route.calls === 2));
+        assert.equal(body.byModel[0].model, 'test/model');
+    });
+
+    test('is only for admins', async () => {
+        assert.equal((await api.get('/api/usage')).status, 403);
+        assert.equal((await api.get('/api/usage/calls')).status, 403);
+    });
+
+    test('validates the period', async () => {
+        assert.equal((await admin('/api/usage?days=0')).status, 400);
+        assert.equal((await admin('/api/usage/calls?day=../../users')).status, 400);
+    });
+});
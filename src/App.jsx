@@ -1,196 +1,637 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Upload, FileText, MessageSquare, Send, Loader2, X, ChevronDown, ChevronUp, Sparkles } from 'lucide-react';
+import { Upload, FileText, MessageSquare, Send, Loader2, X, Sparkles, Square, PanelLeft, Download, SlidersHorizontal, RefreshCw, LogOut, BarChart3 } from 'lucide-react';
 
-import { getDocument, GlobalWorkerOptions, version } from 'pdfjs-dist';
+import { CitationBadges, CitationModal } from './components/Citations.jsx';
+import DocumentTabs from './components/DocumentTabs.jsx';
+import LibrarySidebar from './components/LibrarySidebar.jsx';
+import SummarySections from './components/SummarySections.jsx';
+import ProfileEditor from './components/ProfileEditor.jsx';
+import UsageDashboard from './components/UsageDashboard.jsx';
+import GroundingIndicator from './components/GroundingIndicator.jsx';
+import ViewTabs from './components/ViewTabs.jsx';
+import StructuredDataPanel from './components/StructuredDataPanel.jsx';
+import SignIn from './components/SignIn.jsx';
+import ContextUsage from './components/ContextUsage.jsx';
+import DocumentViewer from './components/DocumentViewer.jsx';
+import ComparePanel from './components/ComparePanel.jsx';
+import TranslationPanel from './components/TranslationPanel.jsx';
+import { readEventStream } from './lib/sse.js';
+import { apiDownload, apiFetch, apiRequest, onUnauthorized, responseError, setApiToken } from './lib/api.js';
+import { waitForJob } from './lib/jobs.js';
+import { describeError } from './lib/errors.js';
+import { locateText } from './lib/highlight.js';
 
-GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${version}/build/pdf.worker.min.mjs`;
+const GREETING = {
+    role: 'assistant',
+    content: 'Hello! I\'ve analyzed your document. Ask me anything about it!'
+};
+
+const VALID_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/plain',
+    'image/jpeg',
+    'image/png',
+    'image/jpg'
+];
+
+const MAX_FILE_MB = 50;
+const DEFAULT_PROFILE_ID = 'general';
+
+// Progress line for a processing job's { stage, current, total }
+const describeProgress = ({ stage, current, total }) => {
+    switch (stage) {
+        case 'extracting': return `Extracting page ${current} of ${total}...`;
+        case 'ocr': return total > 1 ? `Running OCR on page ${current} of ${total}...` : 'Running OCR...';
+        case 'indexing': return 'Indexing document...';
+        case 'summarizing': return total > 1 ? `Summarizing chunk ${current} of ${total}...` : 'Summarizing document...';
+        case 'merging': return 'Merging section summaries...';
+        case 'entities': return total > 1 ? `Finding entities in part ${current} of ${total}...` : 'Finding entities...';
+        case 'tables': return 'Reading tables...';
+        case 'comparing': return `Explaining changed section ${current} of ${total}...`;
+        case 'overview': return 'Writing the overview of changes...';
+        case 'translating': return total > 1 ? `Translating section ${current} of ${total}...` : 'Translating document...';
+        default: return 'Processing...';
+    }
+};
 
 export default function DocumentSummarizer() {
-    const [file, setFile] = useState(null);
-    const [extractedText, setExtractedText] = useState('');
-    const [summaries, setSummaries] = useState(null);
-    const [loading, setLoading] = useState(false);
+    // Workspace documents: { key, name, status, documentId, file, language, text, pages, ocr, summaries, structured, translations, progress, error }
+    // status is 'processing' (server job running), 'ready' or 'error'; progress is the job's { stage, current, total }
+    const [documents, setDocuments] = useState([]);
+    const [activeDocumentKey, setActiveDocumentKey] = useState(null);
     const [chatMessages, setChatMessages] = useState([]);
     const [chatInput, setChatInput] = useState('');
     const [chatLoading, setChatLoading] = useState(false);
     const [activeView, setActiveView] = useState('upload');
-    const [expandedSummary, setExpandedSummary] = useState('short');
     const [error, setError] = useState('');
+    const [openCitation, setOpenCitation] = useState(null);
+    const [showViewer, setShowViewer] = useState(false);
+    // The citation highlighted in the viewer
+    const [viewerHighlight, setViewerHighlight] = useState(null);
+    const [library, setLibrary] = useState([]);
+    const [showLibrary, setShowLibrary] = useState(true);
+    const [sessionId, setSessionId] = useState(null);
+    const [profiles, setProfiles] = useState([]);
+    const [profileId, setProfileId] = useState(DEFAULT_PROFILE_ID);
+    const [showProfiles, setShowProfiles] = useState(false);
+    const [showUsage, setShowUsage] = useState(false);
+    // Language of summaries and chat answers; 'auto' follows the document or question
+    const [languages, setLanguages] = useState([]);
+    const [language, setLanguage] = useState('auto');
+    // The latest comparison, and the progress of one being made
+    const [comparison, setComparison] = useState(null);
+    const [comparing, setComparing] = useState(null);
+    // The signed-in user with their limits and usage; null until checked,
+    // false when the backend wants an API token
+    const [account, setAccount] = useState(null);
     const fileInputRef = useRef(null);
     const chatEndRef = useRef(null);
+    const chatAbortRef = useRef(null);
+    const chatInputRef = useRef(null);
+
+    const activeDocument = documents.find(doc => doc.key === activeDocumentKey);
+    // Documents the backend has indexed can be chatted with even if summarizing failed
+    const chatDocuments = documents.filter(doc => doc.documentId);
+    const summaries = activeDocument?.summaries;
+    const ocrPages = activeDocument?.ocr || [];
+    const loading = activeDocument?.status === 'processing';
+    const processingProgress = activeDocument?.progress;
+    const viewerOpen = showViewer && activeView !== 'upload' && Boolean(activeDocument?.documentId);
+    const languageName = (code) => languages.find(entry => entry.code === code)?.name;
+    // Summaries made before analysis profiles existed use the general layout
+    const summaryLayout = summaries?.meta?.profile?.sections
+        || profiles.find(profile => profile.id === DEFAULT_PROFILE_ID)?.sections
+        || [];
 
     useEffect(() => {
         chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     }, [chatMessages]);
 
+    useEffect(() => {
+        onUnauthorized(() => setAccount(false));
+        refreshAccount().catch(() => setAccount(false));
+    }, []);
+
+    useEffect(() => {
+        if (!account?.id) return;
+        refreshLibrary();
+        refreshProfiles();
+        apiRequest('/api/languages').then(setLanguages).catch(err => console.error('Language list error:', err));
+    }, [account?.id]);
+
+    const updateDocument = (key, patch) => {
+        setDocuments(prev => prev.map(doc => (doc.key === key ? { ...doc, ...patch } : doc)));
+    };
+
     const handleFileSelect = async (e) => {
-        const selectedFile = e.target.files?.[0];
-        if (!selectedFile) return;
-
-        const validTypes = [
-            'application/pdf',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'text/plain',
-            'image/jpeg',
-            'image/png',
-            'image/jpg'
-        ];
-
-        if (!validTypes.includes(selectedFile.type)) {
-            setError('Please upload a valid file (PDF, DOC, DOCX, TXT)');
-            return;
+        const selectedFiles = Array.from(e.target.files || []);
+        // Allow selecting the same file again later
+        e.target.value = '';
+        if (!selectedFiles.length) return;
+
+        const errors = [];
+        const accepted = selectedFiles.filter(selectedFile => {
+            if (!VALID_TYPES.includes(selectedFile.type)) {
+                errors.push(`${selectedFile.name}: please upload a valid file (PDF, DOC, DOCX, TXT, JPG, PNG)`);
+                return false;
+            }
+            if (selectedFile.size > MAX_FILE_MB * 1024 * 1024) {
+                errors.push(`${selectedFile.name}: file size must be less than ${MAX_FILE_MB}MB`);
+                return false;
+            }
+            return true;
+        });
+
+        setError(errors.join('\n'));
+        if (!accepted.length) return;
+
+        const entries = accepted.map(selectedFile => ({
+            key: crypto.randomUUID(),
+            name: selectedFile.name,
+            status: 'processing',
+            file: selectedFile
+        }));
+        setDocuments(prev => [...prev, ...entries.map(({ file, ...entry }) => entry)]);
+        setActiveDocumentKey(entries[0].key);
+        setActiveView('summary');
+
+        // One at a time: extraction and the model are the bottleneck anyway
+        for (const entry of entries) {
+            await processDocument(entry.key, entry.file);
         }
+    };
+
+    // Uploads the file and follows the server's extraction and summary job
+    const processDocument = async (key, selectedFile) => {
+        let job = null;
+        try {
+            const formData = new FormData();
+            formData.append('profileId', profileId);
+            formData.append('language', language);
+            formData.append('file', selectedFile);
+            const upload = await apiRequest('/api/uploads', { method: 'POST', body: formData });
+            job = await waitForJob(upload.id, progress => updateDocument(key, { progress }));
+        } catch (err) {
+            job = err.job || null;
+            updateDocument(key, { status: 'error', progress: null, error: 'Error processing document: ' + describeError(err) });
+        }
+
+        // A document whose summary failed is still stored and can be chatted with
+        const documentId = job?.result?.documentId;
+        if (!documentId) return;
+        try {
+            const stored = await apiRequest(`/api/documents/${documentId}`);
+            updateDocument(key, {
+                documentId,
+                file: stored.file,
+                language: stored.language,
+                text: stored.text,
+                pages: stored.pages,
+                ocr: stored.ocr || [],
+                summaries: stored.summaries,
+                structured: stored.structured,
+                translations: stored.translations,
+                progress: null,
+                ...(job.status === 'done' ? { status: 'ready' } : {})
+            });
+            setChatMessages(prev => (prev.length ? prev : [GREETING]));
+            refreshLibrary();
+            refreshAccount().catch(() => {});
+        } catch (err) {
+            updateDocument(key, { status: 'error', progress: null, error: 'Error loading document: ' + err.message });
+        }
+    };
 
-        if (selectedFile.size > 10 * 1024 * 1024) {
-            setError('File size must be less than 10MB');
+    const summarizeDocument = async (key, documentId, options) => {
+        try {
+            const summaryData = await generateSummaries(documentId, options);
+            updateDocument(key, { summaries: summaryData, status: 'ready' });
+            refreshLibrary();
+            refreshAccount().catch(() => {});
+        } catch (err) {
+            updateDocument(key, { status: 'error', error: 'Error processing document: ' + describeError(err) });
+        }
+    };
+
+    const refreshAccount = async () => {
+        setAccount(await apiRequest('/api/account'));
+    };
+
+    const signIn = async (token) => {
+        setApiToken(token);
+        try {
+            await refreshAccount();
+        } catch (err) {
+            setApiToken(null);
+            throw err;
+        }
+    };
+
+    const signOut = () => {
+        resetApp();
+        setApiToken(null);
+        setLibrary([]);
+        setAccount(false);
+    };
+
+    const refreshLibrary = async () => {
+        try {
+            setLibrary(await apiRequest('/api/documents'));
+        } catch (err) {
+            console.error('Library load error:', err);
+        }
+    };
+
+    // Adds a stored document to the workspace. Opening into an empty workspace
+    // restores the document's most recent chat session along with every
+    // document that session covered.
+    const openFromLibrary = async (documentId) => {
+        const existing = documents.find(doc => doc.documentId === documentId);
+        if (existing) {
+            setActiveDocumentKey(existing.key);
+            setActiveView('summary');
             return;
         }
 
-        setFile(selectedFile);
-        setLoading(true);
         setError('');
-        setActiveView('summary');
+        try {
+            let session = null;
+            if (!documents.length) {
+                const [latest] = await apiRequest(`/api/sessions?documentId=${documentId}`);
+                if (latest) session = await apiRequest(`/api/sessions/${latest.id}`);
+            }
+
+            const documentIds = session ? session.documentIds : [documentId];
+            const stored = await Promise.all(documentIds.map(id => apiRequest(`/api/documents/${id}`)));
+            const entries = stored.map(doc => ({
+                key: crypto.randomUUID(),
+                name: doc.name,
+                documentId: doc.id,
+                file: doc.file,
+                language: doc.language,
+                text: doc.text,
+                pages: doc.pages,
+                ocr: doc.ocr,
+                summaries: doc.summaries,
+                structured: doc.structured,
+                translations: doc.translations,
+                status: doc.summaries ? 'ready' : 'processing'
+            }));
+
+            setDocuments(prev => [...prev, ...entries]);
+            setActiveDocumentKey(entries.find(entry => entry.documentId === documentId).key);
+            setActiveView('summary');
+            if (session) {
+                setSessionId(session.id);
+                setChatMessages(session.messages.length ? session.messages : [GREETING]);
+            } else {
+                setChatMessages(prev => (prev.length ? prev : [GREETING]));
+            }
+
+            // Documents saved before their summary finished are summarized now
+            for (const entry of entries.filter(entry => !entry.summaries)) {
+                await summarizeDocument(entry.key, entry.documentId);
+            }
+        } catch (err) {
+            setError('Error opening document: ' + err.message);
+        }
+    };
+
+    const renameStoredDocument = async (documentId, name) => {
+        try {
+            await apiRequest(`/api/documents/${documentId}`, { method: 'PATCH', body: { name } });
+            setDocuments(prev => prev.map(doc => (doc.documentId === documentId ? { ...doc, name } : doc)));
+            refreshLibrary();
+        } catch (err) {
+            setError('Error renaming document: ' + err.message);
+        }
+    };
+
+    const deleteStoredDocument = async (documentId) => {
+        if (!window.confirm('Delete this document, its summary and its chat history?')) return;
+        try {
+            await apiRequest(`/api/documents/${documentId}`, { method: 'DELETE' });
+            const open = documents.find(doc => doc.documentId === documentId);
+            if (open) removeDocument(open.key);
+            refreshLibrary();
+        } catch (err) {
+            setError('Error deleting document: ' + err.message);
+        }
+    };
+
+    const refreshProfiles = async () => {
+        try {
+            setProfiles(await apiRequest('/api/profiles'));
+        } catch (err) {
+            console.error('Profile load error:', err);
+        }
+    };
+
+    // Creates a profile when `id` is null, otherwise replaces it
+    const saveProfile = async (id, definition) => {
+        const saved = id
+            ? await apiRequest(`/api/profiles/${id}`, { method: 'PUT', body: definition })
+            : await apiRequest('/api/profiles', { method: 'POST', body: definition });
+        await refreshProfiles();
+        return saved;
+    };
+
+    const deleteProfile = async (id) => {
+        await apiRequest(`/api/profiles/${id}`, { method: 'DELETE' });
+        if (profileId === id) setProfileId(DEFAULT_PROFILE_ID);
+        await refreshProfiles();
+    };
 
+    // Summarizes the active document again with the selected profile. With
+    // `refresh` the server makes a new summary instead of reusing a cached one.
+    const reanalyzeDocument = async ({ refresh = false } = {}) => {
+        updateDocument(activeDocument.key, { status: 'processing', progress: null, error: null });
+        await summarizeDocument(activeDocument.key, activeDocument.documentId, { refresh });
+    };
+
+    const extractStructuredData = async () => {
+        const { key, documentId } = activeDocument;
+        updateDocument(key, { extracting: describeProgress({}) });
         try {
-            const text = await extractText(selectedFile);
-            setExtractedText(text);
-
-            const summaryData = await generateSummaries(text);
-            setSummaries(summaryData);
-            setChatMessages([{
-                role: 'assistant',
-                content: 'Hello! I\'ve analyzed your document. Ask me anything about it!'
-            }]);
+            const job = await apiRequest('/api/structured-data', { method: 'POST', body: { documentId } });
+            await waitForJob(job.id, progress => updateDocument(key, { extracting: describeProgress(progress || {}) }));
+            const structured = await apiRequest(`/api/documents/${documentId}/structured-data`);
+            updateDocument(key, { structured });
+            refreshAccount().catch(() => {});
         } catch (err) {
-            setError('Error processing document: ' + err.message);
-            setActiveView('upload');
-            setFile(null);
+            setError('Error extracting entities: ' + describeError(err));
         } finally {
-            setLoading(false);
+            updateDocument(key, { extracting: null });
         }
     };
 
-    const extractText = async (file) => {
-        return new Promise(async (resolve, reject) => {
-            if (file.type === 'text/plain') {
-                const reader = new FileReader();
-                reader.onload = (e) => resolve(e.target.result);
-                reader.onerror = () => reject(new Error('Failed to read text file'));
-                reader.readAsText(file);
-            } else if (file.type === 'application/pdf') {
-                try {
-                    const arrayBuffer = await file.arrayBuffer();
-                    const pdf = await getDocument({ data: arrayBuffer }).promise;
-                    let fullText = '';
-
-                    for (let i = 1; i <= pdf.numPages; i++) {
-                        const page = await pdf.getPage(i);
-                        const textContent = await page.getTextContent();
-                        const pageText = textContent.items.map(item => item.str).join(' ');
-                        fullText += pageText + '\n';
-                    }
-
-                    if (!fullText.trim()) {
-                        reject(new Error('No text found in PDF (it might be scanned/image-based)'));
-                    } else {
-                        resolve(fullText);
-                    }
-                } catch (err) {
-                    console.error('PDF extraction error:', err);
-                    reject(new Error('Failed to extract text from PDF: ' + err.message));
-                }
-            } else if (file.type.startsWith('image/')) {
-                resolve(`[Image support requires OCR which is not yet implemented. Please upload a PDF or text file.]`);
-            } else {
-                resolve(`[DOC/DOCX support requires additional libraries not yet installed. Please upload a PDF or text file.]`);
-            }
-        });
+    // format 'json' or 'csv'; with `table`, the CSV of that table instead of the entities
+    const downloadStructuredData = async (format, table) => {
+        const params = new URLSearchParams({ format });
+        if (table !== undefined) params.set('table', table);
+        try {
+            await apiDownload(`/api/documents/${activeDocument.documentId}/structured-data?${params}`, `data.${format}`);
+        } catch (err) {
+            setError('Error downloading data: ' + err.message);
+        }
     };
 
-    const generateSummaries = async (text) => {
+    const translateDocument = async (code) => {
+        const { key, documentId } = activeDocument;
+        updateDocument(key, { translating: describeProgress({}) });
         try {
-            const response = await fetch('http://localhost:3000/api/summarize', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ text })
-            });
+            const job = await apiRequest(`/api/documents/${documentId}/translations`, { method: 'POST', body: { language: code } });
+            await waitForJob(job.id, progress => updateDocument(key, { translating: describeProgress(progress || {}) }));
+            const translation = await apiRequest(`/api/documents/${documentId}/translations/${code}`);
+            setDocuments(prev => prev.map(doc => (doc.key === key
+                ? { ...doc, translations: { ...doc.translations, [code]: translation } }
+                : doc)));
+            refreshAccount().catch(() => {});
+        } catch (err) {
+            setError('Error translating document: ' + describeError(err));
+        } finally {
+            updateDocument(key, { translating: null });
+        }
+    };
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'API request failed');
-            }
+    const compareDocuments = async (baseDocumentId, targetDocumentId) => {
+        setComparing({});
+        try {
+            const job = await apiRequest('/api/comparisons', { method: 'POST', body: { baseDocumentId, targetDocumentId } });
+            const { result } = await waitForJob(job.id, progress => setComparing(progress || {}));
+            setComparison(await apiRequest(`/api/comparisons/${result.comparisonId}`));
+            refreshAccount().catch(() => {});
+        } catch (err) {
+            setError('Error comparing documents: ' + describeError(err));
+        } finally {
+            setComparing(null);
+        }
+    };
 
-            const data = await response.json();
-            return data;
+    // Downloads the active document's summary and the current chat as md, pdf or docx
+    const exportDocument = async (format) => {
+        const params = new URLSearchParams({ format });
+        if (sessionId) params.set('sessionId', sessionId);
+        try {
+            await apiDownload(`/api/documents/${activeDocument.documentId}/export?${params}`, `analysis.${format}`);
+        } catch (err) {
+            setError('Error exporting document: ' + err.message);
+        }
+    };
+
+    // Opens the cited passage in the viewer; citations into documents outside
+    // the workspace are shown in a popup instead
+    const showCitation = (citation) => {
+        const target = documents.find(doc => doc.documentId === citation.documentId);
+        if (!target) {
+            setOpenCitation(citation);
+            return;
+        }
+        setActiveDocumentKey(target.key);
+        setViewerHighlight({ ...citation });
+        setShowViewer(true);
+    };
+
+    // Clicking an answer shows its first source, unless the click selected text
+    const showAnswerSource = (msg) => {
+        if (window.getSelection()?.toString()) return;
+        showCitation(msg.citations[0]);
+    };
+
+    const showText = (text) => {
+        const location = locateText(activeDocument, text);
+        if (location) {
+            showCitation(location);
+        } else {
+            setError(`"${text}" does not appear word for word in the document.`);
+        }
+    };
+
+    const askAboutSelection = (text) => {
+        const quote = text.length > 500 ? `${text.slice(0, 500)}...` : text;
+        setChatInput(`Regarding "${quote.replace(/\s+/g, ' ')}": `);
+        setActiveView('chat');
+        setTimeout(() => chatInputRef.current?.focus(), 0);
+    };
+
+    const removeDocument = (key) => {
+        const remaining = documents.filter(doc => doc.key !== key);
+        if (!remaining.length) {
+            resetApp();
+            return;
+        }
+        setDocuments(remaining);
+        if (key === activeDocumentKey) {
+            setActiveDocumentKey(remaining[0].key);
+        }
+    };
+
+    const generateSummaries = async (documentId, { refresh = false } = {}) => {
+        try {
+            return await apiRequest('/api/summarize', { method: 'POST', body: { documentId, profileId, language, refresh } });
         } catch (err) {
             console.error('Summary generation error:', err);
-            throw new Error('Failed to generate summaries: ' + err.message);
+            throw Object.assign(new Error('Failed to generate summaries: ' + err.message), { code: err.code, retryAfter: err.retryAfter });
         }
     };
 
+    // Applies an update to the assistant message currently being streamed
+    const updateStreamingMessage = (update) => {
+        setChatMessages(prev => {
+            const last = prev[prev.length - 1];
+            return [...prev.slice(0, -1), { ...last, ...update(last) }];
+        });
+    };
+
     const handleChat = async () => {
-        if (!chatInput.trim() || chatLoading) return;
+        if (!chatInput.trim() || chatLoading || !chatDocuments.length) return;
 
         const userMessage = chatInput.trim();
         setChatInput('');
-        setChatMessages(prev => [...prev, { role: 'user', content: userMessage }]);
+        setChatMessages(prev => [
+            ...prev,
+            { role: 'user', content: userMessage },
+            { role: 'assistant', content: '', streaming: true }
+        ]);
         setChatLoading(true);
 
+        const controller = new AbortController();
+        chatAbortRef.current = controller;
+
         try {
             const conversationHistory = chatMessages.map(msg => ({
                 role: msg.role,
                 content: msg.content
             }));
 
+            // The backend retrieves the relevant document passages for us
             const messages = [
-                {
-                    role: 'user',
-                    content: `You are a helpful assistant answering questions about this document. Only use information from the document to answer questions.\n\nDocument:\n${extractedText.substring(0, 20000)}`
-                },
-                {
-                    role: 'assistant',
-                    content: 'I understand. I will answer questions based only on the document content provided.'
-                },
                 ...conversationHistory,
                 { role: 'user', content: userMessage }
             ];
 
-            const response = await fetch('http://localhost:3000/api/chat', {
+            const documentIds = chatDocuments.map(doc => doc.documentId);
+            let currentSessionId = sessionId;
+            if (!currentSessionId) {
+                const session = await apiRequest('/api/sessions', { method: 'POST', body: { documentIds } });
+                currentSessionId = session.id;
+                setSessionId(session.id);
+            }
+
+            const response = await apiFetch('/api/chat/stream', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ messages })
+                body: JSON.stringify({ documentIds, sessionId: currentSessionId, messages, language }),
+                signal: controller.signal
             });
 
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Chat API request failed');
+                throw responseError(response, await response.json().catch(() => null));
             }
 
-            const data = await response.json();
-            const answer = data.content;
-            setChatMessages(prev => [...prev, { role: 'assistant', content: answer }]);
+            await readEventStream(response, (event, data) => {
+                if (event === 'context') {
+                    updateStreamingMessage(() => ({ context: data }));
+                } else if (event === 'token') {
+                    updateStreamingMessage(msg => ({ content: msg.content + data.content }));
+                } else if (event === 'done') {
+                    // `content` replaces the streamed answer when the document does not cover the question
+                    updateStreamingMessage(msg => ({
+                        content: data.content ?? msg.content,
+                        citations: data.citations,
+                        grounding: data.grounding,
+                        cached: data.cached,
+                        streaming: false
+                    }));
+                } else if (event === 'error') {
+                    throw Object.assign(new Error(data.error), { code: data.code || null, retryAfter: data.retryAfter ?? null });
+                }
+            });
         } catch (err) {
-            console.error('Chat error:', err);
-            setChatMessages(prev => [...prev, {
-                role: 'assistant',
-                content: 'Sorry, I encountered an error. Please try again.'
-            }]);
+            if (err.name === 'AbortError') {
+                updateStreamingMessage(msg => ({
+                    content: msg.content || 'Response stopped.',
+                    streaming: false,
+                    stopped: true
+                }));
+            } else {
+                console.error('Chat error:', err);
+                // Model and usage-limit errors say when trying again may work
+                updateStreamingMessage(() => ({
+                    content: err.code ? describeError(err) : 'Sorry, I encountered an error. Please try again.',
+                    streaming: false
+                }));
+            }
         } finally {
+            chatAbortRef.current = null;
             setChatLoading(false);
+            refreshAccount().catch(() => {});
         }
     };
 
+    const stopChat = () => {
+        chatAbortRef.current?.abort();
+    };
+
     const resetApp = () => {
-        setFile(null);
-        setExtractedText('');
-        setSummaries(null);
+        chatAbortRef.current?.abort();
+        setDocuments([]);
+        setActiveDocumentKey(null);
+        setSessionId(null);
         setChatMessages([]);
+        setComparison(null);
         setActiveView('upload');
         setError('');
         if (fileInputRef.current) fileInputRef.current.value = '';
     };
 
+    const profilePicker = (
+        <div className="flex items-center gap-2 text-sm">
+            <label htmlFor="profile" className="text-gray-600">Analysis profile:</label>
+            <select
+                id="profile"
+                value={profileId}
+                onChange={(e) => setProfileId(e.target.value)}
+                className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+                {profiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+            </select>
+            <button
+                onClick={() => setShowProfiles(true)}
+                title="Manage analysis profiles"
+                className="p-1.5 bg-white border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 transition-colors"
+            >
+                <SlidersHorizontal className="w-4 h-4" />
+            </button>
+        </div>
+    );
+
+    const languagePicker = (
+        <div className="flex items-center gap-2 text-sm">
+            <label htmlFor="language" className="text-gray-600">Language:</label>
+            <select
+                id="language"
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                title="Language of summaries and chat answers"
+                className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+                <option value="auto">Same as document</option>
+                {languages.map(({ code, name }) => (
+                    <option key={code} value={code}>{name}</option>
+                ))}
+            </select>
+        </div>
+    );
+
+    if (account === false) {
+        return <SignIn onSignIn={signIn} />;
+    }
+
     return (
         <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
             {/* Header */}
@@ -206,296 +647,473 @@ export default function DocumentSummarizer() {
                                 <p className="text-xs text-gray-500">Intelligent Document Analysis</p>
                             </div>
                         </div>
-                        {file && (
+                        <div className="flex items-center space-x-2">
+                            {account && (
+                                <div className="hidden md:block text-right text-xs text-gray-500 mr-2">
+                                    <p className="font-medium text-gray-700">{account.name}</p>
+                                    {account.dailyTokenBudget > 0 && (
+                                        <p>{account.tokensToday.toLocaleString()} / {account.dailyTokenBudget.toLocaleString()} tokens today</p>
+                                    )}
+                                </div>
+                            )}
                             <button
-                                onClick={resetApp}
-                                className="flex items-center space-x-2 px-4 py-2 bg-red-50 hover:bg-red-100 text-red-600 rounded-lg transition-all"
+                                onClick={() => setShowLibrary(!showLibrary)}
+                                className="flex items-center space-x-2 px-4 py-2 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-lg transition-all"
                             >
-                                <X className="w-4 h-4" />
-                                <span className="hidden sm:inline font-medium">Reset</span>
+                                <PanelLeft className="w-4 h-4" />
+                                <span className="hidden sm:inline font-medium">Library</span>
                             </button>
-                        )}
+                            {documents.length > 0 && (
+                                <button
+                                    onClick={resetApp}
+                                    className="flex items-center space-x-2 px-4 py-2 bg-red-50 hover:bg-red-100 text-red-600 rounded-lg transition-all"
+                                >
+                                    <X className="w-4 h-4" />
+                                    <span className="hidden sm:inline font-medium">Reset</span>
+                                </button>
+                            )}
+                            {account?.role === 'admin' && (
+                                <button
+                                    onClick={() => setShowUsage(true)}
+                                    className="flex items-center space-x-2 px-4 py-2 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-lg transition-all"
+                                >
+                                    <BarChart3 className="w-4 h-4" />
+                                    <span className="hidden sm:inline font-medium">Usage</span>
+                                </button>
+                            )}
+                            <button
+                                onClick={signOut}
+                                title="Sign out"
+                                className="p-2 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-lg transition-all"
+                            >
+                                <LogOut className="w-4 h-4" />
+                            </button>
+                        </div>
                     </div>
                 </div>
             </header>
 
-            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-                {/* Error Message */}
-                {error && (
-                    <div className="max-w-2xl mx-auto mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
-                        <p className="text-red-800 text-sm">{error}</p>
-                    </div>
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 flex gap-6">
+                {showLibrary && (
+                    <LibrarySidebar
+                        documents={library}
+                        openDocumentIds={chatDocuments.map(doc => doc.documentId)}
+                        onOpen={openFromLibrary}
+                        onRename={renameStoredDocument}
+                        onDelete={deleteStoredDocument}
+                    />
                 )}
 
-                {/* Upload View */}
-                {activeView === 'upload' && (
-                    <div className="animate-fadeIn">
-                        <div className="max-w-2xl mx-auto">
-                            <div className="text-center mb-8">
-                                <div className="inline-flex items-center justify-center w-16 h-16 bg-indigo-100 rounded-full mb-4">
-                                    <Sparkles className="w-8 h-8 text-indigo-600" />
-                                </div>
-                                <h2 className="text-3xl font-bold text-gray-900 mb-3">
-                                    Upload Your Document
-                                </h2>
-                                <p className="text-gray-600">
-                                    Supports PDF, DOC, DOCX, and TXT files
-                                </p>
-                            </div>
+                <main className="flex-1 min-w-0">
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        onChange={handleFileSelect}
+                        accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png"
+                        className="hidden"
+                    />
 
-                            <div
-                                onClick={() => fileInputRef.current?.click()}
-                                className="relative border-2 border-dashed border-indigo-300 rounded-2xl p-12 text-center hover:border-indigo-500 hover:bg-indigo-50 transition-all cursor-pointer bg-white shadow-lg"
-                            >
-                                <input
-                                    ref={fileInputRef}
-                                    type="file"
-                                    onChange={handleFileSelect}
-                                    accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png"
-                                    className="hidden"
-                                />
-                                <Upload className="w-16 h-16 text-indigo-500 mx-auto mb-4" />
-                                <h3 className="text-xl font-semibold text-gray-900 mb-2">
-                                    Click to upload or drag and drop
-                                </h3>
-                                <p className="text-gray-500 text-sm">Maximum file size: 10MB</p>
-                            </div>
+                    {/* Error Message */}
+                    {error && (
+                        <div className="max-w-2xl mx-auto mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+                            <p className="text-red-800 text-sm whitespace-pre-line">{error}</p>
+                        </div>
+                    )}
 
-                            <div className="mt-8 grid grid-cols-1 sm:grid-cols-3 gap-4">
-                                <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-shadow">
-                                    <div className="text-3xl mb-2">📄</div>
-                                    <div className="font-semibold text-gray-900 mb-1">Extract Text</div>
-                                    <div className="text-sm text-gray-600">Automatic extraction from any format</div>
+                    {/* Upload View */}
+                    {activeView === 'upload' && (
+                        <div className="animate-fadeIn">
+                            <div className="max-w-2xl mx-auto">
+                                <div className="text-center mb-8">
+                                    <div className="inline-flex items-center justify-center w-16 h-16 bg-indigo-100 rounded-full mb-4">
+                                        <Sparkles className="w-8 h-8 text-indigo-600" />
+                                    </div>
+                                    <h2 className="text-3xl font-bold text-gray-900 mb-3">
+                                        Upload Your Documents
+                                    </h2>
+                                    <p className="text-gray-600">
+                                        Supports PDF, DOC, DOCX, TXT and image files. Add several to compare and chat across them.
+                                    </p>
                                 </div>
-                                <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-shadow">
-                                    <div className="text-3xl mb-2">📝</div>
-                                    <div className="font-semibold text-gray-900 mb-1">AI Summaries</div>
-                                    <div className="text-sm text-gray-600">Multiple summary formats</div>
+
+                                <div
+                                    onClick={() => fileInputRef.current?.click()}
+                                    className="relative border-2 border-dashed border-indigo-300 rounded-2xl p-12 text-center hover:border-indigo-500 hover:bg-indigo-50 transition-all cursor-pointer bg-white shadow-lg"
+                                >
+                                    <Upload className="w-16 h-16 text-indigo-500 mx-auto mb-4" />
+                                    <h3 className="text-xl font-semibold text-gray-900 mb-2">
+                                        Click to upload or drag and drop
+                                    </h3>
+                                    <p className="text-gray-500 text-sm">Maximum file size: {MAX_FILE_MB}MB</p>
                                 </div>
-                                <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-shadow">
-                                    <div className="text-3xl mb-2">💬</div>
-                                    <div className="font-semibold text-gray-900 mb-1">Smart Chat</div>
-                                    <div className="text-sm text-gray-600">Ask questions about content</div>
+
+                                <div className="mt-4 flex flex-wrap justify-center gap-4">
+                                    {profilePicker}
+                                    {languagePicker}
                                 </div>
-                            </div>
-                        </div>
-                    </div>
-                )}
 
-                {/* Summary View */}
-                {activeView === 'summary' && (
-                    <div className="animate-fadeIn">
-                        <div className="flex justify-center mb-8">
-                            <div className="inline-flex rounded-xl border border-gray-200 bg-white p-1 shadow-sm">
-                                <button
-                                    onClick={() => setActiveView('summary')}
-                                    className="px-6 py-2.5 rounded-lg bg-indigo-600 text-white font-medium transition-all"
-                                >
-                                    📊 Summary
-                                </button>
-                                <button
-                                    onClick={() => setActiveView('chat')}
-                                    className="px-6 py-2.5 rounded-lg text-gray-700 hover:bg-gray-100 font-medium transition-all"
-                                >
-                                    💬 Chat
-                                </button>
+                                <div className="mt-8 grid grid-cols-1 sm:grid-cols-3 gap-4">
+                                    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-shadow">
+                                        <div className="text-3xl mb-2">📄</div>
+                                        <div className="font-semibold text-gray-900 mb-1">Extract Text</div>
+                                        <div className="text-sm text-gray-600">Automatic extraction from any format</div>
+                                    </div>
+                                    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-shadow">
+                                        <div className="text-3xl mb-2">📝</div>
+                                        <div className="font-semibold text-gray-900 mb-1">AI Summaries</div>
+                                        <div className="text-sm text-gray-600">Multiple summary formats</div>
+                                    </div>
+                                    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 hover:shadow-md transition-shadow">
+                                        <div className="text-3xl mb-2">💬</div>
+                                        <div className="font-semibold text-gray-900 mb-1">Smart Chat</div>
+                                        <div className="text-sm text-gray-600">Ask questions about content</div>
+                                    </div>
+                                </div>
                             </div>
                         </div>
+                    )}
 
-                        {loading ? (
-                            <div className="flex flex-col items-center justify-center py-20">
-                                <Loader2 className="w-12 h-12 text-indigo-600 animate-spin mb-4" />
-                                <p className="text-lg text-gray-700 font-medium">Analyzing document...</p>
-                                <p className="text-sm text-gray-500 mt-2">This may take a few moments</p>
-                            </div>
-                        ) : summaries ? (
-                            <div className="max-w-4xl mx-auto space-y-6">
-                                {/* Short Summary */}
-                                <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-200 hover:shadow-xl transition-shadow">
-                                    <div className="flex items-center mb-4">
-                                        <div className="bg-blue-100 p-2 rounded-lg mr-3">
-                                            <span className="text-2xl">📋</span>
-                                        </div>
-                                        <h3 className="text-xl font-bold text-gray-900">Quick Summary</h3>
-                                    </div>
-                                    <p className="text-gray-700 leading-relaxed">{summaries.short}</p>
-                                </div>
+                    <div className={viewerOpen ? 'grid grid-cols-1 xl:grid-cols-2 gap-6 items-start' : ''}>
+                        <div className="min-w-0">
+                            {/* Summary View */}
+                            {activeView === 'summary' && (
+                                <div className="animate-fadeIn">
+                                    <ViewTabs activeView={activeView} onChange={setActiveView} viewerOpen={viewerOpen} onToggleViewer={() => setShowViewer(!viewerOpen)} />
 
-                                {/* Detailed Summary */}
-                                <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden hover:shadow-xl transition-shadow">
-                                    <button
-                                        onClick={() => setExpandedSummary(expandedSummary === 'detailed' ? null : 'detailed')}
-                                        className="w-full flex items-center justify-between p-6 text-left hover:bg-gray-50 transition-colors"
-                                    >
-                                        <div className="flex items-center">
-                                            <div className="bg-green-100 p-2 rounded-lg mr-3">
-                                                <span className="text-2xl">📖</span>
-                                            </div>
-                                            <h3 className="text-xl font-bold text-gray-900">Detailed Summary</h3>
-                                        </div>
-                                        {expandedSummary === 'detailed' ?
-                                            <ChevronUp className="w-5 h-5 text-gray-500" /> :
-                                            <ChevronDown className="w-5 h-5 text-gray-500" />
-                                        }
-                                    </button>
-                                    {expandedSummary === 'detailed' && (
-                                        <div className="px-6 pb-6">
-                                            <p className="text-gray-700 leading-relaxed">{summaries.detailed}</p>
+                                    <DocumentTabs
+                                        documents={documents}
+                                        activeKey={activeDocumentKey}
+                                        onSelect={setActiveDocumentKey}
+                                        onRemove={removeDocument}
+                                        onAdd={() => fileInputRef.current?.click()}
+                                    />
+
+                                    {activeDocument?.status === 'error' && (
+                                        <div className="max-w-4xl mx-auto bg-red-50 border border-red-200 rounded-lg p-4">
+                                            <p className="text-red-800 text-sm">{activeDocument.error}</p>
                                         </div>
                                     )}
-                                </div>
 
-                                {/* Key Points */}
-                                <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-200 hover:shadow-xl transition-shadow">
-                                    <div className="flex items-center mb-4">
-                                        <div className="bg-purple-100 p-2 rounded-lg mr-3">
-                                            <span className="text-2xl">🎯</span>
+                                    {loading ? (
+                                        <div className="flex flex-col items-center justify-center py-20">
+                                            <Loader2 className="w-12 h-12 text-indigo-600 animate-spin mb-4" />
+                                            {processingProgress ? (
+                                                <>
+                                                    <p className="text-lg text-gray-700 font-medium">
+                                                        {describeProgress(processingProgress)}
+                                                    </p>
+                                                    {processingProgress.total > 0 && (
+                                                        <div className="w-64 h-2 bg-gray-200 rounded-full mt-4 overflow-hidden">
+                                                            <div
+                                                                className="h-full bg-indigo-600 transition-all"
+                                                                style={{ width: `${Math.round((processingProgress.current / processingProgress.total) * 100)}%` }}
+                                                            />
+                                                        </div>
+                                                    )}
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <p className="text-lg text-gray-700 font-medium">Analyzing document...</p>
+                                                    <p className="text-sm text-gray-500 mt-2">This may take a few moments</p>
+                                                </>
+                                            )}
                                         </div>
-                                        <h3 className="text-xl font-bold text-gray-900">Key Points</h3>
-                                    </div>
-                                    <ul className="space-y-3">
-                                        {summaries.bullets.map((bullet, idx) => (
-                                            <li key={idx} className="flex items-start group">
-                                                <span className="inline-flex items-center justify-center w-7 h-7 rounded-full bg-indigo-600 text-white text-sm font-bold mr-3 flex-shrink-0 mt-0.5 group-hover:bg-indigo-700 transition-colors">
-                                                    {idx + 1}
-                                                </span>
-                                                <span className="text-gray-700 pt-1">{bullet}</span>
-                                            </li>
-                                        ))}
-                                    </ul>
-                                </div>
+                                    ) : summaries ? (
+                                        <div className="max-w-4xl mx-auto space-y-6">
+                                            {/* Profile and Export */}
+                                            <div className="flex flex-wrap items-center justify-between gap-3">
+                                                <div className="flex flex-wrap items-center gap-2">
+                                                    {profilePicker}
+                                                    {languagePicker}
+                                                    <button
+                                                        onClick={() => reanalyzeDocument()}
+                                                        className="inline-flex items-center gap-1 px-3 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm transition-colors"
+                                                    >
+                                                        <RefreshCw className="w-4 h-4" />
+                                                        Re-analyze
+                                                    </button>
+                                                    <button
+                                                        onClick={() => reanalyzeDocument({ refresh: true })}
+                                                        title="Summarize again instead of reusing a cached summary"
+                                                        className="inline-flex items-center gap-1 px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                                                    >
+                                                        <Sparkles className="w-4 h-4" />
+                                                        Regenerate
+                                                    </button>
+                                                </div>
+                                                <div className="flex items-center gap-2 text-sm">
+                                                    <span className="text-gray-500 mr-1">Export:</span>
+                                                    {[['md', 'Markdown'], ['pdf', 'PDF'], ['docx', 'Word']].map(([format, label]) => (
+                                                        <button
+                                                            key={format}
+                                                            onClick={() => exportDocument(format)}
+                                                            className="inline-flex items-center gap-1 px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+                                                        >
+                                                            <Download className="w-4 h-4" />
+                                                            {label}
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                            </div>
+
+                                            {/* Languages */}
+                                            {languageName(activeDocument.language) && (
+                                                <p className="text-sm text-gray-500">
+                                                    Document language: {languageName(activeDocument.language)}
+                                                    {summaries.meta?.language && summaries.meta.language !== activeDocument.language && ` · summary written in ${languageName(summaries.meta.language)}`}
+                                                </p>
+                                            )}
+
+                                            {/* Cache */}
+                                            {summaries.meta?.cache?.hit && (
+                                                <p className="text-sm text-gray-500">
+                                                    Reused the summary made on {new Date(summaries.meta.cache.createdAt).toLocaleString()} for identical content. Regenerate to summarize it again.
+                                                </p>
+                                            )}
+
+                                            {/* Coverage */}
+                                            {summaries.meta?.mode === 'hierarchical' && (
+                                                <div className="bg-indigo-50 border border-indigo-200 rounded-lg px-4 py-3 text-sm text-indigo-800">
+                                                    Summarized section by section: {summaries.meta.summarizedChunks.length} of {summaries.meta.totalChunks} sections covering {Math.round(summaries.meta.coverage * 100)}% of the document.
+                                                    {summaries.meta.failedChunks.length > 0 && ` ${summaries.meta.failedChunks.length} section(s) could not be summarized.`}
+                                                </div>
+                                            )}
+                                            {summaries.meta?.mode === 'single' && summaries.meta.coverage < 1 && (
+                                                <div className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-800">
+                                                    Only the first {Math.round(summaries.meta.coverage * 100)}% of the document was summarized.
+                                                </div>
+                                            )}
 
-                                {/* Key Insights */}
-                                <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-200 hover:shadow-xl transition-shadow">
-                                    <div className="flex items-center mb-4">
-                                        <div className="bg-yellow-100 p-2 rounded-lg mr-3">
-                                            <span className="text-2xl">💡</span>
+                                            {/* Failed Sections */}
+                                            {summaries.meta?.failedSections?.length > 0 && (
+                                                <div className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-800">
+                                                    Some sections could not be generated reliably and are not shown: {summaries.meta.failedSections.map(key => summaryLayout.find(section => section.key === key)?.title || key).join(', ')}.
+                                                </div>
+                                            )}
+
+                                            {/* OCR Confidence */}
+                                            {ocrPages.length > 0 && (
+                                                <div className="bg-white border border-gray-200 rounded-lg px-4 py-3 text-sm text-gray-700">
+                                                    <span className="font-medium">Text recognized with OCR:</span>
+                                                    <span className="inline-flex flex-wrap gap-2 ml-2 align-middle">
+                                                        {ocrPages.map(({ page, confidence }) => (
+                                                            <span
+                                                                key={page}
+                                                                className={`px-2 py-0.5 rounded-full text-xs font-semibold ${confidence >= 80 ? 'bg-green-100 text-green-700' : confidence >= 60 ? 'bg-amber-100 text-amber-700' : 'bg-red-100 text-red-700'}`}
+                                                            >
+                                                                p. {page}: {confidence}%
+                                                            </span>
+                                                        ))}
+                                                    </span>
+                                                </div>
+                                            )}
+
+                                            <SummarySections
+                                                key={`${activeDocument.key}-${summaries.meta?.profile?.id}`}
+                                                summary={summaries}
+                                                sections={summaryLayout}
+                                                onOpenCitation={showCitation}
+                                                onLocateText={showText}
+                                            />
                                         </div>
-                                        <h3 className="text-xl font-bold text-gray-900">Key Insights</h3>
-                                    </div>
-                                    <div className="space-y-3">
-                                        {summaries.insights.map((insight, idx) => (
-                                            <div key={idx} className="bg-gradient-to-r from-amber-50 to-yellow-50 border-l-4 border-amber-400 p-4 rounded-r-lg hover:from-amber-100 hover:to-yellow-100 transition-colors">
-                                                <p className="text-gray-800">{insight}</p>
-                                            </div>
-                                        ))}
-                                    </div>
+                                    ) : null}
                                 </div>
+                            )}
 
-                                {/* Keywords */}
-                                <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-200 hover:shadow-xl transition-shadow">
-                                    <div className="flex items-center mb-4">
-                                        <div className="bg-pink-100 p-2 rounded-lg mr-3">
-                                            <span className="text-2xl">🔑</span>
-                                        </div>
-                                        <h3 className="text-xl font-bold text-gray-900">Important Keywords</h3>
-                                    </div>
-                                    <div className="flex flex-wrap gap-2">
-                                        {summaries.keywords.map((keyword, idx) => (
-                                            <span
-                                                key={idx}
-                                                className="px-4 py-2 bg-gradient-to-r from-indigo-500 to-purple-500 text-white rounded-full text-sm font-medium shadow-md hover:shadow-lg transform hover:scale-105 transition-all"
-                                            >
-                                                {keyword}
-                                            </span>
-                                        ))}
-                                    </div>
+                            {/* Data View */}
+                            {activeView === 'data' && (
+                                <div className="animate-fadeIn">
+                                    <ViewTabs activeView={activeView} onChange={setActiveView} viewerOpen={viewerOpen} onToggleViewer={() => setShowViewer(!viewerOpen)} />
+
+                                    <DocumentTabs
+                                        documents={documents}
+                                        activeKey={activeDocumentKey}
+                                        onSelect={setActiveDocumentKey}
+                                        onRemove={removeDocument}
+                                        onAdd={() => fileInputRef.current?.click()}
+                                    />
+
+                                    <StructuredDataPanel
+                                        document={activeDocument}
+                                        onExtract={extractStructuredData}
+                                        onDownload={downloadStructuredData}
+                                        onOpenCitation={showCitation}
+                                    />
                                 </div>
-                            </div>
-                        ) : null}
-                    </div>
-                )}
+                            )}
 
-                {/* Chat View */}
-                {activeView === 'chat' && (
-                    <div className="animate-fadeIn">
-                        <div className="flex justify-center mb-8">
-                            <div className="inline-flex rounded-xl border border-gray-200 bg-white p-1 shadow-sm">
-                                <button
-                                    onClick={() => setActiveView('summary')}
-                                    className="px-6 py-2.5 rounded-lg text-gray-700 hover:bg-gray-100 font-medium transition-all"
-                                >
-                                    📊 Summary
-                                </button>
-                                <button
-                                    onClick={() => setActiveView('chat')}
-                                    className="px-6 py-2.5 rounded-lg bg-indigo-600 text-white font-medium transition-all"
-                                >
-                                    💬 Chat
-                                </button>
-                            </div>
-                        </div>
+                            {/* Translate View */}
+                            {activeView === 'translate' && (
+                                <div className="animate-fadeIn">
+                                    <ViewTabs activeView={activeView} onChange={setActiveView} viewerOpen={viewerOpen} onToggleViewer={() => setShowViewer(!viewerOpen)} />
 
-                        <div className="max-w-4xl mx-auto">
-                            <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden flex flex-col" style={{ height: '70vh', maxHeight: '600px', minHeight: '400px' }}>
-                                {/* Chat Header */}
-                                <div className="bg-gradient-to-r from-indigo-600 to-purple-600 px-6 py-4 flex items-center space-x-3">
-                                    <MessageSquare className="w-6 h-6 text-white" />
-                                    <div>
-                                        <h3 className="text-lg font-semibold text-white">Chat with Your Document</h3>
-                                        <p className="text-xs text-indigo-100">Ask any question about the content</p>
-                                    </div>
+                                    <DocumentTabs
+                                        documents={documents}
+                                        activeKey={activeDocumentKey}
+                                        onSelect={setActiveDocumentKey}
+                                        onRemove={removeDocument}
+                                        onAdd={() => fileInputRef.current?.click()}
+                                    />
+
+                                    <TranslationPanel
+                                        key={activeDocument?.key}
+                                        document={activeDocument}
+                                        languages={languages}
+                                        onTranslate={translateDocument}
+                                    />
                                 </div>
+                            )}
+
+                            {/* Compare View */}
+                            {activeView === 'compare' && (
+                                <div className="animate-fadeIn">
+                                    <ViewTabs activeView={activeView} onChange={setActiveView} viewerOpen={viewerOpen} onToggleViewer={() => setShowViewer(!viewerOpen)} />
 
-                                {/* Messages */}
-                                <div className="flex-1 overflow-y-auto p-6 space-y-4 bg-gray-50">
-                                    {chatMessages.map((msg, idx) => (
-                                        <div
-                                            key={idx}
-                                            className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} animate-slideIn`}
-                                        >
-                                            <div
-                                                className={`max-w-[85%] sm:max-w-[75%] px-4 py-3 rounded-2xl shadow-sm ${msg.role === 'user'
-                                                    ? 'bg-indigo-600 text-white'
-                                                    : 'bg-white text-gray-900 border border-gray-200'
-                                                    }`}
-                                            >
-                                                <p className="text-sm leading-relaxed whitespace-pre-wrap">{msg.content}</p>
+                                    <ComparePanel
+                                        documents={library}
+                                        defaultTargetId={activeDocument?.documentId}
+                                        comparison={comparison}
+                                        comparing={Boolean(comparing)}
+                                        status={comparing && describeProgress(comparing)}
+                                        onCompare={compareDocuments}
+                                    />
+                                </div>
+                            )}
+
+                            {/* Chat View */}
+                            {activeView === 'chat' && (
+                                <div className="animate-fadeIn">
+                                    <ViewTabs activeView={activeView} onChange={setActiveView} viewerOpen={viewerOpen} onToggleViewer={() => setShowViewer(!viewerOpen)} />
+
+                                    <div className="max-w-4xl mx-auto">
+                                        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden flex flex-col" style={{ height: '70vh', maxHeight: '600px', minHeight: '400px' }}>
+                                            {/* Chat Header */}
+                                            <div className="bg-gradient-to-r from-indigo-600 to-purple-600 px-6 py-4 flex items-center space-x-3">
+                                                <MessageSquare className="w-6 h-6 text-white" />
+                                                <div>
+                                                    <h3 className="text-lg font-semibold text-white">
+                                                        {chatDocuments.length > 1 ? `Chat across ${chatDocuments.length} documents` : 'Chat with Your Document'}
+                                                    </h3>
+                                                    <p className="text-xs text-indigo-100">
+                                                        {chatDocuments.length > 1 ? 'Answers say which document each part comes from' : 'Ask any question about the content'}
+                                                    </p>
+                                                </div>
                                             </div>
-                                        </div>
-                                    ))}
-                                    {chatLoading && (
-                                        <div className="flex justify-start">
-                                            <div className="bg-white border border-gray-200 px-4 py-3 rounded-2xl shadow-sm">
-                                                <Loader2 className="w-5 h-5 text-indigo-600 animate-spin" />
+
+                                            {/* Messages */}
+                                            <div className="flex-1 overflow-y-auto p-6 space-y-4 bg-gray-50">
+                                                {chatMessages.map((msg, idx) => (
+                                                    <div
+                                                        key={idx}
+                                                        className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} animate-slideIn`}
+                                                    >
+                                                        <div
+                                                            onClick={msg.citations?.length ? () => showAnswerSource(msg) : undefined}
+                                                            className={`max-w-[85%] sm:max-w-[75%] px-4 py-3 rounded-2xl shadow-sm ${msg.role === 'user'
+                                                                ? 'bg-indigo-600 text-white'
+                                                                : 'bg-white text-gray-900 border border-gray-200'
+                                                                } ${msg.citations?.length ? 'cursor-pointer' : ''}`}
+                                                        >
+                                                            {msg.streaming && !msg.content ? (
+                                                                <Loader2 className="w-5 h-5 text-indigo-600 animate-spin" />
+                                                            ) : (
+                                                                <p className="text-sm leading-relaxed whitespace-pre-wrap">
+                                                                    {msg.content}
+                                                                    {msg.streaming && <span className="inline-block w-2 h-4 ml-0.5 bg-indigo-400 animate-pulse align-middle" />}
+                                                                </p>
+                                                            )}
+                                                            {msg.stopped && (
+                                                                <p className="mt-1 text-xs text-gray-400">Stopped</p>
+                                                            )}
+                                                            {msg.cached && (
+                                                                <p className="mt-1 text-xs text-gray-400">Answered from the cache</p>
+                                                            )}
+                                                            {msg.grounding && <GroundingIndicator grounding={msg.grounding} />}
+                                                            {msg.citations?.length > 0 && (
+                                                                <div className="mt-2">
+                                                                    <CitationBadges citations={msg.citations} onOpen={showCitation} showDocument={chatDocuments.length > 1} />
+                                                                </div>
+                                                            )}
+                                                            {msg.context && !msg.streaming && <ContextUsage context={msg.context} />}
+                                                        </div>
+                                                    </div>
+                                                ))}
+                                                <div ref={chatEndRef} />
                                             </div>
-                                        </div>
-                                    )}
-                                    <div ref={chatEndRef} />
-                                </div>
 
-                                {/* Input */}
-                                <div className="border-t border-gray-200 p-4 bg-white">
-                                    <div className="flex space-x-3">
-                                        <input
-                                            type="text"
-                                            value={chatInput}
-                                            onChange={(e) => setChatInput(e.target.value)}
-                                            onKeyDown={(e) => {
-                                                if (e.key === 'Enter' && !e.shiftKey) {
-                                                    e.preventDefault();
-                                                    handleChat();
-                                                }
-                                            }}
-                                            placeholder="Type your question here..."
-                                            className="flex-1 px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all"
-                                            disabled={chatLoading}
-                                        />
-                                        <button
-                                            onClick={handleChat}
-                                            disabled={chatLoading || !chatInput.trim()}
-                                            className="px-6 py-3 bg-indigo-600 text-white rounded-xl hover:bg-indigo-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 shadow-md hover:shadow-lg"
-                                        >
-                                            <Send className="w-5 h-5" />
-                                            <span className="hidden sm:inline font-medium">Send</span>
-                                        </button>
+                                            {/* Input */}
+                                            <div className="border-t border-gray-200 p-4 bg-white">
+                                                <div className="flex space-x-3">
+                                                    <input
+                                                        ref={chatInputRef}
+                                                        type="text"
+                                                        value={chatInput}
+                                                        onChange={(e) => setChatInput(e.target.value)}
+                                                        onKeyDown={(e) => {
+                                                            if (e.key === 'Enter' && !e.shiftKey) {
+                                                                e.preventDefault();
+                                                                handleChat();
+                                                            }
+                                                        }}
+                                                        placeholder="Type your question here..."
+                                                        className="flex-1 px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all"
+                                                        disabled={chatLoading}
+                                                    />
+                                                    {chatLoading ? (
+                                                        <button
+                                                            onClick={stopChat}
+                                                            className="px-6 py-3 bg-red-600 text-white rounded-xl hover:bg-red-700 transition-all flex items-center space-x-2 shadow-md hover:shadow-lg"
+                                                        >
+                                                            <Square className="w-5 h-5" />
+                                                            <span className="hidden sm:inline font-medium">Stop</span>
+                                                        </button>
+                                                    ) : (
+                                                        <button
+                                                            onClick={handleChat}
+                                                            disabled={!chatInput.trim() || !chatDocuments.length}
+                                                            className="px-6 py-3 bg-indigo-600 text-white rounded-xl hover:bg-indigo-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 shadow-md hover:shadow-lg"
+                                                        >
+                                                            <Send className="w-5 h-5" />
+                                                            <span className="hidden sm:inline font-medium">Send</span>
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </div>
+                                        </div>
                                     </div>
                                 </div>
-                            </div>
+                            )}
                         </div>
+
+                        {viewerOpen && (
+                            <DocumentViewer
+                                document={activeDocument}
+                                highlight={viewerHighlight}
+                                onAskAboutSelection={askAboutSelection}
+                                onClose={() => setShowViewer(false)}
+                            />
+                        )}
                     </div>
-                )}
-            </main>
+                </main>
+            </div>
+
+            <CitationModal citation={openCitation} onClose={() => setOpenCitation(null)} />
+            {showProfiles && (
+                <ProfileEditor
+                    profiles={profiles}
+                    onSave={saveProfile}
+                    onDelete={deleteProfile}
+                    onClose={() => setShowProfiles(false)}
+                />
+            )}
+            {showUsage && (
+                <UsageDashboard
+                    onLoad={(days) => apiRequest(`/api/usage?days=${days}`)}
+                    onLoadCalls={(day) => apiRequest(`/api/usage/calls?day=${day}`)}
+                    onClose={() => setShowUsage(false)}
+                />
+            )}
 
             <style>{`
         @keyframes fadeIn {
@@ -0,0 +1,272 @@
+import React from 'react';
+import { describe, expect, test, vi } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './App.jsx';
+import { setApiToken } from './lib/api.js';
+import { eventStream, json, mockBackend } from './test/mockBackend.js';
+
+// pdf.js needs canvas APIs jsdom does not have; these tests never open the viewer
+vi.mock('./lib/pdf.js', () => ({ loadStoredPdf: vi.fn(), renderPage: vi.fn(), highlightInTextLayer: vi.fn() }));
+
+const ACCOUNT = { id: 'user-1', name: 'Test User', role: 'user', rateLimitPerMinute: 20, dailyTokenBudget: 200000, tokensToday: 0 };
+
+const LAYOUT = [
+    { key: 'short', title: 'Quick Summary', type: 'text', display: 'card', icon: '📋' },
+    { key: 'bullets', title: 'Key Points', type: 'list', display: 'numbered', icon: '🎯' }
+];
+
+const TEXT = 'The Client shall pay $5,000 per month. Invoices are due within 30 days.';
+
+const STORED_DOCUMENT = {
+    id: 'doc-1',
+    name: 'agreement.txt',
+    text: TEXT,
+    pages: null,
+    ocr: [],
+    language: 'en',
+    file: { name: 'agreement.txt', mimeType: 'text/plain', size: TEXT.length },
+    summaries: {
+        short: 'A services agreement with monthly payments.',
+        bullets: ['The fee is $5,000 per month.'],
+        citations: {
+            bullets: [[{ documentId: 'doc-1', documentName: 'agreement.txt', page: null, snippet: 'The Client shall pay $5,000 per month.', start: 0, end: 38 }]]
+        },
+        meta: { mode: 'single', coverage: 1, failedSections: [], profile: { id: 'general', name: 'General summary', sections: LAYOUT } }
+    }
+};
+
+// The routes every signed-in screen loads
+const baseRoutes = (overrides = {}) => ({
+    'GET /api/account': () => json(ACCOUNT),
+    'GET /api/documents': () => json([]),
+    'GET /api/profiles': () => json([{ id: 'general', name: 'General summary', builtIn: true, sections: LAYOUT }]),
+    'GET /api/languages': () => json([{ code: 'en', name: 'English' }, { code: 'de', name: 'German' }]),
+    ...overrides
+});
+
+const uploadFile = async () => {
+    const input = await waitFor(() => {
+        const element = document.querySelector('input[type="file"]');
+        if (!element) throw new Error('No file input yet');
+        return element;
+    });
+    fireEvent.change(input, { target: { files: [new File([TEXT], 'agreement.txt', { type: 'text/plain' })] } });
+};
+
+const ask = (question) => {
+    const input = screen.getByPlaceholderText('Type your question here...');
+    fireEvent.change(input, { target: { value: question } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+};
+
+describe('App', () => {
+    test('asks for an API token when the backend rejects the request', async () => {
+        mockBackend({ 'GET /api/account': () => json({ error: 'API token required' }, 401) });
+
+        render(<App />);
+
+        expect(await screen.findByText('Sign in with your API token')).toBeTruthy();
+    });
+
+    test('uploads a document, shows its summary and answers a question about it', async () => {
+        setApiToken('dc_test');
+        const requests = mockBackend(baseRoutes({
+            'POST /api/uploads': () => json({ id: 'job-1', status: 'queued' }, 202),
+            'GET /api/jobs/job-1': () => json({ id: 'job-1', status: 'done', progress: null, result: { documentId: 'doc-1' } }),
+            'GET /api/documents/doc-1': () => json(STORED_DOCUMENT),
+            'POST /api/sessions': () => json({ id: 'session-1', documentIds: ['doc-1'], messages: [] }, 201),
+            'POST /api/chat/stream': () => eventStream([
+                ['context', { model: 'test/model', contextWindow: 8192, promptTokens: 300, responseTokens: 1024, earlierMessages: 0, summarizedMessages: 0, droppedMessages: 0, excerptsUsed: 1, excerptsDropped: 0 }],
+                ['token', { content: 'The client pays ' }],
+                ['token', { content: '$5,000 per month [1].' }],
+                ['done', { citations: [{ id: 1, documentId: 'doc-1', documentName: 'agreement.txt', page: null, snippet: 'The Client shall pay $5,000 per month.', start: 0, end: 38 }] }]
+            ])
+        }));
+
+        render(<App />);
+        await uploadFile();
+
+        expect(await screen.findByText('A services agreement with monthly payments.')).toBeTruthy();
+        expect(screen.getByText('The fee is $5,000 per month.')).toBeTruthy();
+        const upload = requests.find(request => request.path === '/api/uploads');
+        expect(upload.body.get('file').name).toBe('agreement.txt');
+        expect(upload.body.get('profileId')).toBe('general');
+        expect(upload.headers.Authorization).toBe('Bearer dc_test');
+
+        fireEvent.click(screen.getByText('💬 Chat'));
+        ask('How much does the client pay?');
+
+        expect(await screen.findByText(/The client pays \$5,000 per month/)).toBeTruthy();
+        const chat = requests.find(request => request.path === '/api/chat/stream');
+        expect(chat.body.documentIds).toEqual(['doc-1']);
+        expect(chat.body.sessionId).toBe('session-1');
+        expect(chat.body.messages.at(-1)).toEqual({ role: 'user', content: 'How much does the client pay?' });
+    });
+
+    test('regenerates a cached summary without the cache', async () => {
+        setApiToken('dc_test');
+        const cachedSummaries = { ...STORED_DOCUMENT.summaries, meta: { ...STORED_DOCUMENT.summaries.meta, cache: { id: 'entry-1', hit: true, createdAt: '2026-10-01T09:00:00.000Z' } } };
+        const requests = mockBackend(baseRoutes({
+            'POST /api/uploads': () => json({ id: 'job-1', status: 'queued' }, 202),
+            'GET /api/jobs/job-1': () => json({ id: 'job-1', status: 'done', progress: null, result: { documentId: 'doc-1' } }),
+            'GET /api/documents/doc-1': () => json({ ...STORED_DOCUMENT, summaries: cachedSummaries }),
+            'POST /api/summarize': () => json({ ...STORED_DOCUMENT.summaries, short: 'A freshly made summary of the agreement.' })
+        }));
+
+        render(<App />);
+        await uploadFile();
+
+        expect(await screen.findByText(/Reused the summary made on/)).toBeTruthy();
+        fireEvent.click(screen.getByText('Regenerate'));
+
+        expect(await screen.findByText('A freshly made summary of the agreement.')).toBeTruthy();
+        expect(screen.queryByText(/Reused the summary made on/)).toBeNull();
+        const summarize = requests.find(request => request.path === '/api/summarize');
+        expect(summarize.body).toMatchObject({ documentId: 'doc-1', refresh: true });
+    });
+
+    test('reports a failed summary and keeps the document for chat', async () => {
+        setApiToken('dc_test');
+        mockBackend(baseRoutes({
+            'POST /api/uploads': () => json({ id: 'job-1', status: 'queued' }, 202),
+            'GET /api/jobs/job-1': () => json({ id: 'job-1', status: 'failed', error: 'Failed to parse summary response', result: { documentId: 'doc-1' } }),
+            'GET /api/documents/doc-1': () => json({ ...STORED_DOCUMENT, summaries: null }),
+            'POST /api/sessions': () => json({ id: 'session-1', documentIds: ['doc-1'], messages: [] }, 201),
+            'POST /api/chat/stream': () => eventStream([['error', { error: 'Failed to generate chat response' }]])
+        }));
+
+        render(<App />);
+        await uploadFile();
+
+        expect(await screen.findByText('Error processing document: Failed to parse summary response')).toBeTruthy();
+
+        fireEvent.click(screen.getByText('💬 Chat'));
+        ask('How much does the client pay?');
+
+        expect(await screen.findByText('Sorry, I encountered an error. Please try again.')).toBeTruthy();
+    });
+
+    test('tells a rate-limited model apart from a failed one', async () => {
+        setApiToken('dc_test');
+        mockBackend(baseRoutes({
+            'POST /api/uploads': () => json({ id: 'job-1', status: 'queued' }, 202),
+            'GET /api/jobs/job-1': () => json({ id: 'job-1', status: 'failed', error: 'The AI model failed to answer', errorCode: 'model_error', retryAfter: null, result: { documentId: 'doc-1' } }),
+            'GET /api/documents/doc-1': () => json({ ...STORED_DOCUMENT, summaries: null }),
+            'POST /api/sessions': () => json({ id: 'session-1', documentIds: ['doc-1'], messages: [] }, 201),
+            'POST /api/chat/stream': () => json({ error: 'The AI model is rate limited', code: 'model_rate_limited', retryAfter: 30 }, 429)
+        }));
+
+        render(<App />);
+        await uploadFile();
+
+        expect(await screen.findByText('Error processing document: The AI model failed to answer. Please try again later.')).toBeTruthy();
+
+        fireEvent.click(screen.getByText('💬 Chat'));
+        ask('How much does the client pay?');
+
+        expect(await screen.findByText('The AI model is rate limited. Try again in 30 seconds.')).toBeTruthy();
+    });
+
+    test('marks how well chat answers are backed by the document', async () => {
+        setApiToken('dc_test');
+        const answers = [
+            [
+                ['token', { content: 'The client pays $5,000 per month [1] plus travel costs.' }],
+                ['done', {
+                    citations: [],
+                    grounding: {
+                        status: 'partly_supported',
+                        claims: [
+                            { text: 'The client pays $5,000 per month.', supported: true, excerpts: [1] },
+                            { text: 'The client pays travel costs.', supported: false, excerpts: [] }
+                        ]
+                    }
+                }]
+            ],
+            [
+                ['token', { content: 'The office is in Berlin [1].' }],
+                ['done', { citations: [], grounding: { status: 'not_found', claims: [] }, content: 'I could not find anything about this in the document.' }]
+            ]
+        ];
+        mockBackend(baseRoutes({
+            'POST /api/uploads': () => json({ id: 'job-1', status: 'queued' }, 202),
+            'GET /api/jobs/job-1': () => json({ id: 'job-1', status: 'done', progress: null, result: { documentId: 'doc-1' } }),
+            'GET /api/documents/doc-1': () => json(STORED_DOCUMENT),
+            'POST /api/sessions': () => json({ id: 'session-1', documentIds: ['doc-1'], messages: [] }, 201),
+            'POST /api/chat/stream': () => eventStream(answers.shift())
+        }));
+
+        render(<App />);
+        await uploadFile();
+        await screen.findByText('A services agreement with monthly payments.');
+        fireEvent.click(screen.getByText('💬 Chat'));
+
+        ask('How much does the client pay?');
+        expect(await screen.findByText('Partly supported by the document')).toBeTruthy();
+        expect(screen.getByText('The client pays travel costs.')).toBeTruthy();
+        expect(screen.queryByText('The client pays $5,000 per month.')).toBeNull();
+
+        ask('Where is the provider based?');
+        expect(await screen.findByText('I could not find anything about this in the document.')).toBeTruthy();
+        expect(screen.getByText('Not found in the document')).toBeTruthy();
+        expect(screen.queryByText(/Berlin/)).toBeNull();
+    });
+
+    test('extracts entities in a background job', async () => {
+        setApiToken('dc_test');
+        const requests = mockBackend(baseRoutes({
+            'POST /api/uploads': () => json({ id: 'job-1', status: 'queued' }, 202),
+            'GET /api/jobs/job-1': () => json({ id: 'job-1', status: 'done', progress: null, result: { documentId: 'doc-1' } }),
+            'GET /api/documents/doc-1': () => json(STORED_DOCUMENT),
+            'POST /api/structured-data': () => json({ id: 'job-2', status: 'queued' }, 202),
+            'GET /api/jobs/job-2': () => json({ id: 'job-2', status: 'done', progress: null, result: { documentId: 'doc-1' } }),
+            'GET /api/documents/doc-1/structured-data': () => json({
+                entities: [{ type: 'money', value: '$5,000', count: 1, pages: [], start: 21, citation: null }],
+                tables: [],
+                meta: { coverage: 1, failedChunks: [], tablesSupported: false }
+            })
+        }));
+
+        render(<App />);
+        await uploadFile();
+        await screen.findByText('A services agreement with monthly payments.');
+        fireEvent.click(screen.getByText('🧾 Data'));
+        fireEvent.click(screen.getByText('Extract entities and tables'));
+
+        expect(await screen.findByText('$5,000')).toBeTruthy();
+        expect(requests.find(request => request.path === '/api/structured-data').body).toEqual({ documentId: 'doc-1' });
+    });
+
+    test('shows model usage to admins', async () => {
+        setApiToken('dc_test');
+        const totals = { calls: 4, failedCalls: 1, abortedCalls: 0, parseFailures: 2, promptTokens: 1200, completionTokens: 300, totalTokens: 1500, cost: 0.0042, unpricedCalls: 0, averageLatencyMs: 850 };
+        const requests = mockBackend(baseRoutes({
+            'GET /api/account': () => json({ ...ACCOUNT, role: 'admin' }),
+            'GET /api/usage': () => json({
+                from: '2026-10-13',
+                to: '2026-10-19',
+                totals,
+                byDay: [{ day: '2026-10-19', ...totals }],
+                byDocument: [{ documentId: 'doc-1', name: 'agreement.txt', ...totals }],
+                byRoute: [{ route: 'POST /api/summarize', ...totals }],
+                byModel: [{ model: 'test/model', ...totals }]
+            }),
+            'GET /api/usage/calls': () => json([
+                { type: 'call', at: '2026-10-19T09:00:00.000Z', route: 'POST /api/summarize', documentIds: ['doc-1'], model: 'test/model', promptTokens: 100, completionTokens: 20, latencyMs: 1200, outcome: 'error', errorCode: 'model_timeout' }
+            ])
+        }));
+
+        render(<App />);
+        fireEvent.click(await screen.findByText('Usage'));
+
+        expect(await screen.findByText('agreement.txt')).toBeTruthy();
+        expect(screen.getByText('POST /api/summarize')).toBeTruthy();
+        expect(screen.getByText('Estimated cost').nextSibling.textContent).toBe('$0.0042');
+        expect(requests.find(request => request.path === '/api/usage').search).toBe('?days=30');
+
+        fireEvent.click(screen.getByTitle(/^2026-10-19: 4 calls/));
+
+        expect(await screen.findByText('model_timeout')).toBeTruthy();
+        expect(requests.find(request => request.path === '/api/usage/calls').search).toBe('?day=2026-10-19');
+    });
+});
@@ -0,0 +1,63 @@
+import React from 'react';
+import { X, Quote } from 'lucide-react';
+
+const citationLabel = (citation, showDocument) => {
+    const location = citation.page ? `p. ${citation.page}` : 'source';
+    return showDocument && citation.documentName ? `${citation.documentName}, ${location}` : location;
+};
+
+export function CitationBadges({ citations, onOpen, showDocument = false }) {
+    if (!citations?.length) return null;
+
+    return (
+        <span className="inline-flex flex-wrap gap-1 ml-2 align-middle">
+            {citations.map((citation, idx) => (
+                <button
+                    key={idx}
+                    type="button"
+                    onClick={(e) => {
+                        // Badges sit inside clickable items that open their first citation
+                        e.stopPropagation();
+                        onOpen(citation);
+                    }}
+                    title={citation.snippet}
+                    className="px-2 py-0.5 rounded-full bg-indigo-100 hover:bg-indigo-200 text-indigo-700 text-xs font-semibold transition-colors"
+                >
+                    {citation.id ? `[${citation.id}] ` : ''}{citationLabel(citation, showDocument)}
+                </button>
+            ))}
+        </span>
+    );
+}
+
+export function CitationModal({ citation, onClose }) {
+    if (!citation) return null;
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50"
+            onClick={onClose}
+        >
+            <div
+                className="bg-white rounded-2xl shadow-xl max-w-lg w-full p-6"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center space-x-2">
+                        <Quote className="w-5 h-5 text-indigo-600" />
+                        <h3 className="text-lg font-bold text-gray-900">
+                            {citation.page ? `Source passage, page ${citation.page}` : 'Source passage'}
+                            {citation.documentName && <span className="block text-sm font-normal text-gray-500">{citation.documentName}</span>}
+                        </h3>
+                    </div>
+                    <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-100 text-gray-500">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+                <blockquote className="border-l-4 border-indigo-400 bg-indigo-50 p-4 rounded-r-lg text-gray-800 leading-relaxed">
+                    “{citation.snippet}”
+                </blockquote>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { GitCompare, Loader2 } from 'lucide-react';
+
+const SECTION_STATUS = {
+    added: { label: 'Added', className: 'bg-green-100 text-green-800' },
+    removed: { label: 'Removed', className: 'bg-red-100 text-red-800' },
+    modified: { label: 'Changed', className: 'bg-amber-100 text-amber-800' },
+    unchanged: { label: 'Unchanged', className: 'bg-gray-100 text-gray-600' }
+};
+
+const CHANGE_TYPES = {
+    added: { label: 'Added', className: 'text-green-700' },
+    removed: { label: 'Removed', className: 'text-red-700' },
+    reworded: { label: 'Reworded', className: 'text-amber-700' },
+    cosmetic: { label: 'Cosmetic', className: 'text-gray-500' }
+};
+
+const selectClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Whether a section is worth showing when only meaningful changes are shown
+const isMeaningful = (section) => section.status !== 'unchanged'
+    && section.changes.some(change => change.type !== 'cosmetic');
+
+const ChangeItem = ({ change }) => {
+    const type = CHANGE_TYPES[change.type] || CHANGE_TYPES.reworded;
+    return (
+        <li className="border-t border-gray-100 pt-3 first:border-0 first:pt-0">
+            <div className={`text-xs font-semibold uppercase tracking-wide mb-1 ${type.className}`}>{type.label}</div>
+            {change.before && (
+                <p className="text-sm bg-red-50 text-red-900 line-through decoration-red-300 rounded px-3 py-2 mb-1 whitespace-pre-wrap">{change.before}</p>
+            )}
+            {change.after && (
+                <p className="text-sm bg-green-50 text-green-900 rounded px-3 py-2 mb-1 whitespace-pre-wrap">{change.after}</p>
+            )}
+            {change.explanation && <p className="text-sm text-gray-700 mt-2">{change.explanation}</p>}
+        </li>
+    );
+};
+
+const SectionCard = ({ section }) => {
+    const status = SECTION_STATUS[section.status];
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-5">
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+                <span className={`text-xs font-medium px-2 py-0.5 rounded-full ${status.className}`}>{status.label}</span>
+                <h4 className="font-semibold text-gray-900">{section.title}</h4>
+                {section.previousTitle && <span className="text-xs text-gray-500">was “{section.previousTitle}”</span>}
+            </div>
+            {section.changes.length > 0 && (
+                <ul className="space-y-3">
+                    {section.changes.map((change, i) => <ChangeItem key={i} change={change} />)}
+                </ul>
+            )}
+            {section.explanationFailed && (
+                <p className="text-xs text-amber-700 mt-3">The changes in this section could not be explained.</p>
+            )}
+        </div>
+    );
+};
+
+// Compares two library documents section by section. `documents` are
+// library entries ({ id, name }); `comparison` is the saved comparison shown
+// below the form, and `status` describes a comparison in progress.
+export default function ComparePanel({ documents, defaultTargetId, comparison, comparing, status, onCompare }) {
+    const [selectedTargetId, setTargetId] = useState('');
+    const [selectedBaseId, setBaseId] = useState('');
+    const [showAll, setShowAll] = useState(false);
+
+    // Until the user picks, the revised version is the active document and
+    // the original any other one; the library may load after this mounts
+    const targetId = selectedTargetId || defaultTargetId || documents[1]?.id || '';
+    const baseId = selectedBaseId || documents.find(doc => doc.id !== targetId)?.id || '';
+
+    if (documents.length < 2) {
+        return <p className="text-center text-gray-500 py-20">Upload another version of the document to compare the two.</p>;
+    }
+
+    const sections = !comparison ? [] : showAll ? comparison.sections : comparison.sections
+        .filter(isMeaningful)
+        .map(section => ({ ...section, changes: section.changes.filter(change => change.type !== 'cosmetic') }));
+    const hiddenCount = comparison ? comparison.sections.length - sections.length : 0;
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-6">
+            <div className="bg-white rounded-2xl shadow-lg border border-gray-200 p-6">
+                <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-4 items-end">
+                    <label className="block">
+                        <span className="block text-sm font-medium text-gray-700 mb-1">Original</span>
+                        <select value={baseId} onChange={e => setBaseId(e.target.value)} className={selectClass}>
+                            {documents.map(doc => <option key={doc.id} value={doc.id}>{doc.name}</option>)}
+                        </select>
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm font-medium text-gray-700 mb-1">Revised</span>
+                        <select value={targetId} onChange={e => setTargetId(e.target.value)} className={selectClass}>
+                            {documents.map(doc => <option key={doc.id} value={doc.id}>{doc.name}</option>)}
+                        </select>
+                    </label>
+                    <button
+                        onClick={() => onCompare(baseId, targetId)}
+                        disabled={comparing || !baseId || !targetId || baseId === targetId}
+                        className="inline-flex items-center justify-center gap-2 px-5 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium disabled:opacity-50"
+                    >
+                        {comparing ? <Loader2 className="w-4 h-4 animate-spin" /> : <GitCompare className="w-4 h-4" />}
+                        Compare
+                    </button>
+                </div>
+                {comparing && status && <p className="text-sm text-gray-600 mt-3">{status}</p>}
+            </div>
+
+            {comparison && (
+                <>
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-5">
+                        <h3 className="font-bold text-gray-900 mb-1">
+                            {comparison.baseName} → {comparison.targetName}
+                        </h3>
+                        <div className="flex flex-wrap gap-2 text-xs my-3">
+                            {['added', 'removed', 'modified', 'unchanged'].map(key => (
+                                <span key={key} className={`px-2 py-0.5 rounded-full ${SECTION_STATUS[key].className}`}>
+                                    {comparison.stats[key]} {SECTION_STATUS[key].label.toLowerCase()}
+                                </span>
+                            ))}
+                        </div>
+                        {comparison.overview && <p className="text-gray-700 leading-relaxed">{comparison.overview}</p>}
+                        {comparison.stats.unexplainedSections > 0 && (
+                            <p className="text-xs text-amber-700 mt-3">
+                                {comparison.stats.unexplainedSections} changed sections are shown without explanations.
+                            </p>
+                        )}
+                    </div>
+
+                    <div className="flex justify-end">
+                        <label className="inline-flex items-center gap-2 text-sm text-gray-600">
+                            <input type="checkbox" checked={showAll} onChange={e => setShowAll(e.target.checked)} />
+                            Show unchanged sections and cosmetic edits
+                        </label>
+                    </div>
+
+                    {sections.map((section, i) => <SectionCard key={i} section={section} />)}
+                    {!sections.length && (
+                        <p className="text-center text-gray-500 py-8">
+                            {hiddenCount ? 'No meaningful changes between the two versions.' : 'The document has no sections.'}
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+
+const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count));
+
+// How much of the model's context window a chat request used, and what was
+// trimmed to fit. `context` is the report sent by the backend.
+export default function ContextUsage({ context }) {
+    const { promptTokens, contextWindow, summarizedMessages, droppedMessages, excerptsDropped } = context;
+    const share = Math.min(promptTokens / contextWindow, 1);
+    const notes = [
+        summarizedMessages > 0 && `${summarizedMessages} earlier messages summarized`,
+        droppedMessages > 0 && `${droppedMessages} earlier messages left out`,
+        excerptsDropped > 0 && `${excerptsDropped} excerpts left out`
+    ].filter(Boolean);
+
+    return (
+        <div className="mt-2 text-xs text-gray-400" title={`Model: ${context.model}`}>
+            <div className="flex items-center gap-2">
+                <div className="w-16 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                        className={`h-full rounded-full ${share > 0.8 ? 'bg-amber-400' : 'bg-indigo-300'}`}
+                        style={{ width: `${share * 100}%` }}
+                    />
+                </div>
+                <span>{formatTokens(promptTokens)} / {formatTokens(contextWindow)} tokens of context</span>
+            </div>
+            {notes.length > 0 && <p className="mt-0.5">{notes.join(' · ')}</p>}
+        </div>
+    );
+}
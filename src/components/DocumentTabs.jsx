@@ -0,0 +1,47 @@
+import React from 'react';
+import { FileText, Loader2, Plus, X, AlertCircle } from 'lucide-react';
+
+export default function DocumentTabs({ documents, activeKey, onSelect, onRemove, onAdd }) {
+    return (
+        <div className="max-w-4xl mx-auto mb-6 flex flex-wrap items-center gap-2">
+            {documents.map(doc => (
+                <div
+                    key={doc.key}
+                    className={`flex items-center rounded-lg border text-sm font-medium transition-all ${doc.key === activeKey
+                        ? 'bg-indigo-50 border-indigo-400 text-indigo-700'
+                        : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
+                        }`}
+                >
+                    <button
+                        onClick={() => onSelect(doc.key)}
+                        className="flex items-center space-x-2 pl-3 pr-2 py-2 max-w-[16rem]"
+                        title={doc.name}
+                    >
+                        {doc.status === 'processing' ? (
+                            <Loader2 className="w-4 h-4 animate-spin flex-shrink-0" />
+                        ) : doc.status === 'error' ? (
+                            <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />
+                        ) : (
+                            <FileText className="w-4 h-4 flex-shrink-0" />
+                        )}
+                        <span className="truncate">{doc.name}</span>
+                    </button>
+                    <button
+                        onClick={() => onRemove(doc.key)}
+                        className="pr-2 py-2 text-gray-400 hover:text-red-500"
+                        title="Remove from workspace"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            ))}
+            <button
+                onClick={onAdd}
+                className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-dashed border-indigo-300 text-indigo-600 text-sm font-medium hover:bg-indigo-50 transition-all"
+            >
+                <Plus className="w-4 h-4" />
+                <span>Add document</span>
+            </button>
+        </div>
+    );
+}
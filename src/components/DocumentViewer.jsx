@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FileText, Loader2, MessageSquare, X } from 'lucide-react';
+import { highlightInTextLayer, loadStoredPdf, renderPage } from '../lib/pdf.js';
+
+// One PDF page, rendered once it scrolls into view. Highlights the cited
+// passage when the citation points at this page.
+function PdfPage({ pdf, pageNumber, width, aspect, highlight }) {
+    const containerRef = useRef(null);
+    const [visible, setVisible] = useState(false);
+    const [textLayer, setTextLayer] = useState(null);
+
+    useEffect(() => {
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) setVisible(true);
+        }, { rootMargin: '200px' });
+        observer.observe(containerRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        if (!visible) return;
+        let cancelled = false;
+        pdf.getPage(pageNumber)
+            .then(page => renderPage(page, containerRef.current, width))
+            .then(layer => !cancelled && setTextLayer(layer))
+            .catch(err => console.error(`Page ${pageNumber} render error:`, err));
+        return () => {
+            cancelled = true;
+        };
+    }, [visible, pdf, pageNumber, width]);
+
+    useEffect(() => {
+        if (!textLayer) return;
+        const onThisPage = highlight?.page === pageNumber;
+        const marked = highlightInTextLayer(textLayer, onThisPage ? highlight.snippet : '');
+        if (onThisPage) (marked || containerRef.current).scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [textLayer, highlight, pageNumber]);
+
+    return (
+        <div
+            ref={containerRef}
+            data-page={pageNumber}
+            className="relative mx-auto bg-white shadow-sm"
+            style={{ width, height: textLayer ? undefined : width * aspect }}
+        />
+    );
+}
+
+function PdfPages({ documentId, width, highlight }) {
+    const [pdf, setPdf] = useState(null);
+    const [aspect, setAspect] = useState(1.414);
+    const [error, setError] = useState('');
+    const pagesRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let loaded = null;
+        setPdf(null);
+        setError('');
+        loadStoredPdf(documentId)
+            .then(async doc => {
+                loaded = doc;
+                const { width: pageWidth, height } = (await doc.getPage(1)).getViewport({ scale: 1 });
+                if (cancelled) return;
+                setAspect(height / pageWidth);
+                setPdf(doc);
+            })
+            .catch(err => !cancelled && setError(err.message));
+        return () => {
+            cancelled = true;
+            loaded?.destroy();
+        };
+    }, [documentId]);
+
+    // Bring the cited page into view so it renders; the page then scrolls to the passage
+    useEffect(() => {
+        if (!pdf || !highlight?.page) return;
+        pagesRef.current?.querySelector(`[data-page="${highlight.page}"]`)?.scrollIntoView({ block: 'start' });
+    }, [pdf, highlight]);
+
+    if (error) return <p className="text-sm text-red-600 p-4">Could not open the PDF: {error}</p>;
+    if (!pdf) return <Loader2 className="w-8 h-8 text-indigo-600 animate-spin mx-auto my-20" />;
+
+    return (
+        <div ref={pagesRef} className="space-y-4">
+            {Array.from({ length: pdf.numPages }, (_, i) => (
+                <PdfPage key={i} pdf={pdf} pageNumber={i + 1} width={width} aspect={aspect} highlight={highlight} />
+            ))}
+        </div>
+    );
+}
+
+// Extracted text, for formats without a renderable original
+function TextPages({ text, highlight }) {
+    const markRef = useRef(null);
+
+    useEffect(() => {
+        markRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [highlight]);
+
+    const { start, end } = highlight || {};
+    const marked = highlight && start >= 0 && end <= text.length;
+
+    return (
+        <div className="bg-white shadow-sm rounded-lg p-6 text-sm text-gray-800 leading-relaxed whitespace-pre-wrap">
+            {marked ? (
+                <>
+                    {text.slice(0, start)}
+                    <mark ref={markRef} className="bg-yellow-200 rounded px-0.5">{text.slice(start, end)}</mark>
+                    {text.slice(end)}
+                </>
+            ) : text}
+        </div>
+    );
+}
+
+// Shows a workspace document (the original PDF, or the extracted text for
+// other formats) and highlights `highlight`, a citation into it. Selected
+// text can be passed to the chat with `onAskAboutSelection(text)`.
+export default function DocumentViewer({ document, highlight, onAskAboutSelection, onClose }) {
+    const scrollRef = useRef(null);
+    const [width, setWidth] = useState(0);
+    const [selection, setSelection] = useState(null);
+    const isPdf = document.file?.mimeType === 'application/pdf';
+    const documentHighlight = highlight?.documentId === document.documentId ? highlight : null;
+
+    useEffect(() => {
+        const measure = () => setWidth(scrollRef.current.clientWidth - 32);
+        measure();
+        window.addEventListener('resize', measure);
+        return () => window.removeEventListener('resize', measure);
+    }, []);
+
+    useEffect(() => {
+        setSelection(null);
+    }, [document.documentId]);
+
+    // Offers "Ask about this" next to a text selection inside the viewer
+    const captureSelection = () => {
+        const selected = window.getSelection();
+        const text = selected?.toString().trim();
+        if (!text || !scrollRef.current.contains(selected.anchorNode)) {
+            setSelection(null);
+            return;
+        }
+        const rect = selected.getRangeAt(0).getBoundingClientRect();
+        const box = scrollRef.current.getBoundingClientRect();
+        setSelection({
+            text,
+            top: Math.max(rect.top - box.top + scrollRef.current.scrollTop - 40, 0),
+            left: Math.min(Math.max(rect.left - box.left, 0), box.width - 150)
+        });
+    };
+
+    const ask = () => {
+        onAskAboutSelection(selection.text);
+        setSelection(null);
+        window.getSelection()?.removeAllRanges();
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden flex flex-col xl:sticky xl:top-4" style={{ height: '80vh' }}>
+            <div className="flex items-center justify-between gap-2 px-4 py-3 border-b border-gray-200">
+                <div className="flex items-center gap-2 min-w-0">
+                    <FileText className="w-5 h-5 text-indigo-600 flex-shrink-0" />
+                    <span className="font-medium text-gray-900 truncate">{document.name}</span>
+                    {documentHighlight?.page && <span className="text-xs text-gray-500 flex-shrink-0">p. {documentHighlight.page}</span>}
+                </div>
+                <button onClick={onClose} title="Close viewer" className="p-1 rounded-lg hover:bg-gray-100 text-gray-500">
+                    <X className="w-5 h-5" />
+                </button>
+            </div>
+
+            <div ref={scrollRef} onMouseUp={captureSelection} className="relative flex-1 overflow-y-auto bg-gray-100 p-4">
+                {width > 0 && (isPdf
+                    ? <PdfPages documentId={document.documentId} width={width} highlight={documentHighlight} />
+                    : <TextPages text={document.text || ''} highlight={documentHighlight} />)}
+
+                {selection && (
+                    <button
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={ask}
+                        className="absolute z-10 inline-flex items-center gap-1 px-3 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg shadow-lg"
+                        style={{ top: selection.top, left: selection.left }}
+                    >
+                        <MessageSquare className="w-4 h-4" />
+                        Ask about this
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
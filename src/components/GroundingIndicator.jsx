@@ -0,0 +1,32 @@
+import React from 'react';
+import { ShieldAlert, ShieldCheck, ShieldClose, ShieldQuestion } from 'lucide-react';
+
+const STATUSES = {
+    supported: { icon: ShieldCheck, label: 'Supported by the document', className: 'text-green-700' },
+    partly_supported: { icon: ShieldAlert, label: 'Partly supported by the document', className: 'text-amber-700' },
+    unsupported: { icon: ShieldClose, label: 'Not supported by the document', className: 'text-red-700' },
+    no_claims: { icon: ShieldQuestion, label: 'Nothing to check against the document', className: 'text-gray-400' },
+    not_found: { icon: ShieldQuestion, label: 'Not found in the document', className: 'text-gray-500' },
+    unchecked: { icon: ShieldQuestion, label: 'Could not be checked against the document', className: 'text-gray-400' }
+};
+
+// How well a chat answer is backed by the document, from the backend's
+// grounding check, with the claims no excerpt supports
+export default function GroundingIndicator({ grounding }) {
+    const { icon: Icon, label, className } = STATUSES[grounding.status] || STATUSES.unchecked;
+    const unsupported = grounding.claims.filter(claim => !claim.supported);
+
+    return (
+        <div className={`mt-2 text-xs ${className}`}>
+            <p className="flex items-center gap-1">
+                <Icon className="w-3.5 h-3.5" />
+                {label}
+            </p>
+            {unsupported.length > 0 && (
+                <ul className="mt-1 ml-5 list-disc space-y-0.5">
+                    {unsupported.map((claim, idx) => <li key={idx}>{claim.text}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+}
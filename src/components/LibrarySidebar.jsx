@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { Library, FileText, Pencil, Trash2, Check, X } from 'lucide-react';
+
+export default function LibrarySidebar({ documents, openDocumentIds, onOpen, onRename, onDelete }) {
+    const [editingId, setEditingId] = useState(null);
+    const [draftName, setDraftName] = useState('');
+
+    const startRename = (doc) => {
+        setEditingId(doc.id);
+        setDraftName(doc.name);
+    };
+
+    const submitRename = async () => {
+        if (draftName.trim()) {
+            await onRename(editingId, draftName.trim());
+        }
+        setEditingId(null);
+    };
+
+    return (
+        <aside className="w-64 flex-shrink-0">
+            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden sticky top-8">
+                <div className="flex items-center space-x-2 px-4 py-3 border-b border-gray-200">
+                    <Library className="w-5 h-5 text-indigo-600" />
+                    <h2 className="font-semibold text-gray-900">Library</h2>
+                </div>
+
+                {documents.length === 0 ? (
+                    <p className="px-4 py-6 text-sm text-gray-500">Documents you upload are saved here.</p>
+                ) : (
+                    <ul className="max-h-[70vh] overflow-y-auto divide-y divide-gray-100">
+                        {documents.map(doc => (
+                            <li
+                                key={doc.id}
+                                className={`group px-3 py-2 ${openDocumentIds.includes(doc.id) ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+                            >
+                                {editingId === doc.id ? (
+                                    <div className="flex items-center space-x-1">
+                                        <input
+                                            autoFocus
+                                            value={draftName}
+                                            onChange={(e) => setDraftName(e.target.value)}
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Enter') submitRename();
+                                                if (e.key === 'Escape') setEditingId(null);
+                                            }}
+                                            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                        />
+                                        <button onClick={submitRename} className="p-1 text-green-600 hover:bg-green-50 rounded" title="Save">
+                                            <Check className="w-4 h-4" />
+                                        </button>
+                                        <button onClick={() => setEditingId(null)} className="p-1 text-gray-500 hover:bg-gray-100 rounded" title="Cancel">
+                                            <X className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <div className="flex items-center">
+                                        <button
+                                            onClick={() => onOpen(doc.id)}
+                                            className="flex-1 min-w-0 flex items-start space-x-2 text-left"
+                                            title={doc.name}
+                                        >
+                                            <FileText className="w-4 h-4 text-gray-400 mt-0.5 flex-shrink-0" />
+                                            <span className="min-w-0">
+                                                <span className="block text-sm font-medium text-gray-800 truncate">{doc.name}</span>
+                                                <span className="block text-xs text-gray-400">
+                                                    {new Date(doc.updatedAt).toLocaleDateString()}
+                                                    {doc.pageCount ? ` · ${doc.pageCount} pages` : ''}
+                                                </span>
+                                            </span>
+                                        </button>
+                                        <div className="flex opacity-0 group-hover:opacity-100 transition-opacity">
+                                            <button onClick={() => startRename(doc)} className="p-1 text-gray-400 hover:text-indigo-600" title="Rename">
+                                                <Pencil className="w-4 h-4" />
+                                            </button>
+                                            <button onClick={() => onDelete(doc.id)} className="p-1 text-gray-400 hover:text-red-600" title="Delete">
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </aside>
+    );
+}
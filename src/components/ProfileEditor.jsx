@@ -0,0 +1,276 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Copy, ArrowUp, ArrowDown, SlidersHorizontal } from 'lucide-react';
+
+const DISPLAYS = {
+    text: [['card', 'Card'], ['collapsible', 'Collapsible']],
+    list: [['numbered', 'Numbered'], ['callout', 'Callouts']],
+    tags: [['chips', 'Chips']]
+};
+
+const blankSection = (index) => ({
+    key: `section${index + 1}`,
+    title: 'New section',
+    type: 'list',
+    description: 'item',
+    display: 'numbered',
+    icon: '🎯',
+    items: 5,
+    minItems: 1,
+    maxItems: 10
+});
+
+const BLANK_PROFILE = {
+    name: 'New profile',
+    description: '',
+    instructions: 'Analyze this document and provide a structured summary.',
+    sections: [{ key: 'summary', title: 'Summary', type: 'text', description: '2-3 sentence summary', display: 'card', icon: '📋', minLength: 20, maxLength: 1000 }]
+};
+
+// Only the fields the backend accepts, in case the draft came from a stored profile
+const toDefinition = ({ name, description, instructions, sections }) => ({
+    name,
+    description,
+    instructions,
+    sections: sections.map(section => {
+        const { key, title, type, description, display, icon } = section;
+        const limits = type === 'text'
+            ? { minLength: Number(section.minLength), maxLength: Number(section.maxLength) }
+            : { items: Number(section.items), minItems: Number(section.minItems), maxItems: Number(section.maxItems) };
+        return { key, title, type, description, display, icon, ...limits };
+    })
+});
+
+// Lists built-in and custom analysis profiles. Built-in profiles are read
+// only but can be duplicated into an editable copy.
+export default function ProfileEditor({ profiles, onSave, onDelete, onClose }) {
+    const [selectedId, setSelectedId] = useState(profiles[0]?.id);
+    const [draft, setDraft] = useState(profiles[0] || BLANK_PROFILE);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const readOnly = Boolean(draft.builtIn);
+
+    const select = (profile) => {
+        setSelectedId(profile.id);
+        setDraft(profile);
+        setError('');
+    };
+
+    const startNew = (template = BLANK_PROFILE) => {
+        setSelectedId(null);
+        setDraft({ ...toDefinition(template), name: template === BLANK_PROFILE ? template.name : `${template.name} (copy)` });
+        setError('');
+    };
+
+    const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+    const setSection = (index, changes) => {
+        setDraft(prev => ({
+            ...prev,
+            sections: prev.sections.map((section, i) => {
+                if (i !== index) return section;
+                const updated = { ...section, ...changes };
+                // Switching type resets the display and limits to that type's defaults
+                if (changes.type && changes.type !== section.type) {
+                    const defaults = changes.type === 'text'
+                        ? { minLength: 20, maxLength: 3000 }
+                        : { items: 5, minItems: 1, maxItems: 10 };
+                    return { ...updated, ...defaults, display: DISPLAYS[changes.type][0][0] };
+                }
+                return updated;
+            })
+        }));
+    };
+
+    const moveSection = (index, offset) => {
+        setDraft(prev => {
+            const sections = [...prev.sections];
+            const [moved] = sections.splice(index, 1);
+            sections.splice(index + offset, 0, moved);
+            return { ...prev, sections };
+        });
+    };
+
+    const removeSection = (index) => {
+        setDraft(prev => ({ ...prev, sections: prev.sections.filter((_, i) => i !== index) }));
+    };
+
+    const save = async () => {
+        setSaving(true);
+        setError('');
+        try {
+            const saved = await onSave(selectedId, toDefinition(draft));
+            select(saved);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const remove = async () => {
+        if (!window.confirm(`Delete the profile "${draft.name}"?`)) return;
+        try {
+            await onDelete(selectedId);
+            const remaining = profiles.filter(profile => profile.id !== selectedId);
+            if (remaining.length) select(remaining[0]);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-50 disabled:text-gray-600';
+
+    return (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" onClick={onClose}>
+            <div
+                className="bg-white rounded-2xl shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+                    <div className="flex items-center space-x-2">
+                        <SlidersHorizontal className="w-5 h-5 text-indigo-600" />
+                        <h3 className="text-lg font-bold text-gray-900">Analysis profiles</h3>
+                    </div>
+                    <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-100 text-gray-500">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="flex flex-1 min-h-0">
+                    <div className="w-56 border-r border-gray-200 overflow-y-auto p-3 space-y-1">
+                        {profiles.map(profile => (
+                            <button
+                                key={profile.id}
+                                onClick={() => select(profile)}
+                                className={`w-full text-left px-3 py-2 rounded-lg text-sm ${profile.id === selectedId ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-700 hover:bg-gray-50'}`}
+                            >
+                                {profile.name}
+                                {profile.builtIn && <span className="block text-xs text-gray-400">Built-in</span>}
+                            </button>
+                        ))}
+                        <button
+                            onClick={() => startNew()}
+                            className="w-full flex items-center space-x-1 px-3 py-2 rounded-lg text-sm text-indigo-600 hover:bg-indigo-50"
+                        >
+                            <Plus className="w-4 h-4" />
+                            <span>New profile</span>
+                        </button>
+                    </div>
+
+                    <div className="flex-1 overflow-y-auto p-6 space-y-4">
+                        {readOnly && (
+                            <div className="flex items-center justify-between bg-gray-50 border border-gray-200 rounded-lg px-4 py-3 text-sm text-gray-600">
+                                <span>Built-in profiles cannot be edited.</span>
+                                <button
+                                    onClick={() => startNew(draft)}
+                                    className="inline-flex items-center gap-1 px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                                >
+                                    <Copy className="w-4 h-4" />
+                                    Duplicate
+                                </button>
+                            </div>
+                        )}
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <label className="block text-sm font-medium text-gray-700">
+                                Name
+                                <input className={`${inputClass} mt-1`} disabled={readOnly} value={draft.name} onChange={(e) => setField('name', e.target.value)} />
+                            </label>
+                            <label className="block text-sm font-medium text-gray-700">
+                                Description
+                                <input className={`${inputClass} mt-1`} disabled={readOnly} value={draft.description || ''} onChange={(e) => setField('description', e.target.value)} />
+                            </label>
+                        </div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Instructions for the model
+                            <textarea rows={3} className={`${inputClass} mt-1`} disabled={readOnly} value={draft.instructions} onChange={(e) => setField('instructions', e.target.value)} />
+                        </label>
+
+                        <div>
+                            <div className="text-sm font-medium text-gray-700 mb-2">Sections</div>
+                            <div className="space-y-3">
+                                {draft.sections.map((section, index) => (
+                                    <div key={index} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                                        <div className="grid grid-cols-12 gap-2">
+                                            <input className={`${inputClass} col-span-1 text-center`} disabled={readOnly} value={section.icon || ''} onChange={(e) => setSection(index, { icon: e.target.value })} title="Icon" />
+                                            <input className={`${inputClass} col-span-4`} disabled={readOnly} value={section.title} onChange={(e) => setSection(index, { title: e.target.value })} placeholder="Title" />
+                                            <input className={`${inputClass} col-span-3 font-mono`} disabled={readOnly} value={section.key} onChange={(e) => setSection(index, { key: e.target.value })} placeholder="json_key" title="JSON key" />
+                                            <select className={`${inputClass} col-span-2`} disabled={readOnly} value={section.type} onChange={(e) => setSection(index, { type: e.target.value })}>
+                                                <option value="text">Text</option>
+                                                <option value="list">List</option>
+                                                <option value="tags">Tags</option>
+                                            </select>
+                                            <select className={`${inputClass} col-span-2`} disabled={readOnly} value={section.display} onChange={(e) => setSection(index, { display: e.target.value })}>
+                                                {DISPLAYS[section.type].map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                            </select>
+                                        </div>
+                                        <div className="grid grid-cols-12 gap-2 items-center">
+                                            <input
+                                                className={`${inputClass} col-span-6`}
+                                                disabled={readOnly}
+                                                value={section.description}
+                                                onChange={(e) => setSection(index, { description: e.target.value })}
+                                                placeholder={section.type === 'text' ? 'What to write' : 'What each item is'}
+                                            />
+                                            {section.type === 'text' ? (
+                                                <>
+                                                    <span className="col-span-1 text-xs text-gray-500 text-right">Chars</span>
+                                                    <input type="number" className={`${inputClass} col-span-2`} disabled={readOnly} value={section.minLength} onChange={(e) => setSection(index, { minLength: e.target.value })} title="Minimum characters" />
+                                                    <input type="number" className={`${inputClass} col-span-2`} disabled={readOnly} value={section.maxLength} onChange={(e) => setSection(index, { maxLength: e.target.value })} title="Maximum characters" />
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <span className="col-span-1 text-xs text-gray-500 text-right">Items</span>
+                                                    <input type="number" className={`${inputClass} col-span-1`} disabled={readOnly} value={section.minItems} onChange={(e) => setSection(index, { minItems: e.target.value })} title="Minimum items" />
+                                                    <input type="number" className={`${inputClass} col-span-1`} disabled={readOnly} value={section.items} onChange={(e) => setSection(index, { items: e.target.value })} title="Usual number of items" />
+                                                    <input type="number" className={`${inputClass} col-span-2`} disabled={readOnly} value={section.maxItems} onChange={(e) => setSection(index, { maxItems: e.target.value })} title="Maximum items" />
+                                                </>
+                                            )}
+                                            {!readOnly && (
+                                                <div className="col-span-1 flex justify-end">
+                                                    <button disabled={index === 0} onClick={() => moveSection(index, -1)} className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"><ArrowUp className="w-4 h-4" /></button>
+                                                    <button disabled={index === draft.sections.length - 1} onClick={() => moveSection(index, 1)} className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"><ArrowDown className="w-4 h-4" /></button>
+                                                    <button disabled={draft.sections.length === 1} onClick={() => removeSection(index)} className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-30"><Trash2 className="w-4 h-4" /></button>
+                                                </div>
+                                            )}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                            {!readOnly && (
+                                <button
+                                    onClick={() => setField('sections', [...draft.sections, blankSection(draft.sections.length)])}
+                                    className="mt-3 inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-700"
+                                >
+                                    <Plus className="w-4 h-4" />
+                                    Add section
+                                </button>
+                            )}
+                        </div>
+
+                        {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</p>}
+                    </div>
+                </div>
+
+                {!readOnly && (
+                    <div className="flex items-center justify-between px-6 py-4 border-t border-gray-200">
+                        {selectedId ? (
+                            <button onClick={remove} className="inline-flex items-center gap-1 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg">
+                                <Trash2 className="w-4 h-4" />
+                                Delete
+                            </button>
+                        ) : <span />}
+                        <button
+                            onClick={save}
+                            disabled={saving}
+                            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-medium disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : 'Save profile'}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
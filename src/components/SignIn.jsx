@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { FileText, KeyRound, Loader2 } from 'lucide-react';
+
+// Asks for the API token an administrator issued. `onSignIn(token)` resolves
+// when the token works and throws with the server's message when it does not.
+export default function SignIn({ onSignIn }) {
+    const [token, setToken] = useState('');
+    const [error, setError] = useState('');
+    const [checking, setChecking] = useState(false);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        setChecking(true);
+        setError('');
+        try {
+            await onSignIn(token.trim());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center px-4">
+            <form onSubmit={submit} className="w-full max-w-md bg-white rounded-2xl shadow-lg border border-gray-200 p-8">
+                <div className="flex items-center space-x-3 mb-6">
+                    <div className="bg-indigo-600 p-2 rounded-lg">
+                        <FileText className="w-6 h-6 text-white" />
+                    </div>
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900">DocuChat AI</h1>
+                        <p className="text-xs text-gray-500">Sign in with your API token</p>
+                    </div>
+                </div>
+
+                <label htmlFor="api-token" className="block text-sm font-medium text-gray-700 mb-1">API token</label>
+                <div className="relative mb-4">
+                    <KeyRound className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                    <input
+                        id="api-token"
+                        type="password"
+                        value={token}
+                        onChange={(e) => setToken(e.target.value)}
+                        placeholder="dc_..."
+                        autoFocus
+                        className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                </div>
+
+                {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+                <button
+                    type="submit"
+                    disabled={!token.trim() || checking}
+                    className="w-full flex items-center justify-center gap-2 px-4 py-2.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium disabled:opacity-50"
+                >
+                    {checking && <Loader2 className="w-4 h-4 animate-spin" />}
+                    Sign in
+                </button>
+                <p className="text-xs text-gray-500 mt-4">Ask your administrator for a token. It is kept in this browser until you sign out.</p>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,155 @@
+import React from 'react';
+import { Download, Loader2, RefreshCw, Table2, Users } from 'lucide-react';
+
+const ENTITY_GROUPS = [
+    { type: 'person', title: 'People', icon: '👤' },
+    { type: 'organization', title: 'Organizations', icon: '🏢' },
+    { type: 'date', title: 'Dates', icon: '📅' },
+    { type: 'money', title: 'Amounts', icon: '💰' }
+];
+
+const pageLabel = (pages) => {
+    if (!pages.length) return null;
+    return pages.length === 1 ? `p. ${pages[0]}` : `pp. ${pages.slice(0, 3).join(', ')}${pages.length > 3 ? '…' : ''}`;
+};
+
+const buttonClass = 'inline-flex items-center gap-1 px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50';
+
+// Entities and tables extracted from the active document. `document` is a
+// workspace entry; its `structured` field holds the extraction result and
+// `extracting` the progress text of an extraction being made.
+export default function StructuredDataPanel({ document, onExtract, onDownload, onOpenCitation }) {
+    if (!document?.documentId) {
+        return <p className="text-center text-gray-500 py-20">The document is still being processed.</p>;
+    }
+
+    const { structured, extracting } = document;
+
+    if (!structured) {
+        return (
+            <div className="max-w-xl mx-auto bg-white rounded-2xl shadow-lg border border-gray-200 p-8 text-center">
+                <Users className="w-10 h-10 text-indigo-500 mx-auto mb-3" />
+                <h3 className="text-lg font-bold text-gray-900 mb-2">Entities and tables</h3>
+                <p className="text-sm text-gray-600 mb-6">
+                    Find the people, organizations, dates and amounts in this document, with the pages they appear on, and turn tables in the PDF into rows and columns.
+                </p>
+                <button
+                    onClick={onExtract}
+                    disabled={Boolean(extracting)}
+                    className="inline-flex items-center gap-2 px-5 py-2.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium disabled:opacity-50"
+                >
+                    {extracting && <Loader2 className="w-4 h-4 animate-spin" />}
+                    {extracting ? 'Extracting...' : 'Extract entities and tables'}
+                </button>
+                {extracting && <p className="text-sm text-gray-600 mt-3">{extracting}</p>}
+            </div>
+        );
+    }
+
+    const { entities, tables, meta } = structured;
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center gap-3">
+                    <button onClick={onExtract} disabled={Boolean(extracting)} className={buttonClass}>
+                        {extracting ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                        Extract again
+                    </button>
+                    {extracting && <span className="text-sm text-gray-600">{extracting}</span>}
+                </div>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => onDownload('csv')} className={buttonClass}>
+                        <Download className="w-4 h-4" />
+                        Entities CSV
+                    </button>
+                    <button onClick={() => onDownload('json')} className={buttonClass}>
+                        <Download className="w-4 h-4" />
+                        All as JSON
+                    </button>
+                </div>
+            </div>
+
+            {meta.coverage < 1 && (
+                <div className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-800">
+                    Entities were extracted from {Math.round(meta.coverage * 100)}% of the document.
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {ENTITY_GROUPS.map(group => {
+                    const items = entities.filter(entity => entity.type === group.type);
+                    return (
+                        <div key={group.type} className="bg-white rounded-2xl shadow-lg border border-gray-200 p-5">
+                            <h3 className="flex items-center gap-2 font-bold text-gray-900 mb-3">
+                                <span className="text-xl">{group.icon}</span>
+                                {group.title}
+                                <span className="text-sm font-normal text-gray-400">{items.length}</span>
+                            </h3>
+                            {items.length === 0 ? (
+                                <p className="text-sm text-gray-500">None found.</p>
+                            ) : (
+                                <ul className="space-y-1 max-h-64 overflow-y-auto">
+                                    {items.map(entity => (
+                                        <li key={entity.value}>
+                                            <button
+                                                onClick={() => entity.citation && onOpenCitation(entity.citation)}
+                                                className="w-full flex items-center justify-between gap-2 px-2 py-1 rounded-lg text-left text-sm hover:bg-indigo-50"
+                                            >
+                                                <span className="text-gray-800 truncate">{entity.value}</span>
+                                                <span className="flex-shrink-0 text-xs text-gray-500">
+                                                    {pageLabel(entity.pages)}
+                                                    {entity.count > 1 && ` · ${entity.count}×`}
+                                                </span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="bg-white rounded-2xl shadow-lg border border-gray-200 p-5">
+                <h3 className="flex items-center gap-2 font-bold text-gray-900 mb-3">
+                    <Table2 className="w-5 h-5 text-indigo-600" />
+                    Tables
+                    <span className="text-sm font-normal text-gray-400">{tables.length}</span>
+                </h3>
+                {!meta.tablesSupported ? (
+                    <p className="text-sm text-gray-500">Tables are detected in PDFs that were uploaded with their original file.</p>
+                ) : tables.length === 0 ? (
+                    <p className="text-sm text-gray-500">No tables found.</p>
+                ) : (
+                    <div className="space-y-6">
+                        {tables.map((table, index) => (
+                            <div key={index}>
+                                <div className="flex items-center justify-between mb-2 text-sm">
+                                    <span className="text-gray-600">Table {index + 1} · page {table.page}</span>
+                                    <button onClick={() => onDownload('csv', index)} className={buttonClass}>
+                                        <Download className="w-4 h-4" />
+                                        CSV
+                                    </button>
+                                </div>
+                                <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                                    <table className="min-w-full text-sm">
+                                        <tbody className="divide-y divide-gray-100">
+                                            {table.rows.map((row, rowIndex) => (
+                                                <tr key={rowIndex} className={rowIndex === 0 ? 'bg-gray-50 font-medium text-gray-900' : 'text-gray-700'}>
+                                                    {row.map((cell, cellIndex) => (
+                                                        <td key={cellIndex} className="px-3 py-1.5 whitespace-nowrap">{cell}</td>
+                                                    ))}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
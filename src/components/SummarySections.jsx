@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { CitationBadges } from './Citations.jsx';
+
+// Icon backgrounds cycle so neighbouring cards stay distinguishable
+const ICON_BACKGROUNDS = ['bg-blue-100', 'bg-green-100', 'bg-purple-100', 'bg-yellow-100', 'bg-pink-100'];
+
+const cardClass = 'bg-white rounded-2xl shadow-lg border border-gray-200 hover:shadow-xl transition-shadow';
+
+function SectionHeading({ section, index }) {
+    return (
+        <div className="flex items-center">
+            <div className={`${ICON_BACKGROUNDS[index % ICON_BACKGROUNDS.length]} p-2 rounded-lg mr-3`}>
+                <span className="text-2xl">{section.icon}</span>
+            </div>
+            <h3 className="text-xl font-bold text-gray-900">{section.title}</h3>
+        </div>
+    );
+}
+
+// Clicking an item opens its first citation, like its first badge
+const openFirst = (citations, onOpenCitation) => (citations?.length ? () => onOpenCitation(citations[0]) : undefined);
+
+function ListItems({ section, items, citations, onOpenCitation }) {
+    if (!items.length) {
+        return <p className="text-gray-500 text-sm">Nothing found in the document.</p>;
+    }
+
+    if (section.display === 'callout') {
+        return (
+            <div className="space-y-3">
+                {items.map((item, idx) => (
+                    <div key={idx} className="bg-gradient-to-r from-amber-50 to-yellow-50 border-l-4 border-amber-400 p-4 rounded-r-lg hover:from-amber-100 hover:to-yellow-100 transition-colors">
+                        <p className="text-gray-800">
+                            <span onClick={openFirst(citations?.[idx], onOpenCitation)} className={citations?.[idx]?.length ? 'cursor-pointer' : ''}>{item}</span>
+                            <CitationBadges citations={citations?.[idx]} onOpen={onOpenCitation} />
+                        </p>
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
+    return (
+        <ul className="space-y-3">
+            {items.map((item, idx) => (
+                <li key={idx} className="flex items-start group">
+                    <span className="inline-flex items-center justify-center w-7 h-7 rounded-full bg-indigo-600 text-white text-sm font-bold mr-3 flex-shrink-0 mt-0.5 group-hover:bg-indigo-700 transition-colors">
+                        {idx + 1}
+                    </span>
+                    <span className="text-gray-700 pt-1">
+                        <span onClick={openFirst(citations?.[idx], onOpenCitation)} className={citations?.[idx]?.length ? 'cursor-pointer hover:text-indigo-700' : ''}>{item}</span>
+                        <CitationBadges citations={citations?.[idx]} onOpen={onOpenCitation} />
+                    </span>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+// Renders a summary's sections in the order and style of the analysis
+// profile that produced it. Sections missing from the summary (failed
+// validation) are skipped. Tags are looked up in the document with
+// `onLocateText(tag)`.
+export default function SummarySections({ summary, sections, onOpenCitation, onLocateText }) {
+    const [expanded, setExpanded] = useState([]);
+
+    const toggle = (key) => {
+        setExpanded(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+    };
+
+    return sections.map((section, index) => {
+        const value = summary[section.key];
+        if (value === undefined || value === null) return null;
+
+        if (section.type === 'text' && section.display === 'collapsible') {
+            const open = expanded.includes(section.key);
+            return (
+                <div key={section.key} className={`${cardClass} overflow-hidden`}>
+                    <button
+                        onClick={() => toggle(section.key)}
+                        className="w-full flex items-center justify-between p-6 text-left hover:bg-gray-50 transition-colors"
+                    >
+                        <SectionHeading section={section} index={index} />
+                        {open ?
+                            <ChevronUp className="w-5 h-5 text-gray-500" /> :
+                            <ChevronDown className="w-5 h-5 text-gray-500" />
+                        }
+                    </button>
+                    {open && (
+                        <div className="px-6 pb-6">
+                            <p className="text-gray-700 leading-relaxed whitespace-pre-line">{value}</p>
+                        </div>
+                    )}
+                </div>
+            );
+        }
+
+        return (
+            <div key={section.key} className={`${cardClass} p-6`}>
+                <div className="mb-4">
+                    <SectionHeading section={section} index={index} />
+                </div>
+                {section.type === 'text' && (
+                    <p className="text-gray-700 leading-relaxed whitespace-pre-line">{value || 'Nothing found in the document.'}</p>
+                )}
+                {section.type === 'list' && (
+                    <ListItems
+                        section={section}
+                        items={value}
+                        citations={summary.citations?.[section.key]}
+                        onOpenCitation={onOpenCitation}
+                    />
+                )}
+                {section.type === 'tags' && (
+                    <div className="flex flex-wrap gap-2">
+                        {value.map((tag, idx) => (
+                            <button
+                                key={idx}
+                                onClick={() => onLocateText(tag)}
+                                className="px-4 py-2 bg-gradient-to-r from-indigo-500 to-purple-500 text-white rounded-full text-sm font-medium shadow-md hover:shadow-lg transform hover:scale-105 transition-all"
+                            >
+                                {tag}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        );
+    });
+}
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { Languages, Loader2 } from 'lucide-react';
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Section-by-section translations of the active document. `document` is a
+// workspace entry: `translations` maps language codes to saved translations
+// and `translating` is the progress text of one being made.
+export default function TranslationPanel({ document, languages, onTranslate }) {
+    const [selectedCode, setSelectedCode] = useState('');
+    const [shownCode, setShownCode] = useState('');
+
+    if (!document?.documentId) {
+        return <p className="text-center text-gray-500 py-20">The document is still being processed.</p>;
+    }
+
+    const translations = document.translations || {};
+    const available = languages.filter(language => translations[language.code]);
+    const targets = languages.filter(language => language.code !== document.language);
+    const code = selectedCode || targets.find(language => language.code === 'en')?.code || targets[0]?.code || '';
+    const shown = translations[shownCode] ? shownCode : available[available.length - 1]?.code;
+    const translation = shown && translations[shown];
+    const sourceName = languages.find(language => language.code === document.language)?.name;
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-6">
+            <div className="bg-white rounded-2xl shadow-lg border border-gray-200 p-6">
+                <div className="flex flex-wrap items-center gap-3">
+                    <span className="text-sm text-gray-600">
+                        {sourceName ? `Written in ${sourceName}.` : 'Language not detected.'} Translate into
+                    </span>
+                    <select value={code} onChange={e => setSelectedCode(e.target.value)} className={selectClass}>
+                        {targets.map(language => <option key={language.code} value={language.code}>{language.name}</option>)}
+                    </select>
+                    <button
+                        onClick={() => onTranslate(code).then(() => setShownCode(code))}
+                        disabled={Boolean(document.translating) || !code}
+                        className="inline-flex items-center gap-2 px-5 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium disabled:opacity-50"
+                    >
+                        {document.translating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Languages className="w-4 h-4" />}
+                        {translations[code] ? 'Translate again' : 'Translate'}
+                    </button>
+                </div>
+                {document.translating && <p className="text-sm text-gray-600 mt-3">{document.translating}</p>}
+            </div>
+
+            {available.length > 1 && (
+                <div className="flex flex-wrap gap-2">
+                    {available.map(language => (
+                        <button
+                            key={language.code}
+                            onClick={() => setShownCode(language.code)}
+                            className={`px-3 py-1.5 rounded-lg text-sm border ${language.code === shown ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                        >
+                            {language.name}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {translation && (
+                <>
+                    {translation.meta.coverage < 1 && (
+                        <div className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-800">
+                            Only the first {translation.sections.length} of {translation.meta.totalSections} sections ({Math.round(translation.meta.coverage * 100)}% of the document) were translated.
+                        </div>
+                    )}
+                    {translation.sections.map((section, i) => (
+                        <div key={i} className="bg-white rounded-xl shadow-sm border border-gray-200 p-5">
+                            <p className="text-gray-800 leading-relaxed whitespace-pre-wrap">{section.text}</p>
+                            {document.text && (
+                                <details className="mt-3 text-sm">
+                                    <summary className="cursor-pointer text-gray-500 hover:text-gray-700">Original: {section.title}</summary>
+                                    <p className="mt-2 text-gray-600 whitespace-pre-wrap">{document.text.slice(section.start, section.end).trim()}</p>
+                                </details>
+                            )}
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}
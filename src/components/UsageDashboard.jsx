@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+import { BarChart3, Loader2, X } from 'lucide-react';
+
+const PERIODS = [7, 30, 90];
+
+const formatTokens = (count) => (count >= 1000000
+    ? `${(count / 1000000).toFixed(1)}M`
+    : count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count));
+
+const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+const formatLatency = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`);
+
+const failureRate = ({ calls, failedCalls }) => (calls ? `${Math.round((failedCalls / calls) * 100)}%` : '–');
+
+const Stat = ({ label, value, note }) => (
+    <div className="bg-gray-50 rounded-xl px-4 py-3">
+        <p className="text-xs text-gray-500">{label}</p>
+        <p className="text-lg font-bold text-gray-900">{value}</p>
+        {note && <p className="text-xs text-gray-400">{note}</p>}
+    </div>
+);
+
+// Rows of totals under a first column named `label`
+const TotalsTable = ({ label, rows }) => (
+    <table className="w-full text-sm">
+        <thead>
+            <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-2 font-medium">{label}</th>
+                <th className="py-2 px-2 font-medium text-right">Calls</th>
+                <th className="py-2 px-2 font-medium text-right">Failed</th>
+                <th className="py-2 px-2 font-medium text-right">Parse failures</th>
+                <th className="py-2 px-2 font-medium text-right">Tokens</th>
+                <th className="py-2 px-2 font-medium text-right">Latency</th>
+                <th className="py-2 pl-2 font-medium text-right">Cost</th>
+            </tr>
+        </thead>
+        <tbody>
+            {rows.map(({ key, name, totals }) => (
+                <tr key={key} className="border-b border-gray-100">
+                    <td className="py-2 pr-2 text-gray-700 truncate max-w-xs" title={name}>{name}</td>
+                    <td className="py-2 px-2 text-right">{totals.calls}</td>
+                    <td className="py-2 px-2 text-right">{totals.failedCalls}</td>
+                    <td className="py-2 px-2 text-right">{totals.parseFailures}</td>
+                    <td className="py-2 px-2 text-right">{formatTokens(totals.totalTokens)}</td>
+                    <td className="py-2 px-2 text-right">{formatLatency(totals.averageLatencyMs)}</td>
+                    <td className="py-2 pl-2 text-right">{formatCost(totals.cost)}</td>
+                </tr>
+            ))}
+            {!rows.length && (
+                <tr><td colSpan={7} className="py-3 text-center text-gray-400">No model calls in this period</td></tr>
+            )}
+        </tbody>
+    </table>
+);
+
+// Admin view of model usage: totals, tokens per day, and breakdowns per
+// document, route and model. Picking a day shows its recorded calls.
+// `onLoad(days)` and `onLoadCalls(day)` fetch the reports.
+export default function UsageDashboard({ onLoad, onLoadCalls, onClose }) {
+    const [days, setDays] = useState(30);
+    const [usage, setUsage] = useState(null);
+    const [selectedDay, setSelectedDay] = useState(null);
+    const [calls, setCalls] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setUsage(null);
+        setError('');
+        onLoad(days).then(setUsage).catch(err => setError(err.message));
+    }, [days]);
+
+    useEffect(() => {
+        if (!selectedDay) return;
+        setCalls(null);
+        onLoadCalls(selectedDay).then(setCalls).catch(err => setError(err.message));
+    }, [selectedDay]);
+
+    const maxDayTokens = usage ? Math.max(1, ...usage.byDay.map(day => day.totalTokens)) : 1;
+
+    return (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" onClick={onClose}>
+            <div
+                className="bg-white rounded-2xl shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+                    <div className="flex items-center space-x-2">
+                        <BarChart3 className="w-5 h-5 text-indigo-600" />
+                        <h3 className="text-lg font-bold text-gray-900">Model usage</h3>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <select
+                            aria-label="Period"
+                            value={days}
+                            onChange={(e) => setDays(Number(e.target.value))}
+                            className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        >
+                            {PERIODS.map(period => <option key={period} value={period}>Last {period} days</option>)}
+                        </select>
+                        <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-100 text-gray-500">
+                            <X className="w-5 h-5" />
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                    {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</p>}
+                    {!usage && !error && (
+                        <div className="flex items-center justify-center py-12 text-gray-500">
+                            <Loader2 className="w-5 h-5 animate-spin mr-2" />
+                            Loading usage...
+                        </div>
+                    )}
+                    {usage && (
+                        <>
+                            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                                <Stat label="Model calls" value={usage.totals.calls} note={`${failureRate(usage.totals)} failed`} />
+                                <Stat label="Tokens" value={formatTokens(usage.totals.totalTokens)} note={`${formatTokens(usage.totals.promptTokens)} prompt`} />
+                                <Stat
+                                    label="Estimated cost"
+                                    value={formatCost(usage.totals.cost)}
+                                    note={usage.totals.unpricedCalls > 0 ? `${usage.totals.unpricedCalls} calls without a price` : null}
+                                />
+                                <Stat label="Average latency" value={formatLatency(usage.totals.averageLatencyMs)} />
+                                <Stat label="Parse failures" value={usage.totals.parseFailures} note="responses that were not usable" />
+                            </div>
+
+                            <div>
+                                <h4 className="text-sm font-semibold text-gray-700 mb-2">Tokens per day</h4>
+                                <div className="flex items-end gap-px h-32">
+                                    {usage.byDay.map(day => (
+                                        <button
+                                            key={day.day}
+                                            onClick={() => setSelectedDay(day.day)}
+                                            title={`${day.day}: ${day.calls} calls, ${formatTokens(day.totalTokens)} tokens, ${formatCost(day.cost)}`}
+                                            className="flex-1 h-full flex items-end group"
+                                        >
+                                            <div
+                                                className={`w-full rounded-t ${day.day === selectedDay ? 'bg-indigo-600' : 'bg-indigo-300 group-hover:bg-indigo-400'}`}
+                                                style={{ height: `${Math.max((day.totalTokens / maxDayTokens) * 100, day.calls ? 2 : 0)}%` }}
+                                            />
+                                        </button>
+                                    ))}
+                                </div>
+                                <div className="flex justify-between text-xs text-gray-400 mt-1">
+                                    <span>{usage.from}</span>
+                                    <span>{usage.to}</span>
+                                </div>
+                            </div>
+
+                            {selectedDay && (
+                                <div>
+                                    <h4 className="text-sm font-semibold text-gray-700 mb-2">Calls on {selectedDay}</h4>
+                                    {!calls ? (
+                                        <Loader2 className="w-4 h-4 animate-spin text-gray-400" />
+                                    ) : (
+                                        <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg">
+                                            <table className="w-full text-xs">
+                                                <tbody>
+                                                    {calls.map((entry, index) => (
+                                                        <tr key={index} className="border-b border-gray-100">
+                                                            <td className="py-1.5 px-2 text-gray-500">{new Date(entry.at).toLocaleTimeString()}</td>
+                                                            <td className="py-1.5 px-2 text-gray-700">{entry.route || 'background'}</td>
+                                                            {entry.type === 'parse_failure' ? (
+                                                                <td colSpan={4} className="py-1.5 px-2 text-amber-700">Unusable response ({entry.reason === 'invalid_json' ? 'not JSON' : 'wrong format'})</td>
+                                                            ) : (
+                                                                <>
+                                                                    <td className="py-1.5 px-2 text-gray-700">{entry.model}</td>
+                                                                    <td className="py-1.5 px-2 text-right">{formatTokens(entry.promptTokens + entry.completionTokens)}</td>
+                                                                    <td className="py-1.5 px-2 text-right">{formatLatency(entry.latencyMs)}</td>
+                                                                    <td className={`py-1.5 px-2 ${entry.outcome === 'ok' ? 'text-green-700' : 'text-red-700'}`}>
+                                                                        {entry.outcome === 'error' ? entry.errorCode : entry.outcome}
+                                                                    </td>
+                                                                </>
+                                                            )}
+                                                        </tr>
+                                                    ))}
+                                                    {!calls.length && (
+                                                        <tr><td className="py-3 text-center text-gray-400">No model calls on this day</td></tr>
+                                                    )}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            <div>
+                                <h4 className="text-sm font-semibold text-gray-700 mb-2">Per document</h4>
+                                <TotalsTable
+                                    label="Document"
+                                    rows={usage.byDocument.map(({ documentId, name, ...totals }) => ({ key: documentId, name: name ?? 'Deleted document', totals }))}
+                                />
+                            </div>
+                            <div className="grid md:grid-cols-2 gap-6">
+                                <div>
+                                    <h4 className="text-sm font-semibold text-gray-700 mb-2">Per route</h4>
+                                    <TotalsTable label="Route" rows={usage.byRoute.map(({ route, ...totals }) => ({ key: route, name: route, totals }))} />
+                                </div>
+                                <div>
+                                    <h4 className="text-sm font-semibold text-gray-700 mb-2">Per model</h4>
+                                    <TotalsTable label="Model" rows={usage.byModel.map(({ model, ...totals }) => ({ key: model, name: model, totals }))} />
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
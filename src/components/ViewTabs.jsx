@@ -0,0 +1,38 @@
+import React from 'react';
+import { BookOpen } from 'lucide-react';
+
+const VIEWS = [
+    { id: 'summary', label: '📊 Summary' },
+    { id: 'data', label: '🧾 Data' },
+    { id: 'translate', label: '🌐 Translate' },
+    { id: 'compare', label: '🔀 Compare' },
+    { id: 'chat', label: '💬 Chat' }
+];
+
+// `onToggleViewer` adds a button showing or hiding the document viewer
+export default function ViewTabs({ activeView, onChange, viewerOpen, onToggleViewer }) {
+    return (
+        <div className="flex flex-wrap justify-center items-center gap-2 mb-8">
+            <div className="inline-flex rounded-xl border border-gray-200 bg-white p-1 shadow-sm">
+                {VIEWS.map(view => (
+                    <button
+                        key={view.id}
+                        onClick={() => onChange(view.id)}
+                        className={`px-6 py-2.5 rounded-lg font-medium transition-all ${activeView === view.id ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+                    >
+                        {view.label}
+                    </button>
+                ))}
+            </div>
+            {onToggleViewer && (
+                <button
+                    onClick={onToggleViewer}
+                    className={`inline-flex items-center gap-2 px-4 py-2.5 rounded-xl border font-medium shadow-sm transition-all ${viewerOpen ? 'bg-indigo-50 border-indigo-300 text-indigo-700' : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-100'}`}
+                >
+                    <BookOpen className="w-4 h-4" />
+                    Document
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+const TOKEN_STORAGE_KEY = 'docuchat.apiToken';
+
+export const getApiToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+// Stores the API token sent with every request; a falsy token signs out
+export const setApiToken = (token) => {
+    if (token) {
+        localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+};
+
+let unauthorizedHandler = () => {};
+
+// Registers the callback run when the backend rejects the API token
+export const onUnauthorized = (handler) => {
+    unauthorizedHandler = handler;
+};
+
+// Raw fetch against the backend, for responses that are not plain JSON (streams)
+export const apiFetch = async (path, options = {}) => {
+    const token = getApiToken();
+    const headers = { ...options.headers, ...(token ? { 'Authorization': `Bearer ${token}` } : {}) };
+    const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+    if (response.status === 401) unauthorizedHandler();
+    return response;
+};
+
+// The error for a failed response. Besides the server's message it carries
+// the HTTP `status` and, when the server gives them, the error `code` and
+// `retryAfter` in seconds (see lib/errors.js).
+export const responseError = (response, data) => Object.assign(
+    new Error(data?.error || `Request failed with status ${response.status}`),
+    { status: response.status, code: data?.code || null, retryAfter: data?.retryAfter ?? null }
+);
+
+// Calls a JSON endpoint and throws a responseError on failure. `body` is sent
+// as JSON unless it is FormData.
+export const apiRequest = async (path, { method = 'GET', body, signal } = {}) => {
+    const options = { method, signal, headers: {} };
+    if (body instanceof FormData) {
+        options.body = body;
+    } else if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const response = await apiFetch(path, options);
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    if (!response.ok) throw responseError(response, data);
+    return data;
+};
+
+// Fetches a file from the backend and saves it under the name the server
+// gives in Content-Disposition
+export const apiDownload = async (path, fallbackName) => {
+    const response = await apiFetch(path);
+    if (!response.ok) {
+        throw responseError(response, await response.json().catch(() => null));
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const name = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+};
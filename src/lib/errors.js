@@ -0,0 +1,30 @@
+// User-facing text for API errors. Errors from apiRequest, waitForJob and
+// chat streams carry the server's `code`, which tells a busy model (retry
+// later) apart from one that failed.
+
+const formatWait = (seconds) => {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const hours = Math.ceil(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+const HINTS = {
+    model_timeout: 'Please try again.',
+    model_unavailable: 'Please try again in a moment.',
+    model_bad_response: 'Please try again later.',
+    model_error: 'Please try again later.'
+};
+
+// The error's message with what the user can do about it. Messages without
+// a known code are returned as they are.
+export const describeError = (err) => {
+    if (err.code === 'model_rate_limited') {
+        return err.retryAfter
+            ? `${err.message}. Try again in ${formatWait(err.retryAfter)}.`
+            : `${err.message}. Try again in a moment.`;
+    }
+    return HINTS[err.code] ? `${err.message}. ${HINTS[err.code]}` : err.message;
+};
+
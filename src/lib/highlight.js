@@ -0,0 +1,21 @@
+// Page of a character offset in a document's text, from its { page, start } list
+export const pageForOffset = (pages, offset) => {
+    if (!pages?.length) return null;
+    const page = pages.findLast(p => p.start <= offset);
+    return page ? page.page : pages[0].page;
+};
+
+// A citation-like location ({ documentId, page, snippet, start, end }) for
+// the first occurrence of `text` in a workspace document, or null
+export const locateText = (document, text) => {
+    const start = document.text?.toLowerCase().indexOf(text.toLowerCase()) ?? -1;
+    if (start < 0) return null;
+    return {
+        documentId: document.documentId,
+        documentName: document.name,
+        page: pageForOffset(document.pages, start),
+        snippet: document.text.slice(start, start + text.length),
+        start,
+        end: start + text.length
+    };
+};
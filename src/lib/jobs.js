@@ -0,0 +1,27 @@
+import { apiRequest } from './api.js';
+
+const POLL_INTERVAL_MS = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls a background job until it finishes. `onProgress` receives the job's
+// { stage, current, total } whenever it changes. Resolves with the finished
+// job; rejects with the job's error, carrying the job as `error.job` along
+// with its `code` and `retryAfter`.
+export const waitForJob = async (jobId, onProgress = () => {}) => {
+    let lastProgress = null;
+    for (;;) {
+        const job = await apiRequest(`/api/jobs/${jobId}`);
+        const progress = JSON.stringify(job.progress);
+        if (progress !== lastProgress) {
+            lastProgress = progress;
+            onProgress(job.progress);
+        }
+
+        if (job.status === 'done') return job;
+        if (job.status === 'failed') {
+            throw Object.assign(new Error(job.error || 'Processing failed'), { job, code: job.errorCode || null, retryAfter: job.retryAfter ?? null });
+        }
+        await wait(POLL_INTERVAL_MS);
+    }
+};
@@ -0,0 +1,75 @@
+import { getDocument, GlobalWorkerOptions, TextLayer, version } from 'pdfjs-dist';
+import { apiFetch } from './api.js';
+
+GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${version}/build/pdf.worker.min.mjs`;
+
+// Opens the original PDF of a stored document
+export const loadStoredPdf = async (documentId) => {
+    const response = await apiFetch(`/api/documents/${documentId}/file`);
+    if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw new Error(data?.error || `Request failed with status ${response.status}`);
+    }
+    return getDocument({ data: new Uint8Array(await response.arrayBuffer()) }).promise;
+};
+
+// Draws a page `width` pixels wide into `container`, with a transparent text
+// layer on top so its text can be selected and highlighted. Returns the
+// rendered TextLayer.
+export const renderPage = async (page, container, width) => {
+    const scale = width / page.getViewport({ scale: 1 }).width;
+    const viewport = page.getViewport({ scale });
+    const ratio = window.devicePixelRatio || 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width * ratio);
+    canvas.height = Math.floor(viewport.height * ratio);
+    canvas.style.width = `${viewport.width}px`;
+    canvas.style.height = `${viewport.height}px`;
+
+    const textContainer = document.createElement('div');
+    textContainer.className = 'textLayer';
+    container.style.setProperty('--total-scale-factor', String(scale));
+    container.replaceChildren(canvas, textContainer);
+
+    await page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+    }).promise;
+
+    const textLayer = new TextLayer({ textContentSource: page.streamTextContent(), container: textContainer, viewport });
+    await textLayer.render();
+    return textLayer;
+};
+
+const squash = (text) => text.replace(/\s+/g, '').toLowerCase();
+
+// Marks the text layer spans covering `snippet` and returns the first one,
+// or null when the snippet is not on the page. Whitespace is ignored since
+// the extracted text and the text layer break lines differently.
+export const highlightInTextLayer = (textLayer, snippet) => {
+    const { textDivs, textContentItemsStr } = textLayer;
+    for (const div of textDivs) div.classList.remove('citation-highlight');
+
+    let joined = '';
+    const owners = [];
+    textContentItemsStr.forEach((text, index) => {
+        const squashed = squash(text);
+        joined += squashed;
+        owners.push(...Array(squashed.length).fill(index));
+    });
+
+    // Fall back to the opening words when the rest differs (hyphenation, ligatures)
+    let target = squash(snippet);
+    let at = joined.indexOf(target);
+    if (at < 0 && target.length > 40) {
+        target = target.slice(0, 40);
+        at = joined.indexOf(target);
+    }
+    if (at < 0 || !target) return null;
+
+    const marked = [...new Set(owners.slice(at, at + target.length))].map(index => textDivs[index]);
+    for (const div of marked) div.classList.add('citation-highlight');
+    return marked[0];
+};
@@ -0,0 +1,30 @@
+import { vi } from 'vitest';
+import { API_BASE_URL } from '../lib/api.js';
+
+export const json = (data, status = 200) => new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+// A text/event-stream response with the given [event, data] messages
+export const eventStream = (events) => new Response(
+    events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join(''),
+    { headers: { 'Content-Type': 'text/event-stream' } }
+);
+
+// Replaces fetch with a fake backend. `routes` maps 'METHOD /path' to a
+// function returning the Response; it receives { body, search }. Returns the
+// list of requests made, with JSON bodies parsed.
+export const mockBackend = (routes) => {
+    const requests = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+        const { pathname, search } = new URL(url, API_BASE_URL);
+        const method = options.method || 'GET';
+        const body = typeof options.body === 'string' ? JSON.parse(options.body) : options.body;
+        requests.push({ method, path: pathname, search, body, headers: options.headers || {} });
+
+        const route = routes[`${method} ${pathname}`];
+        return route ? route({ body, search }) : json({ error: `No route for ${method} ${pathname}` }, 404);
+    }));
+    return requests;
+};
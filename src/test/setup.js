@@ -0,0 +1,11 @@
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// jsdom does not lay out pages, so it has no scrolling
+Element.prototype.scrollIntoView = () => {};
+
+afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+    localStorage.clear();
+});
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    environment: 'jsdom',
+    // The backend has its own tests, run with node --test
+    include: ['src/**/*.test.{js,jsx}'],
+    setupFiles: './src/test/setup.js',
+  },
 })